@@ -0,0 +1,169 @@
+import fs from 'fs/promises';
+import { getAliasDictionary } from './name-aliases.js';
+import { formatTimestamp } from './extractors/media.js';
+import { chunkVectorId } from './chunker.js';
+import { buildVectorMetadata } from './vector-metadata.js';
+
+export const DEFAULT_CATALOG_PATH = './query/document-catalog-identity-focused.json';
+
+/**
+ * Chunk Context Headers
+ *
+ * A chunk like "starts at $5K per year" says nothing about which product or
+ * document it belongs to. When enabled, each chunk is embedded with a short
+ * header in front of it:
+ *
+ *   Document: RMM Pricing Calculator
+ *   Type: pricing-calculator
+ *   Section: Pricing > Tiers
+ *   Summary: This is the RMM Pricing Calculator - ...
+ *
+ *   <chunk text>
+ *
+ * Type and summary come from the identity catalog (npm run build-identity-catalog).
+ * Only the embedding input changes - metadata.text keeps the original chunk
+ * for display and citation, and the header is stored as metadata.contextHeader.
+ *
+ * Enable with --context-headers or CHUNK_CONTEXT_HEADERS=true.
+ */
+export class ChunkContextBuilder {
+    constructor(options = {}) {
+        this.catalogPath = options.catalogPath || process.env.IDENTITY_CATALOG_PATH || DEFAULT_CATALOG_PATH;
+        this.maxSummaryLength = options.maxSummaryLength || 200;
+
+        this.byFileId = new Map();
+        this.byName = new Map();
+        this.loaded = null;
+    }
+
+    /**
+     * Load the identity catalog once (a missing catalog means headers without type/summary)
+     */
+    async load() {
+        if (!this.loaded) {
+            this.loaded = this.readCatalog();
+        }
+        return this.loaded;
+    }
+
+    /**
+     * Helper: Index catalog documents by Drive id and by name
+     */
+    async readCatalog() {
+        let catalog;
+
+        try {
+            catalog = JSON.parse(await fs.readFile(this.catalogPath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.log(`⚠️  Identity catalog not found (${this.catalogPath}), context headers will omit type and summary`);
+            return this;
+        }
+
+        for (const doc of catalog.documents || []) {
+            if (doc.fileId) this.byFileId.set(doc.fileId, doc);
+            if (doc.name) this.byName.set(normalizeName(doc.name), doc);
+        }
+
+        return this;
+    }
+
+    /**
+     * Catalog entry for a Drive file (by id, falling back to name)
+     */
+    getCatalogEntry(file) {
+        return this.byFileId.get(file.id) || this.byName.get(normalizeName(file.name || '')) || null;
+    }
+
+    /**
+     * Context header for one chunk (call load() first)
+     */
+    buildHeader(file, chunk) {
+        const entry = this.getCatalogEntry(file);
+        const section = sectionLabel(chunk.location);
+        const summary = entry ? this.summarize(entry) : null;
+
+        const lines = [`Document: ${file.name}`];
+        if (entry?.documentType) lines.push(`Type: ${entry.documentType}`);
+        if (section) lines.push(`Section: ${section}`);
+        if (summary) lines.push(`Summary: ${summary}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Helper: One-line summary - first sentence of the document identity
+     */
+    summarize(entry) {
+        const source = entry.documentIdentity || entry.documentPurpose;
+        if (!source) return null;
+
+        const oneLine = source.replace(/\s+/g, ' ').trim();
+        const sentence = oneLine.match(/^.*?[.!?](?=\s|$)/)?.[0] || oneLine;
+
+        if (sentence.length <= this.maxSummaryLength) return sentence;
+        return `${sentence.slice(0, this.maxSummaryLength - 1).trimEnd()}…`;
+    }
+}
+
+/**
+ * Text sent to the embedding model for a chunk (header, blank line, chunk)
+ */
+export function withContextHeader(header, text) {
+    return header ? `${header}\n\n${text}` : text;
+}
+
+/**
+ * Vectors of a file's chunks: context headers (when a builder is given),
+ * embeddings (EmbeddingService) and schema metadata - what every indexer uploads
+ */
+export async function createChunkVectors(file, chunks, { embeddings, chunkContext = null, generation = null }) {
+    if (chunkContext) await chunkContext.load();
+
+    const contextHeaders = chunks.map(chunk => chunkContext?.buildHeader(file, chunk) || null);
+    const values = await embeddings.embed(
+        chunks.map((chunk, i) => withContextHeader(contextHeaders[i], chunk.text))
+    );
+
+    return chunks.map((chunk, i) => ({
+        id: chunkVectorId(file.id, chunk, generation),
+        values: values[i],
+        metadata: buildVectorMetadata(file, chunk, { generation, contextHeader: contextHeaders[i] })
+    }));
+}
+
+/**
+ * Whether context headers were requested on the command line or in the environment
+ */
+export function contextHeadersEnabled(args = process.argv.slice(2)) {
+    return args.includes('--context-headers') || process.env.CHUNK_CONTEXT_HEADERS === 'true';
+}
+
+/**
+ * Helper: Human-readable section of a chunk location
+ */
+function sectionLabel(location) {
+    if (!location) return null;
+
+    switch (location.type) {
+        case 'heading':
+            return location.headingPath?.length ? location.headingPath.join(' > ') : null;
+        case 'slide':
+            return location.title ? `Slide ${location.slide}: ${location.title}` : `Slide ${location.slide}`;
+        case 'sheet':
+            return `Sheet ${location.sheet}`;
+        case 'page':
+            return `Page ${location.page}`;
+        case 'time':
+            return `Recording @ ${formatTimestamp(location.from)}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Helper: Case- and extension-insensitive document name, aliases rewritten
+ */
+function normalizeName(name) {
+    return getAliasDictionary().apply(name.toLowerCase().replace(/\.(pdf|pptx|docx|xlsx|txt)$/, '')).trim();
+}
@@ -1,95 +1,394 @@
-import pdf from 'pdf-parse';
-import mammoth from 'mammoth';
 import fs from 'fs';
+import crypto from 'crypto';
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
+import { createExtractorRegistry } from './extractors/index.js';
+import { formatTimestamp } from './extractors/media.js';
 
+// Recorded in the sync manifest for every indexed file
+export const CHUNKER_VERSION = 'semantic-v1';
+
+// Vectors written by the old line-based chunkText (before the manifest existed)
+export const LEGACY_CHUNKER_VERSION = 'lines-v1';
+
+// text-embedding-3-* models use the cl100k_base encoding
+let encoding = null;
+function getEncoding() {
+    if (!encoding) encoding = new Tiktoken(cl100k_base);
+    return encoding;
+}
+
+/**
+ * Number of embedding-model tokens in a text
+ */
+export function countTokens(text) {
+    return getEncoding().encode(text).length;
+}
+
+const TABLE_ROW = /\S.* \| /;
+const HEADING_LINE = /^#{1,6} /;
+
+/**
+ * Semantic Document Chunker
+ *
+ * Splits an extraction (see indexer/extractors) into chunks that:
+ * - Never cross a section boundary (heading, slide, page, sheet), so every
+ *   chunk has one location to cite
+ * - Break at paragraph boundaries first, then lines, then sentences, and only
+ *   split mid-sentence (by tokens) as a last resort
+ * - Keep tables whole when they fit; larger tables split by rows with the
+ *   header row repeated
+ * - Are sized in embedding-model tokens, not characters or words
+ * - Record true character offsets into the extracted text
+ * - Are deterministic: the same extraction always gives the same chunks,
+ *   and chunkVectorId() gives the same ids
+ *
+ * Chunk:
+ * {
+ *   index, text, tokens,
+ *   charStart, charEnd,   // offsets into extraction.text
+ *   lineFrom, lineTo,     // 1-based lines of extraction.text
+ *   location              // section location ({ type: 'slide', slide: 3, ... }),
+ *                         // with imageText: true if it includes OCR of the section's images
+ * }
+ */
 export class DocumentChunker {
-    constructor(chunkSize = 1000, overlap = 200) {
-        this.chunkSize = chunkSize;
-        this.overlap = overlap;
+    constructor(options = {}) {
+        this.maxTokens = options.maxTokens || 300;
+        this.overlapTokens = options.overlapTokens ?? 50;
+        this.extractors = options.extractors || createExtractorRegistry();
     }
 
-    async extractText(filePath, mimeType) {
-        const fileBuffer = fs.readFileSync(filePath);
-        
-        if (mimeType === 'application/pdf') {
-            const data = await pdf(fileBuffer);
-            return { text: data.text, pages: data.numpages };
-        } else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-            const result = await mammoth.extractRawText({ buffer: fileBuffer });
-            return { text: result.value, pages: Math.ceil(result.value.length / 3000) };
-        } else if (mimeType === 'text/plain') {
-            const text = fs.readFileSync(filePath, 'utf8');
-            return { text, pages: Math.ceil(text.length / 3000) };
-        }
-        
-        return { text: '', pages: 0 };
+    countTokens(text) {
+        return countTokens(text);
     }
 
-    chunkText(text, fileMetadata) {
+    /**
+     * Chunk an extraction result ({ text, sections })
+     */
+    chunk(extraction) {
         const chunks = [];
-        const words = text.split(/\s+/);
-        
-        let currentChunk = [];
-        let currentLength = 0;
-        let chunkIndex = 0;
-
-        for (let i = 0; i < words.length; i++) {
-            const word = words[i];
-            const wordLength = word.length;
-
-            if (currentLength + wordLength > this.chunkSize && currentChunk.length > 0) {
-                // Save current chunk
-                const chunkText = currentChunk.join(' ');
+        const lineStarts = this.getLineStarts(extraction.text);
+
+        for (const section of extraction.sections) {
+            const units = this.splitUnits(section.text, section.start);
+
+            for (const group of this.packUnits(units)) {
+                const first = group[0];
+                const last = group[group.length - 1];
+
+                let text = first.text;
+                for (let i = 1; i < group.length; i++) {
+                    // Keep the original separator (newline / blank line) between units
+                    const gap = extraction.text.slice(group[i - 1].end, group[i].start);
+                    text += (/\n\s*\n/.test(gap) ? '\n\n' : gap.includes('\n') ? '\n' : ' ') + group[i].text;
+                }
+
                 chunks.push({
-                    text: chunkText,
-                    metadata: {
-                        ...fileMetadata,
-                        chunk_index: chunkIndex,
-                        char_start: i - currentChunk.length,
-                        char_end: i
-                    }
+                    index: chunks.length,
+                    text,
+                    tokens: this.countTokens(text),
+                    charStart: first.start,
+                    charEnd: last.end,
+                    lineFrom: this.lineAt(lineStarts, first.start),
+                    lineTo: this.lineAt(lineStarts, Math.max(first.start, last.end - 1)),
+                    // Chunks reaching into the section's image text are marked image-derived
+                    location: section.imageStart !== undefined && last.end > section.imageStart
+                        ? { ...section.location, imageText: true }
+                        : section.location
                 });
+            }
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Helper: Split section text into units no larger than maxTokens -
+     * paragraphs, then lines, then sentences, then token windows.
+     * Offsets are absolute (relative to the extraction text).
+     */
+    splitUnits(text, offset) {
+        const units = [];
 
-                // Create next chunk with overlap
-                const overlapWords = Math.floor(this.overlap / 5); // Rough estimate: 5 chars per word
-                currentChunk = currentChunk.slice(-overlapWords);
-                currentLength = currentChunk.join(' ').length;
-                chunkIndex++;
+        for (const block of this.splitBlocks(text, offset)) {
+            if (block.table) {
+                units.push(...this.splitTable(block));
+                continue;
             }
 
-            currentChunk.push(word);
-            currentLength += wordLength + 1; // +1 for space
+            const tokens = this.countTokens(block.text);
+            if (tokens <= this.maxTokens) {
+                units.push({ text: block.text, start: block.start, end: block.end, tokens, heading: block.heading });
+                continue;
+            }
+
+            for (const line of this.splitBy(block.text, block.start, /\n/g)) {
+                if (this.countTokens(line.text) <= this.maxTokens) {
+                    units.push({ ...line, tokens: this.countTokens(line.text), heading: HEADING_LINE.test(line.text) });
+                    continue;
+                }
+
+                for (const sentence of this.splitBy(line.text, line.start, /(?<=[.!?])\s+/g)) {
+                    if (this.countTokens(sentence.text) <= this.maxTokens) {
+                        units.push({ ...sentence, tokens: this.countTokens(sentence.text) });
+                    } else {
+                        units.push(...this.splitByTokens(sentence));
+                    }
+                }
+            }
         }
 
-        // Add final chunk
-        if (currentChunk.length > 0) {
-            chunks.push({
-                text: currentChunk.join(' '),
-                metadata: {
-                    ...fileMetadata,
-                    chunk_index: chunkIndex,
-                    char_start: words.length - currentChunk.length,
-                    char_end: words.length
+        return units;
+    }
+
+    /**
+     * Helper: Paragraph blocks, with runs of table rows ("a | b | c") split out as table blocks
+     */
+    splitBlocks(text, offset) {
+        const blocks = [];
+
+        for (const paragraph of this.splitBy(text, offset, /\n\s*\n/g)) {
+            let run = [];
+            let runIsTable = false;
+
+            const flush = () => {
+                if (run.length === 0) return;
+                const start = run[0].start;
+                const end = run[run.length - 1].end;
+                blocks.push({
+                    text: paragraph.text.slice(start - paragraph.start, end - paragraph.start),
+                    start,
+                    end,
+                    table: runIsTable && run.length > 1,
+                    // A lone heading line (e.g. above a table) is kept with what follows
+                    heading: run.length === 1 && HEADING_LINE.test(run[0].text)
+                });
+                run = [];
+            };
+
+            for (const line of this.splitBy(paragraph.text, paragraph.start, /\n/g)) {
+                const isTableRow = TABLE_ROW.test(line.text);
+                if (run.length > 0 && isTableRow !== runIsTable) flush();
+                runIsTable = isTableRow;
+                run.push(line);
+            }
+            flush();
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Helper: Pack units into chunks of at most maxTokens, carrying up to
+     * overlapTokens of trailing units into the next chunk
+     */
+    packUnits(units) {
+        const groups = [];
+        let current = [];
+        let currentTokens = 0;
+
+        // +1 per unit for the separator it is joined with
+        for (const unit of units) {
+            if (current.length > 0 && currentTokens + unit.tokens + 1 > this.maxTokens) {
+                // Don't end a chunk on a heading line - move it to the next chunk
+                const carried = [];
+                while (current.length > 1 && current[current.length - 1].heading) {
+                    carried.unshift(current.pop());
                 }
+                groups.push(current);
+
+                const overlap = carried.length > 0 ? [] : this.getOverlap(current);
+                current = [...overlap, ...carried];
+                currentTokens = current.reduce((sum, u) => sum + u.tokens + 1, 0);
+
+                // Drop overlap that would still not leave room for this unit
+                while (current.length > 0 && currentTokens + unit.tokens + 1 > this.maxTokens) {
+                    currentTokens -= current.shift().tokens + 1;
+                }
+            }
+
+            current.push(unit);
+            currentTokens += unit.tokens + 1;
+        }
+
+        if (current.length > 0) groups.push(current);
+        return groups;
+    }
+
+    /**
+     * Helper: Trailing units of a chunk that fit in overlapTokens (tables are never repeated)
+     */
+    getOverlap(group) {
+        const overlap = [];
+        let tokens = 0;
+
+        for (let i = group.length - 1; i > 0; i--) {
+            const unit = group[i];
+            if (unit.table || tokens + unit.tokens > this.overlapTokens) break;
+            overlap.unshift(unit);
+            tokens += unit.tokens;
+        }
+
+        return overlap;
+    }
+
+    /**
+     * Helper: Table block -> one unit if it fits, else row groups with the header repeated
+     */
+    splitTable(block) {
+        const tokens = this.countTokens(block.text);
+        if (tokens <= this.maxTokens) {
+            return [{ ...block, tokens, table: true }];
+        }
+
+        const rows = this.splitBy(block.text, block.start, /\n/g);
+        const header = rows[0];
+        const units = [];
+        let current = [header];
+
+        const flush = () => {
+            const text = current.map(row => row.text).join('\n');
+            units.push({
+                text,
+                start: current[0] === header && units.length > 0 ? current[1].start : current[0].start,
+                end: current[current.length - 1].end,
+                tokens: this.countTokens(text),
+                table: true
             });
+        };
+
+        for (const row of rows.slice(1)) {
+            const candidate = [...current, row].map(r => r.text).join('\n');
+            if (current.length > 1 && this.countTokens(candidate) > this.maxTokens) {
+                flush();
+                current = [header];
+            }
+            current.push(row);
         }
 
-        return chunks;
+        if (current.length > 1 || units.length === 0) flush();
+
+        // A single row can still be too long - fall back to token windows
+        return units.flatMap(unit =>
+            unit.tokens <= this.maxTokens ? [unit] : this.splitByTokens(unit).map(u => ({ ...u, table: true }))
+        );
+    }
+
+    /**
+     * Helper: Split a span on a separator pattern, keeping absolute offsets and dropping blanks
+     */
+    splitBy(text, offset, pattern) {
+        const parts = [];
+        let last = 0;
+
+        const push = (from, to) => {
+            const raw = text.slice(from, to);
+            const leading = raw.length - raw.trimStart().length;
+            const trimmed = raw.trim();
+            if (trimmed) {
+                parts.push({ text: trimmed, start: offset + from + leading, end: offset + from + leading + trimmed.length });
+            }
+        };
+
+        for (const match of text.matchAll(pattern)) {
+            push(last, match.index);
+            last = match.index + match[0].length;
+        }
+        push(last, text.length);
+
+        return parts;
+    }
+
+    /**
+     * Helper: Last resort - fixed token windows. Window ends are moved to a
+     * character boundary of the source (a token can hold part of a
+     * multi-byte character), so offsets index the source text exactly.
+     */
+    splitByTokens(span) {
+        const enc = getEncoding();
+        const tokens = enc.encode(span.text);
+        const units = [];
+        let charOffset = 0;
+        const matchesSource = (from, to) => span.text.startsWith(enc.decode(tokens.slice(from, to)), charOffset);
+
+        for (let i = 0; i < tokens.length;) {
+            let j = Math.min(i + this.maxTokens, tokens.length);
+            while (j > i + 1 && !matchesSource(i, j)) j--;
+            while (j < tokens.length && !matchesSource(i, j)) j++;
+
+            const windowEnd = charOffset + enc.decode(tokens.slice(i, j)).length;
+            const raw = span.text.slice(charOffset, windowEnd);
+            const leading = raw.length - raw.trimStart().length;
+            const text = raw.trim();
+
+            if (text) {
+                const start = span.start + charOffset + leading;
+                units.push({ text, start, end: start + text.length, tokens: j - i });
+            }
+
+            charOffset = windowEnd;
+            i = j;
+        }
+
+        return units;
+    }
+
+    getLineStarts(text) {
+        const starts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') starts.push(i + 1);
+        }
+        return starts;
+    }
+
+    /**
+     * Helper: 1-based line number containing a character offset (binary search)
+     */
+    lineAt(lineStarts, offset) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return low + 1;
+    }
+
+    /**
+     * Extract a local file (see indexer/extractors)
+     */
+    async extractText(filePath, mimeType) {
+        if (!this.extractors.supports(mimeType)) {
+            return null;
+        }
+
+        return this.extractors.extractBuffer(fs.readFileSync(filePath), { mimeType });
     }
 
     async processDocument(filePath, fileMetadata) {
         try {
-            const { text, pages } = await this.extractText(filePath, fileMetadata.mimeType);
-            
-            if (!text || text.length === 0) {
+            const extraction = await this.extractText(filePath, fileMetadata.mimeType);
+
+            if (!extraction || !extraction.text) {
                 console.log(`⚠️  No text extracted from ${fileMetadata.name}`);
                 return [];
             }
 
-            const chunks = this.chunkText(text, {
-                ...fileMetadata,
-                total_pages: pages
-            });
+            const chunks = this.chunk(extraction).map(chunk => ({
+                ...chunk,
+                metadata: {
+                    ...fileMetadata,
+                    ...chunkLocationMetadata(chunk),
+                    total_pages: extraction.pages
+                }
+            }));
 
             console.log(`✅ Processed ${fileMetadata.name}: ${chunks.length} chunks`);
             return chunks;
@@ -99,3 +398,44 @@ export class DocumentChunker {
         }
     }
 }
+
+/**
+ * Stable vector id for a chunk: same file + position + text (+ generation)
+ * gives the same id, so re-indexing unchanged content overwrites instead of
+ * duplicating. The sync scripts pass a generation so a re-index never
+ * overwrites the vectors it is replacing (see vector-generations.js).
+ * Keeps the `${fileId}_chunk_` prefix used to list a file's vectors.
+ */
+export function chunkVectorId(fileId, chunk, generation = null) {
+    const hash = crypto.createHash('sha256').update(chunk.text).digest('hex').slice(0, 16);
+    const id = `${fileId}_chunk_${chunk.index}_${hash}`;
+    return generation ? `${id}_g${generation}` : id;
+}
+
+/**
+ * Pinecone metadata describing where a chunk came from
+ */
+export function chunkLocationMetadata(chunk) {
+    const metadata = {
+        'loc.lines.from': chunk.lineFrom,
+        'loc.lines.to': chunk.lineTo,
+        'loc.chars.from': chunk.charStart,
+        'loc.chars.to': chunk.charEnd
+    };
+
+    const location = chunk.location || {};
+    if (location.page) metadata['loc.page'] = location.page;
+    if (location.slide) metadata['loc.slide'] = location.slide;
+    if (location.title) metadata['loc.title'] = location.title;
+    if (location.sheet) metadata['loc.sheet'] = location.sheet;
+    if (location.headingPath) metadata['loc.headingPath'] = location.headingPath;
+    if (location.ocrConfidence !== undefined) metadata['loc.ocrConfidence'] = location.ocrConfidence;
+    if (location.imageText) metadata['loc.imageText'] = true;
+    if (location.type === 'time') {
+        metadata['loc.time.from'] = Math.floor(location.from);
+        metadata['loc.time.to'] = Math.ceil(location.to);
+        metadata['loc.timestamp'] = formatTimestamp(location.from);
+    }
+
+    return metadata;
+}
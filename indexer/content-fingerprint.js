@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Content Fingerprints
+ *
+ * Word shingles (overlapping runs of words) of extracted text, to tell
+ * whether two texts are the same document whatever the file is called or
+ * which format it was exported to:
+ *
+ * - containment()       share of one text's shingles found in another
+ *                       (legacy matching, see legacy-matcher.js)
+ * - minHash()           compact signature of a text's shingles; signatures
+ *                       estimate shingle-set similarity (duplicate detection,
+ *                       see file-filters.js)
+ * - findSimilarPairs()  near-duplicate pairs among many signatures, without
+ *                       comparing every pair (locality-sensitive hashing)
+ * - FingerprintStore    signatures per Drive file, so unchanged files are not
+ *                       extracted again
+ */
+
+export const SHINGLE_SIZE = 5;
+export const SIGNATURE_SIZE = 128;
+
+// Estimated similarity at which two files are the same document
+export const DUPLICATE_SIMILARITY = 0.8;
+
+// LSH band size: pairs agreeing on all rows of any band are compared
+// (32 bands of 4 rows catch pairs from ~0.45 similarity up)
+const LSH_ROWS = 4;
+
+// Fixed seeds, so signatures stay comparable across runs
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => fmix32(Math.imul(i + 1, 0x9e3779b1)));
+
+/**
+ * Set of word shingles of a text (lowercased, punctuation ignored)
+ */
+export function shingles(text, size = SHINGLE_SIZE) {
+    const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const result = new Set();
+
+    if (words.length > 0 && words.length < size) {
+        result.add(words.join(' '));
+    }
+
+    for (let i = 0; i + size <= words.length; i++) {
+        result.add(words.slice(i, i + size).join(' '));
+    }
+
+    return result;
+}
+
+/**
+ * Share of `part`'s shingles that also occur in `whole` (0-1)
+ */
+export function containment(part, whole) {
+    if (part.size === 0) return 0;
+
+    let shared = 0;
+    for (const shingle of part) {
+        if (whole.has(shingle)) shared++;
+    }
+
+    return shared / part.size;
+}
+
+/**
+ * MinHash signature of a shingle set (null for an empty set)
+ */
+export function minHash(shingleSet) {
+    if (shingleSet.size === 0) return null;
+
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+
+    for (const shingle of shingleSet) {
+        const hash = fnv1a(shingle);
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = fmix32(hash ^ SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    }
+
+    return signature;
+}
+
+/**
+ * Estimated similarity (Jaccard) of the shingle sets behind two signatures
+ */
+export function similarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        if (a[i] === b[i]) equal++;
+    }
+    return equal / SIGNATURE_SIZE;
+}
+
+/**
+ * Pairs of ids whose signatures are at least `threshold` similar
+ * signatures: Map of id -> signature
+ * Returns [{ a, b, similarity }]
+ */
+export function findSimilarPairs(signatures, threshold = DUPLICATE_SIMILARITY) {
+    const buckets = new Map();
+
+    for (const [id, signature] of signatures) {
+        for (let start = 0; start < SIGNATURE_SIZE; start += LSH_ROWS) {
+            const key = `${start}:${signature.slice(start, start + LSH_ROWS).join(',')}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(id);
+        }
+    }
+
+    const seen = new Set();
+    const pairs = [];
+
+    for (const ids of buckets.values()) {
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const [a, b] = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+                const key = `${a}|${b}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                const score = similarity(signatures.get(a), signatures.get(b));
+                if (score >= threshold) pairs.push({ a, b, similarity: score });
+            }
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * MinHash signatures of Drive files (state/content-fingerprints.json),
+ * valid while the file's modifiedTime is unchanged
+ */
+export class FingerprintStore {
+    constructor(options = {}) {
+        const stateDir = options.stateDir || process.env.SYNC_STATE_DIR || './state';
+        this.path = path.join(stateDir, 'content-fingerprints.json');
+        this.fingerprints = {};
+        this.changed = false;
+    }
+
+    async load() {
+        try {
+            this.fingerprints = JSON.parse(await fs.readFile(this.path, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.fingerprints = {};
+        }
+        return this;
+    }
+
+    async save() {
+        if (!this.changed) return;
+
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        const tempPath = `${this.path}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.fingerprints));
+        await fs.rename(tempPath, this.path);
+        this.changed = false;
+    }
+
+    /**
+     * Whether the file has a signature for its current version
+     * (a null signature means the file has no text)
+     */
+    has(file) {
+        return this.fingerprints[file.id]?.modifiedTime === file.modifiedTime;
+    }
+
+    /**
+     * Signature of the file's current version, or null
+     */
+    get(file) {
+        return this.has(file) ? this.fingerprints[file.id].signature : null;
+    }
+
+    set(file, signature) {
+        this.fingerprints[file.id] = { modifiedTime: file.modifiedTime, signature };
+        this.changed = true;
+    }
+}
+
+/**
+ * Helper: FNV-1a hash of a string (32 bit)
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Helper: Murmur3 finalizer - spreads a 32-bit value over all bits
+ */
+function fmix32(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
@@ -0,0 +1,149 @@
+import { DRIVE_METADATA_FIELDS } from './drive-metadata.js';
+
+/**
+ * Google Drive Change Tracker
+ *
+ * Incremental sync support using the Drive Changes API: instead of listing the
+ * whole folder tree, read only what changed since a stored start page token.
+ *
+ * A file counts as "inside" the synced folder if one of its parents is the
+ * root folder or a folder seen under it during the last full scan. Folder
+ * changes that could move whole subtrees in or out of the root can't be
+ * resolved from the change list alone, so they request a full scan instead.
+ */
+export class DriveChangeTracker {
+    constructor(drive, rootFolderId, knownFolderIds = [], listParams = {}) {
+        this.drive = drive;
+        this.rootFolderId = rootFolderId;
+        this.knownFolderIds = new Set(knownFolderIds);
+        this.listParams = listParams;  // e.g. includeLabels for sync policy label rules
+        this.driveId = undefined;
+    }
+
+    /**
+     * Shared drive id of the root folder (null for My Drive)
+     */
+    async getDriveId() {
+        if (this.driveId === undefined) {
+            const response = await this.drive.files.get({
+                fileId: this.rootFolderId,
+                fields: 'id, driveId',
+                supportsAllDrives: true
+            });
+            this.driveId = response.data.driveId || null;
+        }
+
+        return this.driveId;
+    }
+
+    /**
+     * Get a page token marking "now" - changes after this point will be listed
+     */
+    async getStartPageToken() {
+        const driveId = await this.getDriveId();
+        const response = await this.drive.changes.getStartPageToken({
+            supportsAllDrives: true,
+            ...(driveId ? { driveId } : {})
+        });
+
+        return response.data.startPageToken;
+    }
+
+    /**
+     * Check whether a file currently lives under the root folder
+     */
+    isInsideRoot(file) {
+        return (file.parents || []).some(parentId =>
+            parentId === this.rootFolderId || this.knownFolderIds.has(parentId)
+        );
+    }
+
+    /**
+     * List all changes since pageToken
+     *
+     * Returns:
+     *   changes            latest change per file id (non-folder items only)
+     *   newStartPageToken  token to store for the next run
+     *   fullScanReason     set when the changes can't be applied incrementally
+     */
+    async listChanges(pageToken) {
+        const driveId = await this.getDriveId();
+        const changesByFile = new Map();
+        let fullScanReason = null;
+        let newStartPageToken = null;
+        let nextPageToken = pageToken;
+
+        while (nextPageToken) {
+            const response = await this.drive.changes.list({
+                pageToken: nextPageToken,
+                fields: `nextPageToken, newStartPageToken, changes(fileId, removed, time, file(${DRIVE_METADATA_FIELDS}, trashed, shortcutDetails(targetId, targetMimeType)))`,
+                pageSize: 1000,
+                includeRemoved: true,
+                supportsAllDrives: true,
+                includeItemsFromAllDrives: true,
+                ...(driveId ? { driveId } : {}),
+                ...this.listParams
+            });
+
+            for (const change of response.data.changes || []) {
+                const file = change.file;
+
+                if (file && file.mimeType === 'application/vnd.google-apps.folder') {
+                    const reason = this.applyFolderChange(change);
+                    if (reason && !fullScanReason) fullScanReason = reason;
+                    continue;
+                }
+
+                if (change.removed && this.knownFolderIds.has(change.fileId)) {
+                    this.knownFolderIds.delete(change.fileId);
+                    if (!fullScanReason) fullScanReason = `Folder ${change.fileId} was removed`;
+                    continue;
+                }
+
+                // Changes are returned oldest first - keep the latest per file
+                changesByFile.set(change.fileId, change);
+            }
+
+            nextPageToken = response.data.nextPageToken;
+            if (response.data.newStartPageToken) {
+                newStartPageToken = response.data.newStartPageToken;
+            }
+        }
+
+        return {
+            changes: Array.from(changesByFile.values()),
+            newStartPageToken,
+            fullScanReason
+        };
+    }
+
+    /**
+     * Helper: Track a folder change, returning a reason if a full scan is needed
+     */
+    applyFolderChange(change) {
+        const folder = change.file;
+        const wasInside = this.knownFolderIds.has(folder.id);
+        const isInside = !folder.trashed && this.isInsideRoot(folder);
+
+        if (wasInside && !isInside) {
+            this.knownFolderIds.delete(folder.id);
+            return `Folder "${folder.name}" was moved out of the root folder or trashed`;
+        }
+
+        if (!wasInside && isInside) {
+            // New folder or a folder moved in with its contents - can't tell which
+            this.knownFolderIds.add(folder.id);
+            return `Folder "${folder.name}" was added under the root folder`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether an API error means the stored page token is unusable
+     */
+    static isInvalidTokenError(error) {
+        const status = error.code || error.response?.status;
+        return status === 400 || status === 404 || /page\s*token/i.test(error.message || '');
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Drive File Metadata
+ *
+ * The Drive fields every indexer requests (the schema in
+ * INTELLIGENT-INDEXING-PLAN-V2.md, plus ownership, description and labels),
+ * and the file details derived from them that the sync manifest, the vector
+ * metadata (vector-metadata.js) and the document catalog keep.
+ *
+ * Drive only returns the labels a request names (includeLabels): the label
+ * ids the sync policy's rules use, plus any listed in DRIVE_LABEL_IDS
+ * (comma-separated), are requested.
+ */
+
+// Includes the fields the sync policy reads (owners, labels)
+export const DRIVE_METADATA_FIELDS = [
+    'id, name, mimeType, modifiedTime, createdTime, webViewLink',
+    'parents, size, version, md5Checksum, description',
+    'owners(displayName, emailAddress), lastModifyingUser(displayName, emailAddress)',
+    'labelInfo(labels(id))'
+].join(', ');
+
+/**
+ * Drive label ids to request: those policy rules check, plus DRIVE_LABEL_IDS
+ */
+export function driveLabelIds(policy) {
+    const configured = (process.env.DRIVE_LABEL_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    return [...new Set([...(policy?.labelIds() || []), ...configured])];
+}
+
+/**
+ * Drive list / get parameters that return those labels
+ */
+export function driveLabelParams(policy) {
+    const labelIds = driveLabelIds(policy);
+    return labelIds.length > 0 ? { includeLabels: labelIds.join(',') } : {};
+}
+
+/**
+ * Ownership, description, labels and parents of a Drive file:
+ * { owners: [{ name, email }], lastModifiedBy: { name, email } | null, description, labels, parents }
+ *
+ * Files in shared drives have no owners.
+ */
+export function driveFileDetails(file) {
+    return {
+        owners: (file.owners || []).map(describeUser),
+        lastModifiedBy: file.lastModifyingUser ? describeUser(file.lastModifyingUser) : null,
+        description: file.description || null,
+        labels: (file.labelInfo?.labels || []).map(label => label.id),
+        parents: file.parents || []
+    };
+}
+
+/**
+ * Whether a file's owners, description or labels differ from a manifest
+ * entry's (false for entries indexed before they were recorded)
+ */
+export function driveDetailsChanged(file, entry) {
+    if (entry.owners === undefined) return false;
+
+    const key = details => JSON.stringify([
+        details.owners.map(owner => owner.email),
+        details.description || null,
+        [...(details.labels || [])].sort()
+    ]);
+    return key(driveFileDetails(file)) !== key(entry);
+}
+
+/**
+ * Display name of a user ({ name, email }), the email when it has no name
+ */
+export function userLabel(user) {
+    return user?.name || user?.email || '';
+}
+
+/**
+ * Helper: { name, email } of a Drive user
+ */
+function describeUser({ displayName, emailAddress }) {
+    return { name: displayName || null, email: emailAddress || null };
+}
@@ -0,0 +1,65 @@
+/**
+ * Drive Folder Paths
+ *
+ * Folder path of a Drive file under the sync root folder ('' directly in it),
+ * for sync policy folder rules when the file wasn't found by a folder scan
+ * (incremental sync, `npm run policy -- explain`). Folder lookups are cached.
+ */
+export class DriveFolderPaths {
+    constructor(drive, rootFolderId) {
+        this.drive = drive;
+        this.rootFolderId = rootFolderId;
+        this.paths = new Map();
+    }
+
+    /**
+     * Folder path of a file, or null if it isn't under the root folder
+     */
+    async pathOf(file) {
+        for (const parentId of file.parents || []) {
+            const folderPath = await this.folderPath(parentId, new Set());
+            if (folderPath !== null) return folderPath;
+        }
+
+        return null;
+    }
+
+    /**
+     * Helper: Path of a folder under the root (null outside it), walking up its parents
+     */
+    async folderPath(folderId, seen) {
+        if (folderId === this.rootFolderId) return '';
+        if (this.paths.has(folderId)) return this.paths.get(folderId);
+        if (seen.has(folderId)) return null;
+        seen.add(folderId);
+
+        let folder;
+        try {
+            const response = await this.drive.files.get({
+                fileId: folderId,
+                fields: 'id, name, parents',
+                supportsAllDrives: true
+            });
+            folder = response.data;
+        } catch (error) {
+            const status = error.code || error.response?.status;
+            if (status !== 403 && status !== 404) throw error;
+
+            // Not visible to the service account - can't be under the root
+            this.paths.set(folderId, null);
+            return null;
+        }
+
+        let folderPath = null;
+        for (const parentId of folder.parents || []) {
+            const parentPath = await this.folderPath(parentId, seen);
+            if (parentPath !== null) {
+                folderPath = parentPath ? `${parentPath}/${folder.name}` : folder.name;
+                break;
+            }
+        }
+
+        this.paths.set(folderId, folderPath);
+        return folderPath;
+    }
+}
@@ -0,0 +1,106 @@
+export const SHORTCUT_MIME_TYPE = 'application/vnd.google-apps.shortcut';
+export const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Google Drive Shortcut Resolution
+ *
+ * Much of the curated collateral folder is shortcuts into other shared
+ * drives. A shortcut is indexed as its target file:
+ *
+ * - The target's id, name, type and revision are used (the manifest and the
+ *   vectors are keyed by the target id), so a target reached through several
+ *   shortcuts - or also directly - is indexed once
+ * - The shortcut's folder stays the file's path (the citation location), and
+ *   the file carries `shortcut: { id, name, path }`
+ * - Targets the service account can't read (not shared with it, deleted,
+ *   trashed) and shortcuts to folders are returned with `shortcutError` set,
+ *   so the filters skip them with rule shortcut-unreadable and the sync
+ *   prints them as a permission report
+ */
+export class ShortcutResolver {
+    /**
+     * fields: Drive fields of a target; params: () => extra files.get
+     * parameters (e.g. includeLabels)
+     */
+    constructor(drive, fields, params = () => ({})) {
+        this.drive = drive;
+        this.fields = fields;
+        this.params = params;
+    }
+
+    /**
+     * Replace the shortcuts in a file list by their targets
+     * (files: Drive files with path, as listed by the sync engine)
+     */
+    async resolve(files) {
+        const resolved = [];
+        const byId = new Map();
+
+        for (const file of files.filter(file => !isShortcut(file))) {
+            byId.set(file.id, file);
+            resolved.push(file);
+        }
+
+        for (const shortcut of files.filter(isShortcut)) {
+            const targetId = shortcut.shortcutDetails?.targetId;
+            const known = byId.get(targetId);
+
+            // Indexed once - directly, or through the first shortcut seen
+            if (known) continue;
+
+            const target = await this.fetchTarget(shortcut);
+            if (target.shortcutError) {
+                resolved.push(target);
+                continue;
+            }
+
+            byId.set(target.id, target);
+            resolved.push(target);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Helper: A shortcut's target as a file at the shortcut's location, or the
+     * shortcut with shortcutError set
+     */
+    async fetchTarget(shortcut) {
+        const targetId = shortcut.shortcutDetails?.targetId;
+        const unreadable = reason => ({ ...shortcut, shortcutError: reason });
+
+        if (!targetId) return unreadable('Shortcut has no target');
+        if (shortcut.shortcutDetails.targetMimeType === FOLDER_MIME_TYPE) {
+            return unreadable('Shortcut to a folder (not followed)');
+        }
+
+        let target;
+        try {
+            const response = await this.drive.files.get({
+                fileId: targetId,
+                fields: this.fields,
+                supportsAllDrives: true,
+                ...this.params()
+            });
+            target = response.data;
+        } catch (error) {
+            const status = error.code || error.response?.status;
+            if (status === 404) return unreadable(`Target ${targetId} not found or not shared with the service account`);
+            if (status === 403) return unreadable(`No permission to read target ${targetId}`);
+            throw error;
+        }
+
+        if (target.trashed) return unreadable(`Target "${target.name}" is in the trash`);
+
+        return {
+            ...target,
+            path: shortcut.path,
+            folderId: shortcut.folderId,
+            shortcut: { id: shortcut.id, name: shortcut.name, path: shortcut.path }
+        };
+    }
+}
+
+export function isShortcut(file) {
+    return file.mimeType === SHORTCUT_MIME_TYPE;
+}
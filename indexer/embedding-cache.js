@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Embedding Cache
+ *
+ * Content-addressed store of embeddings on local disk, so re-indexing a
+ * modified file only pays for the chunks that actually changed, and a full
+ * rebuild after wiping Pinecone costs (almost) nothing.
+ *
+ * Key: sha256 of model + normalized text (Unicode NFC, whitespace collapsed).
+ * Each embedding is one file of raw little-endian float32 values:
+ *
+ *   state/embedding-cache/<namespace>/<2 hex chars>/<sha256>.f32
+ *
+ * The namespace is the model name, plus the endpoint host when
+ * EMBEDDING_BASE_URL is set, so vectors from another endpoint (e.g. the mock
+ * server) never mix with real ones.
+ *
+ * Entries never expire. Delete the folder to clear it; set
+ * EMBEDDING_CACHE_DIR to keep it elsewhere.
+ */
+export class EmbeddingCache {
+    constructor(options = {}) {
+        this.cacheDir = options.cacheDir || process.env.EMBEDDING_CACHE_DIR ||
+            path.join(process.env.SYNC_STATE_DIR || './state', 'embedding-cache');
+        this.stats = { hits: 0, misses: 0, writes: 0 };
+    }
+
+    /**
+     * Cache key for a text embedded with a model
+     */
+    key(text, model) {
+        return crypto.createHash('sha256')
+            .update(`${model}\n${normalizeText(text)}`)
+            .digest('hex');
+    }
+
+    /**
+     * Cached embedding, or null
+     */
+    async get(text, model, namespace = model) {
+        const file = this.entryPath(this.key(text, model), namespace);
+
+        try {
+            const buffer = await fs.readFile(file);
+            const values = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+            this.stats.hits++;
+            return Array.from(values);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.stats.misses++;
+            return null;
+        }
+    }
+
+    /**
+     * Store an embedding (write to temp file, then rename)
+     */
+    async set(text, model, embedding, namespace = model) {
+        const file = this.entryPath(this.key(text, model), namespace);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, Buffer.from(new Float32Array(embedding).buffer));
+        await fs.rename(tmpFile, file);
+        this.stats.writes++;
+    }
+
+    /**
+     * Helper: Sharded path of a cache entry
+     */
+    entryPath(key, namespace) {
+        const safeNamespace = namespace.replace(/[^\w.@-]/g, '_');
+        return path.join(this.cacheDir, safeNamespace, key.slice(0, 2), `${key}.f32`);
+    }
+}
+
+/**
+ * Helper: Text as used for the cache key (whitespace-only edits hit the cache)
+ */
+function normalizeText(text) {
+    return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
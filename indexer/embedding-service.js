@@ -0,0 +1,265 @@
+import OpenAI from 'openai';
+import { countTokens } from './chunker.js';
+import { EmbeddingCache } from './embedding-cache.js';
+
+// OpenAI embeddings API limits per request
+const MAX_BATCH_INPUTS = 2048;
+const MAX_BATCH_TOKENS = 300000;
+
+// USD per 1M input tokens
+export const EMBEDDING_PRICES = {
+    'text-embedding-3-large': 0.13,
+    'text-embedding-3-small': 0.02,
+    'text-embedding-ada-002': 0.10
+};
+
+/**
+ * Embedding Service
+ *
+ * Shared by every indexer instead of one embeddings.create() call per chunk:
+ * - Batches inputs up to the API limits (2048 inputs / 300K tokens per request)
+ * - Runs batches with bounded concurrency
+ * - Optional tokens-per-minute limit (EMBEDDING_TPM)
+ * - Retries 429, 5xx and connection errors with exponential backoff and
+ *   jitter, honoring Retry-After
+ * - Tracks requests, tokens and cost for the run (logUsage())
+ * - Looks every text up in the local embedding cache first (see
+ *   embedding-cache.js), so unchanged chunks are never embedded twice.
+ *   Disable with EMBEDDING_CACHE=false
+ *
+ * Set EMBEDDING_BASE_URL to use another OpenAI-compatible endpoint, e.g. the
+ * local mock server (npm run mock-embeddings) for offline testing:
+ *   EMBEDDING_BASE_URL=http://localhost:8089/v1
+ */
+export class EmbeddingService {
+    constructor(options = {}) {
+        this.model = options.model || 'text-embedding-3-large';
+        this.baseURL = options.baseURL || process.env.EMBEDDING_BASE_URL || undefined;
+
+        // Retries are handled here, not by the SDK
+        this.client = options.client || new OpenAI({
+            apiKey: options.apiKey || process.env.OPENAI_API_KEY || (this.baseURL ? 'local' : undefined),
+            baseURL: this.baseURL,
+            maxRetries: 0
+        });
+
+        this.maxBatchInputs = Math.min(options.maxBatchInputs || MAX_BATCH_INPUTS, MAX_BATCH_INPUTS);
+        this.maxBatchTokens = Math.min(options.maxBatchTokens || MAX_BATCH_TOKENS, MAX_BATCH_TOKENS);
+        this.concurrency = options.concurrency || Number(process.env.EMBEDDING_CONCURRENCY) || 4;
+        this.tokensPerMinute = options.tokensPerMinute || Number(process.env.EMBEDDING_TPM) || null;
+        this.maxRetries = options.maxRetries ?? 6;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 60000;
+
+        this.cache = options.cache === false || process.env.EMBEDDING_CACHE === 'false'
+            ? null
+            : options.cache || new EmbeddingCache();
+        this.cacheNamespace = this.baseURL ? `${this.model}@${new URL(this.baseURL).host}` : this.model;
+
+        this.usage = { requests: 0, retries: 0, inputs: 0, tokens: 0, cached: 0, cachedTokens: 0 };
+        this.recentRequests = [];
+    }
+
+    /**
+     * Embed texts, returning one embedding per text in the same order
+     */
+    async embed(texts) {
+        const embeddings = await this.readCache(texts);
+        const missing = texts.map((_, index) => index).filter(index => !embeddings[index]);
+        const batches = this.createBatches(texts, missing);
+        let next = 0;
+        let failed = false;
+
+        const worker = async () => {
+            while (!failed && next < batches.length) {
+                const batch = batches[next++];
+                try {
+                    const vectors = await this.embedBatch(batch);
+                    batch.indices.forEach((index, i) => {
+                        embeddings[index] = vectors[i];
+                    });
+                    await this.writeCache(batch.texts, vectors);
+                } catch (error) {
+                    failed = true;
+                    throw error;
+                }
+            }
+        };
+
+        const workers = Math.min(this.concurrency, batches.length);
+        await Promise.all(Array.from({ length: workers }, worker));
+        return embeddings;
+    }
+
+    /**
+     * Embed a single text
+     */
+    async embedOne(text) {
+        const [embedding] = await this.embed([text]);
+        return embedding;
+    }
+
+    /**
+     * Estimated cost of this run so far (USD)
+     */
+    get cost() {
+        return (this.usage.tokens / 1_000_000) * (EMBEDDING_PRICES[this.model] || 0);
+    }
+
+    /**
+     * Estimated cost avoided by cache hits (USD)
+     */
+    get savedCost() {
+        return (this.usage.cachedTokens / 1_000_000) * (EMBEDDING_PRICES[this.model] || 0);
+    }
+
+    logUsage() {
+        console.log(`💰 Embeddings: ${this.usage.inputs} inputs in ${this.usage.requests} requests, ` +
+            `${this.usage.tokens.toLocaleString()} tokens, $${this.cost.toFixed(4)} (${this.model})` +
+            (this.usage.retries > 0 ? `, ${this.usage.retries} retries` : ''));
+
+        if (this.usage.cached > 0) {
+            console.log(`♻️  Embedding cache: ${this.usage.cached} hits, ` +
+                `${this.usage.cachedTokens.toLocaleString()} tokens saved ($${this.savedCost.toFixed(4)})`);
+        }
+    }
+
+    /**
+     * Helper: Cached embeddings by position (undefined where not cached)
+     */
+    async readCache(texts) {
+        const embeddings = new Array(texts.length);
+        if (!this.cache) return embeddings;
+
+        const cached = await Promise.all(texts.map(text => this.cache.get(text, this.model, this.cacheNamespace)));
+
+        cached.forEach((embedding, index) => {
+            if (!embedding) return;
+            embeddings[index] = embedding;
+            this.usage.cached++;
+            this.usage.cachedTokens += countTokens(texts[index]);
+        });
+
+        return embeddings;
+    }
+
+    /**
+     * Helper: Store new embeddings (a failed write only costs a future re-embed)
+     */
+    async writeCache(texts, vectors) {
+        if (!this.cache) return;
+
+        try {
+            await Promise.all(texts.map((text, i) => this.cache.set(text, this.model, vectors[i], this.cacheNamespace)));
+        } catch (error) {
+            console.log(`   ⚠️  Embedding cache write failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Helper: Group texts (at the given positions) into batches within the
+     * per-request input and token limits
+     */
+    createBatches(texts, indices) {
+        const batches = [];
+        let current = { indices: [], texts: [], tokens: 0 };
+
+        indices.forEach(index => {
+            const text = texts[index];
+            const tokens = countTokens(text);
+
+            if (current.texts.length > 0 && (
+                current.texts.length >= this.maxBatchInputs ||
+                current.tokens + tokens > this.maxBatchTokens
+            )) {
+                batches.push(current);
+                current = { indices: [], texts: [], tokens: 0 };
+            }
+
+            current.indices.push(index);
+            current.texts.push(text);
+            current.tokens += tokens;
+        });
+
+        if (current.texts.length > 0) batches.push(current);
+        return batches;
+    }
+
+    /**
+     * Helper: One embeddings request, retried on rate limits and server errors
+     */
+    async embedBatch(batch) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForRateLimit(batch.tokens);
+
+            try {
+                const response = await this.client.embeddings.create({
+                    model: this.model,
+                    input: batch.texts
+                });
+
+                this.usage.requests++;
+                this.usage.inputs += batch.texts.length;
+                this.usage.tokens += response.usage?.total_tokens ?? batch.tokens;
+
+                return [...response.data]
+                    .sort((a, b) => a.index - b.index)
+                    .map(item => item.embedding);
+            } catch (error) {
+                if (attempt >= this.maxRetries || !isRetryable(error)) throw error;
+
+                const delay = this.retryDelay(error, attempt);
+                this.usage.retries++;
+                console.log(`   ⏳ Embedding request failed (${error.status || error.message}), ` +
+                    `retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${this.maxRetries})`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Helper: Retry-After from the response, else exponential backoff with jitter
+     */
+    retryDelay(error, attempt) {
+        const retryAfterMs = Number(error.headers?.['retry-after-ms']);
+        if (retryAfterMs > 0) return Math.min(retryAfterMs, this.maxDelayMs);
+
+        const retryAfter = Number(error.headers?.['retry-after']);
+        if (retryAfter > 0) return Math.min(retryAfter * 1000, this.maxDelayMs);
+
+        const backoff = Math.min(this.baseDelayMs * 2 ** attempt, this.maxDelayMs);
+        return backoff / 2 + Math.random() * (backoff / 2);
+    }
+
+    /**
+     * Helper: Wait until the request fits in the tokens-per-minute budget
+     */
+    async waitForRateLimit(tokens) {
+        if (!this.tokensPerMinute) return;
+
+        for (;;) {
+            const now = Date.now();
+            this.recentRequests = this.recentRequests.filter(request => now - request.time < 60000);
+            const used = this.recentRequests.reduce((sum, request) => sum + request.tokens, 0);
+
+            if (this.recentRequests.length === 0 || used + tokens <= this.tokensPerMinute) {
+                this.recentRequests.push({ time: now, tokens });
+                return;
+            }
+
+            await sleep(this.recentRequests[0].time + 60000 - now);
+        }
+    }
+}
+
+/**
+ * Helper: Rate limits, server errors and network failures are worth retrying
+ */
+function isRetryable(error) {
+    if (error instanceof OpenAI.APIConnectionError) return true;
+    return error.status === 429 || error.status >= 500;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
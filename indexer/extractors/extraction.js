@@ -0,0 +1,115 @@
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Extraction Result Helpers
+ *
+ * Every extractor returns the same structured shape:
+ * {
+ *   text,                // full document text (sections joined by blank lines)
+ *   sections: [{
+ *     text,
+ *     start, end,        // character offsets of the section within text
+ *     imageStart,        // offset where its image text begins (when it has any)
+ *     location           // where it came from, e.g.
+ *                        //   { type: 'page', page: 3 }
+ *                        //   { type: 'page', page: 4, ocrConfidence: 91 }  (OCRed page)
+ *                        //   { type: 'slide', slide: 14, title: 'Pricing' }
+ *                        //   { type: 'sheet', sheet: 'Price List' }
+ *                        //   { type: 'heading', headingPath: ['Battle Card', 'Pricing'] }
+ *                        //   { type: 'time', from: 754.2, to: 812 }  (recording, seconds)
+ *                        //   { type: 'document' }
+ *   }],
+ *   pages,               // page / slide / sheet count where the format has one
+ *   method               // 'api' | 'parse' | 'ocr' | 'parse+ocr' (some pages OCRed) | 'transcript'
+ * }
+ */
+
+/**
+ * Build an extraction result from raw sections (empty sections are dropped).
+ * A section's `imageText` (OCR of its pictures, see image-text.js) is
+ * appended under an "Image text:" label.
+ */
+export function createExtraction(sections, { pages = null, method = 'parse' } = {}) {
+    const kept = [];
+    let text = '';
+
+    for (const section of sections) {
+        let sectionText = (section.text || '').replace(/\s+$/, '');
+        const imageText = (section.imageText || '').trim();
+        let imageStart = null;
+
+        if (imageText) {
+            if (sectionText.trim()) sectionText += '\n\n';
+            imageStart = sectionText.length;
+            sectionText += `Image text:\n${imageText}`;
+        }
+        if (!sectionText.trim()) continue;
+
+        if (text.length > 0) text += '\n\n';
+        const start = text.length;
+        text += sectionText;
+
+        kept.push({
+            text: sectionText,
+            start,
+            end: text.length,
+            ...(imageStart !== null && { imageStart: start + imageStart }),
+            location: section.location || { type: 'document' }
+        });
+    }
+
+    return {
+        text,
+        sections: kept,
+        pages: pages ?? null,
+        method
+    };
+}
+
+/**
+ * Concatenate text runs from Google Docs/Slides structural elements
+ */
+export function extractTextRuns(content) {
+    if (!content) return '';
+
+    let text = '';
+    for (const element of content) {
+        if (element.paragraph) {
+            for (const textElement of element.paragraph.elements || []) {
+                if (textElement.textRun) {
+                    text += textElement.textRun.content;
+                }
+            }
+        } else if (element.textRun) {
+            text += element.textRun.content;
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Download a binary Drive file into a Buffer
+ */
+export async function downloadDriveFile(drive, fileId) {
+    const response = await drive.files.get(
+        { fileId, alt: 'media', supportsAllDrives: true },
+        { responseType: 'arraybuffer' }
+    );
+
+    return Buffer.from(response.data);
+}
+
+/**
+ * Download a binary Drive file into a local file, streamed (for files too
+ * large to hold in memory, like recordings)
+ */
+export async function downloadDriveFileTo(drive, fileId, filePath) {
+    const response = await drive.files.get(
+        { fileId, alt: 'media', supportsAllDrives: true },
+        { responseType: 'stream' }
+    );
+
+    await pipeline(response.data, createWriteStream(filePath));
+}
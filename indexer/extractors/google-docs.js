@@ -0,0 +1,163 @@
+import { createExtraction } from './extraction.js';
+
+const HEADING_LEVELS = {
+    TITLE: 0,
+    HEADING_1: 1,
+    HEADING_2: 2,
+    HEADING_3: 3,
+    HEADING_4: 4,
+    HEADING_5: 5,
+    HEADING_6: 6
+};
+
+const ORDERED_GLYPHS = new Set([
+    'DECIMAL',
+    'ZERO_DECIMAL',
+    'UPPER_ALPHA',
+    'ALPHA',
+    'UPPER_ROMAN',
+    'ROMAN'
+]);
+
+/**
+ * Google Docs extractor - Markdown-like text that keeps the document structure:
+ * - Headings as "#", "##", ... and one section per heading, tagged with its
+ *   heading path (e.g. ['Battle Card', 'Objection Handling', 'Pricing'] -
+ *   a document title is the root of the path)
+ * - Bulleted / numbered lists as "- item" / "1. item", indented by nesting level
+ * - Tables as one "a | b | c" line per row (same layout as Slides and Sheets)
+ * - Links as [text](url)
+ */
+export class GoogleDocsExtractor {
+    constructor() {
+        this.mimeTypes = ['application/vnd.google-apps.document'];
+    }
+
+    async extract(file, { docs }) {
+        const doc = await docs.documents.get({ documentId: file.id });
+        const lists = doc.data.lists || {};
+        const listCounters = new Map();
+
+        const sections = [];
+        const headingPath = [];
+        let current = { lines: [], location: { type: 'document' } };
+
+        for (const element of doc.data.body?.content || []) {
+            if (element.table) {
+                current.lines.push(...this.renderTable(element.table));
+                continue;
+            }
+
+            if (!element.paragraph) continue;
+
+            const paragraph = element.paragraph;
+            const text = this.renderParagraphText(paragraph);
+            const level = HEADING_LEVELS[paragraph.paragraphStyle?.namedStyleType];
+
+            if (level !== undefined && text.trim()) {
+                // Start a new section under this heading
+                sections.push(current);
+                while (headingPath.length > 0 && headingPath[headingPath.length - 1].level >= level) {
+                    headingPath.pop();
+                }
+                headingPath.push({ level, title: text.trim() });
+                current = {
+                    lines: [],
+                    location: { type: 'heading', headingPath: headingPath.map(h => h.title) }
+                };
+
+                current.lines.push(`${'#'.repeat(Math.max(level, 1))} ${text.trim()}`);
+                continue;
+            }
+
+            if (paragraph.bullet && text.trim()) {
+                current.lines.push(this.renderListItem(paragraph.bullet, text.trim(), lists, listCounters));
+                continue;
+            }
+
+            current.lines.push(text);
+        }
+
+        sections.push(current);
+
+        return createExtraction(
+            sections.map(section => ({
+                text: section.lines.join('\n').replace(/\n{3,}/g, '\n\n'),
+                location: section.location
+            })),
+            { method: 'api' }
+        );
+    }
+
+    /**
+     * Helper: Paragraph text with links as [text](url), without the trailing newline
+     */
+    renderParagraphText(paragraph) {
+        let text = '';
+
+        for (const element of paragraph.elements || []) {
+            const run = element.textRun;
+            if (!run || !run.content) continue;
+
+            const url = run.textStyle?.link?.url;
+            const content = run.content.replace(/\n$/, '');
+
+            if (url && content.trim()) {
+                text += `[${content.trim()}](${url})`;
+            } else {
+                text += content;
+            }
+        }
+
+        // Docs uses vertical tab for soft line breaks
+        return text.replace(/\u000b/g, '\n');
+    }
+
+    /**
+     * Helper: "- item" or "N. item", indented two spaces per nesting level
+     */
+    renderListItem(bullet, text, lists, listCounters) {
+        const nestingLevel = bullet.nestingLevel || 0;
+        const indent = '  '.repeat(nestingLevel);
+        const glyphType = lists[bullet.listId]?.listProperties?.nestingLevels?.[nestingLevel]?.glyphType;
+
+        if (!ORDERED_GLYPHS.has(glyphType)) {
+            return `${indent}- ${text}`;
+        }
+
+        // Count per list and level; a shallower item restarts deeper levels
+        const key = `${bullet.listId}:${nestingLevel}`;
+        const number = (listCounters.get(key) || 0) + 1;
+        listCounters.set(key, number);
+        for (const counterKey of listCounters.keys()) {
+            const [listId, level] = counterKey.split(':');
+            if (listId === bullet.listId && Number(level) > nestingLevel) {
+                listCounters.delete(counterKey);
+            }
+        }
+
+        return `${indent}${number}. ${text}`;
+    }
+
+    /**
+     * Helper: One "a | b | c" line per table row (cell paragraphs joined with spaces)
+     */
+    renderTable(table) {
+        const lines = [];
+
+        for (const row of table.tableRows || []) {
+            const cells = (row.tableCells || []).map(cell =>
+                (cell.content || [])
+                    .filter(element => element.paragraph)
+                    .map(element => this.renderParagraphText(element.paragraph))
+                    .join(' ')
+                    .replace(/\s+/g, ' ')
+                    .trim()
+            );
+
+            if (cells.some(Boolean)) lines.push(cells.join(' | '));
+        }
+
+        return lines;
+    }
+}
@@ -0,0 +1,33 @@
+import { createExtraction } from './extraction.js';
+
+/**
+ * Google Sheets extractor - one section per sheet, rows rendered as "a | b | c"
+ */
+export class GoogleSheetsExtractor {
+    constructor() {
+        this.mimeTypes = ['application/vnd.google-apps.spreadsheet'];
+    }
+
+    async extract(file, { sheets }) {
+        const spreadsheet = await sheets.spreadsheets.get({ spreadsheetId: file.id });
+        const sections = [];
+
+        for (const sheet of spreadsheet.data.sheets || []) {
+            const sheetName = sheet.properties.title;
+            let text = `Sheet: ${sheetName}\n\n`;
+
+            const result = await sheets.spreadsheets.values.get({
+                spreadsheetId: file.id,
+                range: sheetName
+            });
+
+            for (const row of result.data.values || []) {
+                text += row.join(' | ') + '\n';
+            }
+
+            sections.push({ text, location: { type: 'sheet', sheet: sheetName } });
+        }
+
+        return createExtraction(sections, { pages: sections.length, method: 'api' });
+    }
+}
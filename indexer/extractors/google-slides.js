@@ -0,0 +1,134 @@
+import { createExtraction, extractTextRuns } from './extraction.js';
+
+const TITLE_PLACEHOLDERS = new Set(['TITLE', 'CENTERED_TITLE']);
+
+/**
+ * Google Slides extractor - one section per slide with shape text, grouped
+ * shapes, tables (rows as "a | b | c") and speaker notes, tagged with slide
+ * number and title (same layout as PPTX extraction). Pictures and linked
+ * Sheets charts are OCRed into the slide's image text (see image-text.js).
+ */
+export class GoogleSlidesExtractor {
+    constructor(options = {}) {
+        this.mimeTypes = ['application/vnd.google-apps.presentation'];
+        this.imageText = options.imageText || null;
+    }
+
+    async extract(file, { slides }) {
+        const presentation = await slides.presentations.get({ presentationId: file.id });
+        const pages = presentation.data.slides || [];
+
+        const imageTexts = await this.recognizeImages(pages);
+
+        const sections = pages.map((slide, i) => {
+            const pageElements = slide.pageElements || [];
+            const notes = this.getSpeakerNotes(slide);
+
+            let text = this.renderElements(pageElements).join('\n');
+            if (notes) {
+                text += `\n\nSpeaker notes:\n${notes}`;
+            }
+
+            return {
+                text,
+                imageText: imageTexts.get(i),
+                location: { type: 'slide', slide: i + 1, title: this.getTitle(pageElements) }
+            };
+        });
+
+        return createExtraction(sections, { pages: pages.length, method: 'api' });
+    }
+
+    /**
+     * Helper: Render page elements in order - shapes, tables and groups (recursively)
+     */
+    renderElements(pageElements, lines = []) {
+        for (const element of pageElements) {
+            if (element.shape?.text) {
+                for (const line of extractTextRuns(element.shape.text.textElements).split('\n')) {
+                    if (line.trim()) lines.push(line);
+                }
+            } else if (element.table) {
+                for (const row of element.table.tableRows || []) {
+                    const cells = (row.tableCells || []).map(cell =>
+                        extractTextRuns(cell.text?.textElements).replace(/\s+/g, ' ').trim()
+                    );
+                    if (cells.some(Boolean)) lines.push(cells.join(' | '));
+                }
+            } else if (element.elementGroup) {
+                this.renderElements(element.elementGroup.children || [], lines);
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Helper: OCR every slide's pictures and charts: Map slide index -> text
+     */
+    async recognizeImages(pages) {
+        if (!this.imageText) return new Map();
+
+        const images = [];
+        for (const [i, slide] of pages.entries()) {
+            for (const [n, url] of this.getImageUrls(slide.pageElements || []).entries()) {
+                // contentUrl is a short-lived link that works without credentials
+                const response = await fetch(url).catch(() => null);
+                if (!response?.ok) continue;
+                images.push({ key: `${i}:${n}`, slide: i, content: Buffer.from(await response.arrayBuffer()) });
+            }
+        }
+
+        const texts = await this.imageText.recognize(images);
+        const bySlide = new Map();
+        for (const image of images) {
+            if (!texts.has(image.key)) continue;
+            bySlide.set(image.slide, [bySlide.get(image.slide), texts.get(image.key)].filter(Boolean).join('\n\n'));
+        }
+        return bySlide;
+    }
+
+    /**
+     * Helper: Content URLs of pictures and Sheets charts, searching inside groups too
+     */
+    getImageUrls(pageElements, urls = []) {
+        for (const element of pageElements) {
+            const url = element.image?.contentUrl || element.sheetsChart?.contentUrl;
+            if (url) urls.push(url);
+
+            if (element.elementGroup) {
+                this.getImageUrls(element.elementGroup.children || [], urls);
+            }
+        }
+        return urls;
+    }
+
+    /**
+     * Helper: Text of the title placeholder, searching inside groups too
+     */
+    getTitle(pageElements) {
+        for (const element of pageElements) {
+            if (element.shape?.text && TITLE_PLACEHOLDERS.has(element.shape.placeholder?.type)) {
+                const title = extractTextRuns(element.shape.text.textElements).replace(/\s+/g, ' ').trim();
+                if (title) return title;
+            }
+
+            if (element.elementGroup) {
+                const title = this.getTitle(element.elementGroup.children || []);
+                if (title) return title;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Helper: Speaker notes (the notes page shape named by speakerNotesObjectId)
+     */
+    getSpeakerNotes(slide) {
+        const notesPage = slide.slideProperties?.notesPage;
+        const notesId = notesPage?.notesProperties?.speakerNotesObjectId;
+        if (!notesId) return '';
+
+        const notesShape = (notesPage.pageElements || []).find(element => element.objectId === notesId);
+        return extractTextRuns(notesShape?.shape?.text?.textElements).trim();
+    }
+}
@@ -0,0 +1,105 @@
+import { OcrWorkerPool, createOcrCache } from './ocr.js';
+
+// Formats Tesseract reads (EMF / WMF / SVG pictures are skipped)
+const OCR_IMAGE_TYPES = /\.(png|jpe?g|gif|bmp|tiff?|webp)$/i;
+
+/**
+ * Image Text Recognizer
+ *
+ * OCR for pictures embedded in slides and pages - ROI screenshots, tables
+ * pasted as images, chart images. Extractors hand over the images of a
+ * document and attach the recognized text to the owning section as
+ * `imageText` (see createExtraction), so it is chunked with that slide or
+ * page and marked as image-derived.
+ *
+ * Skipped: images under minBytes (icons, logos, bullets) and results under
+ * minConfidence or without a word of text (photos). Results are cached by
+ * the image's md5 (see ocr.js).
+ *
+ * Disable with IMAGE_OCR=false (or ocr: false on the extractor registry).
+ */
+export class ImageTextRecognizer {
+    constructor(options = {}) {
+        this.minBytes = options.minBytes ?? 10000;
+        this.minConfidence = options.minConfidence ?? 60;
+        this.cache = options.cache === undefined ? createOcrCache() : options.cache;
+        this.createPool = options.createPool || (() => new OcrWorkerPool());
+    }
+
+    /**
+     * Whether an image part / file name is in a format Tesseract reads
+     */
+    supports(name) {
+        return OCR_IMAGE_TYPES.test(name);
+    }
+
+    /**
+     * OCR a document's images ([{ key, content: Buffer }]): Map key -> text,
+     * for the images that yielded usable text
+     */
+    async recognize(images) {
+        const candidates = images.filter(image => image.content?.length >= this.minBytes);
+        const results = new Map();
+        if (candidates.length === 0) return results;
+
+        const pending = [];
+        for (const image of candidates) {
+            const cacheKey = this.cache?.key(image.content);
+            const cached = this.cache ? (await this.cache.load(cacheKey)).image : null;
+
+            if (cached) this.keep(results, image.key, cached);
+            else pending.push({ ...image, cacheKey });
+        }
+
+        if (pending.length > 0) {
+            const pool = this.createPool();
+            try {
+                await Promise.all(pending.map(async image => {
+                    const result = await pool.recognize(image.content);
+                    if (this.cache) await this.cache.save(image.cacheKey, { image: result });
+                    this.keep(results, image.key, result);
+                }));
+            } finally {
+                await pool.terminate();
+            }
+        }
+
+        console.log(`   🖼️  Image OCR: text in ${results.size} of ${candidates.length} images (${candidates.length - pending.length} cached)`);
+        return results;
+    }
+
+    /**
+     * Helper: Keep a result if it is confident and has at least one word
+     */
+    keep(results, key, { text, confidence }) {
+        if (confidence >= this.minConfidence && /[A-Za-z0-9]{2,}/.test(text)) {
+            results.set(key, text.trim());
+        }
+    }
+}
+
+/**
+ * Create the recognizer unless image OCR is disabled (IMAGE_OCR=false)
+ */
+export function createImageTextRecognizer(options = {}) {
+    if (options.ocr === false || process.env.IMAGE_OCR === 'false') return null;
+    return new ImageTextRecognizer(options);
+}
+
+/**
+ * Lines of OCR text that aren't already in a page's text layer (case and
+ * whitespace ignored) - the text of its images
+ */
+export function textNotIn(ocrText, pageText) {
+    const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    const known = normalize(pageText);
+
+    return ocrText
+        .split('\n\n')
+        .map(paragraph => paragraph
+            .split('\n')
+            .filter(line => normalize(line).length > 2 && !known.includes(normalize(line)))
+            .join('\n'))
+        .filter(Boolean)
+        .join('\n\n');
+}
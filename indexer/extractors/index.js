@@ -0,0 +1,117 @@
+import { downloadDriveFile } from './extraction.js';
+import { GoogleDocsExtractor } from './google-docs.js';
+import { GoogleSlidesExtractor } from './google-slides.js';
+import { GoogleSheetsExtractor } from './google-sheets.js';
+import { PdfExtractor } from './pdf.js';
+import { DocxExtractor, PptxExtractor, XlsxExtractor } from './office.js';
+import { PlainTextExtractor } from './plain-text.js';
+import { createImageTextRecognizer } from './image-text.js';
+import { MediaTranscriptExtractor, transcriptionAvailable } from './media.js';
+
+export { createExtraction } from './extraction.js';
+
+/**
+ * Extractor Registry
+ *
+ * Single place that knows how to turn a Drive file into text. Every indexing
+ * entry point (initial index, single-file index, sync) goes through it, so a
+ * format registered here is supported everywhere and extracts identically.
+ *
+ * An extractor is an object with:
+ * - mimeTypes                          MIME types it handles
+ * - extract(file, clients)             for Google-native files read via API, or
+ * - extractBuffer(buffer, file, ...)   for binary files (registry downloads them)
+ *
+ * Both return the structured result built by createExtraction().
+ *
+ * Clients: { drive, docs, slides, sheets } googleapis instances. Only needed
+ * for extract() on Drive files - extractBuffer() works without them.
+ */
+export class ExtractorRegistry {
+    constructor(clients = {}) {
+        this.clients = clients;
+        this.extractors = new Map();
+    }
+
+    /**
+     * Register an extractor for each of its MIME types (later registrations win)
+     */
+    register(extractor) {
+        for (const mimeType of extractor.mimeTypes) {
+            this.extractors.set(mimeType, extractor);
+        }
+        return this;
+    }
+
+    supports(mimeType) {
+        return this.extractors.has(mimeType);
+    }
+
+    get supportedMimeTypes() {
+        return Array.from(this.extractors.keys());
+    }
+
+    getExtractor(mimeType) {
+        const extractor = this.extractors.get(mimeType);
+        if (!extractor) {
+            throw new Error(`Unsupported file type: ${mimeType}`);
+        }
+        return extractor;
+    }
+
+    /**
+     * Extract a Drive file ({ id, name, mimeType, ... })
+     */
+    async extract(file) {
+        const extractor = this.getExtractor(file.mimeType);
+
+        if (extractor.extract) {
+            return extractor.extract(file, this.clients);
+        }
+
+        if (!this.clients.drive) {
+            throw new Error(`Drive client required to download ${file.name || file.id}`);
+        }
+
+        const buffer = await downloadDriveFile(this.clients.drive, file.id);
+        return extractor.extractBuffer(buffer, file, this.clients);
+    }
+
+    /**
+     * Extract file content that is already in memory (local files)
+     */
+    async extractBuffer(buffer, file) {
+        const extractor = this.getExtractor(file.mimeType);
+
+        if (!extractor.extractBuffer) {
+            throw new Error(`${file.mimeType} can only be extracted from Google Drive`);
+        }
+
+        return extractor.extractBuffer(buffer, file, this.clients);
+    }
+}
+
+/**
+ * Create a registry with all built-in extractors
+ * (options.ocr: false turns off page and image OCR; audio / video only when
+ * a whisper.cpp model is installed, see media.js)
+ */
+export function createExtractorRegistry(clients = {}, options = {}) {
+    const imageText = createImageTextRecognizer({ ocr: options.ocr });
+
+    const registry = new ExtractorRegistry(clients)
+        .register(new GoogleDocsExtractor())
+        .register(new GoogleSlidesExtractor({ imageText }))
+        .register(new GoogleSheetsExtractor())
+        .register(new PdfExtractor({ ocr: options.ocr, imageText }))
+        .register(new DocxExtractor())
+        .register(new PptxExtractor({ imageText }))
+        .register(new XlsxExtractor())
+        .register(new PlainTextExtractor());
+
+    if (transcriptionAvailable()) {
+        registry.register(new MediaTranscriptExtractor());
+    }
+
+    return registry;
+}
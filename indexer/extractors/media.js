@@ -0,0 +1,269 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createReadStream, existsSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { createExtraction, downloadDriveFileTo } from './extraction.js';
+
+const run = promisify(execFile);
+
+// Bump to invalidate cached transcripts (e.g. new segment grouping)
+const TRANSCRIPT_VERSION = 1;
+
+// Transcript segments are grouped into sections of about this many seconds
+const SECTION_SECONDS = 60;
+
+export const MEDIA_MIME_TYPES = [
+    'audio/wav',
+    'audio/x-wav',
+    'audio/mpeg',
+    'audio/mp4',
+    'audio/x-m4a',
+    'audio/aac',
+    'audio/ogg',
+    'audio/webm',
+    'video/mp4',
+    'video/quicktime',
+    'video/webm',
+    'video/x-matroska',
+    'video/x-msvideo'
+];
+
+/**
+ * Whether a Drive file is a call recording / video (transcribed, not read)
+ */
+export function isMediaFile(file) {
+    return MEDIA_MIME_TYPES.includes(file.mimeType);
+}
+
+/**
+ * Audio / video extractor - transcribes recordings (demos, enablement
+ * sessions, calls) with a local whisper.cpp build: ffmpeg converts the audio
+ * track to 16 kHz mono WAV, whisper.cpp writes timestamped segments, and the
+ * segments become one section per ~minute, tagged with its time range
+ * ({ type: 'time', from, to } in seconds) so answers can cite
+ * "Call recording @ 12:34".
+ *
+ * Configuration:
+ *   WHISPER_MODEL     ggml model file (default ./models/ggml-base.en.bin)
+ *   WHISPER_CPP_BIN   whisper.cpp CLI (default whisper-cli)
+ *   WHISPER_THREADS   CPU threads (default: all cores)
+ *   FFMPEG_BIN        ffmpeg (default ffmpeg)
+ *
+ * The registry only registers it when the model file exists - without one,
+ * recordings stay unsupported-type instead of failing every sync.
+ *
+ * Transcripts are cached by the file's md5 in state/transcripts/, so a
+ * re-sync of an unchanged recording doesn't transcribe it again. Drive files
+ * are looked up by their md5Checksum before anything is downloaded; a
+ * recording that has to be transcribed is streamed to a temp file.
+ */
+export class MediaTranscriptExtractor {
+    constructor(options = {}) {
+        this.mimeTypes = MEDIA_MIME_TYPES;
+        this.model = options.model || mediaModelPath();
+        this.whisperBin = options.whisperBin || process.env.WHISPER_CPP_BIN || 'whisper-cli';
+        this.ffmpegBin = options.ffmpegBin || process.env.FFMPEG_BIN || 'ffmpeg';
+        this.threads = options.threads || Number(process.env.WHISPER_THREADS) || os.cpus().length;
+        this.cacheDir = options.cacheDir || path.join(process.env.SYNC_STATE_DIR || './state', 'transcripts');
+    }
+
+    /**
+     * Transcribe a Drive recording - downloaded only if its transcript isn't cached
+     */
+    async extract(file, { drive }) {
+        const cached = file.md5Checksum ? await this.loadTranscript(file.md5Checksum) : null;
+        if (cached) return this.cachedExtraction(cached);
+
+        if (!drive) {
+            throw new Error(`Drive client required to download ${file.name || file.id}`);
+        }
+
+        return withTempDir(async tempDir => {
+            const inputPath = path.join(tempDir, 'input');
+            await downloadDriveFileTo(drive, file.id, inputPath);
+
+            if (file.md5Checksum) return this.transcribeFile(inputPath, file.md5Checksum, file);
+
+            // No md5Checksum from Drive - look the transcript up by the downloaded file's
+            const key = await hashFile(inputPath);
+            const transcript = await this.loadTranscript(key);
+            return transcript ? this.cachedExtraction(transcript) : this.transcribeFile(inputPath, key, file);
+        });
+    }
+
+    /**
+     * Transcribe a recording that is already in memory (local files)
+     */
+    async extractBuffer(buffer, file = {}) {
+        const key = crypto.createHash('md5').update(buffer).digest('hex');
+        const cached = await this.loadTranscript(key);
+        if (cached) return this.cachedExtraction(cached);
+
+        return withTempDir(async tempDir => {
+            const inputPath = path.join(tempDir, 'input');
+            await fs.writeFile(inputPath, buffer);
+            return this.transcribeFile(inputPath, key, file);
+        });
+    }
+
+    /**
+     * Helper: Transcribe a local recording and cache its transcript under key
+     */
+    async transcribeFile(inputPath, key, file) {
+        console.log(`   🎙️  Transcribing ${file.name || 'recording'} (whisper.cpp, ${path.basename(this.model)})...`);
+        const started = Date.now();
+        const segments = await this.transcribe(inputPath);
+        await this.saveTranscript(key, segments);
+        console.log(`   ✓ ${segments.length} segments in ${Math.round((Date.now() - started) / 1000)}s`);
+
+        return toExtraction(segments);
+    }
+
+    /**
+     * Helper: Extraction of a cached transcript
+     */
+    cachedExtraction(segments) {
+        console.log(`   ♻️  Transcript from cache (${segments.length} segments)`);
+        return toExtraction(segments);
+    }
+
+    /**
+     * Run ffmpeg + whisper.cpp on a local recording: [{ from, to, text }] (seconds)
+     * (intermediate files are written next to it)
+     */
+    async transcribe(inputPath) {
+        const wavPath = path.join(path.dirname(inputPath), 'audio.wav');
+        const outputBase = path.join(path.dirname(inputPath), 'transcript');
+
+        try {
+            await run(this.ffmpegBin, ['-nostdin', '-loglevel', 'error', '-i', inputPath, '-vn', '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath]);
+            await run(this.whisperBin, ['-m', this.model, '-f', wavPath, '-t', String(this.threads), '-oj', '-of', outputBase, '-np'], {
+                maxBuffer: 64 * 1024 * 1024
+            });
+
+            const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf-8'));
+            return (output.transcription || [])
+                .map(segment => ({
+                    from: segment.offsets.from / 1000,
+                    to: segment.offsets.to / 1000,
+                    text: segment.text.trim()
+                }))
+                .filter(segment => segment.text && !/^\[.*\]$/.test(segment.text)); // [BLANK_AUDIO], [Music]
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`${error.path} not found - install ffmpeg and whisper.cpp (see SYNC-GUIDE.md)`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Helper: Cached transcript segments, or null
+     */
+    async loadTranscript(key) {
+        try {
+            const entry = JSON.parse(await fs.readFile(this.transcriptPath(key), 'utf-8'));
+            const current = entry.version === TRANSCRIPT_VERSION && entry.model === path.basename(this.model);
+            return current ? entry.segments : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return null;
+        }
+    }
+
+    /**
+     * Helper: Store transcript segments (write to temp file, then rename)
+     */
+    async saveTranscript(key, segments) {
+        const file = this.transcriptPath(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ version: TRANSCRIPT_VERSION, model: path.basename(this.model), segments }));
+        await fs.rename(tmpFile, file);
+    }
+
+    transcriptPath(key) {
+        return path.join(this.cacheDir, `${key}.json`);
+    }
+}
+
+/**
+ * whisper.cpp model file (WHISPER_MODEL, default ./models/ggml-base.en.bin)
+ */
+export function mediaModelPath() {
+    return process.env.WHISPER_MODEL || './models/ggml-base.en.bin';
+}
+
+/**
+ * Whether recordings can be transcribed here (the model file exists)
+ */
+export function transcriptionAvailable() {
+    return existsSync(mediaModelPath());
+}
+
+/**
+ * "12:34" / "1:02:03" for a time in seconds
+ */
+export function formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Helper: Extraction with one section per ~minute of transcript segments
+ */
+function toExtraction(segments) {
+    const sections = groupSegments(segments).map(group => ({
+        text: `[${formatTimestamp(group.from)}] ${group.text}`,
+        location: { type: 'time', from: group.from, to: group.to }
+    }));
+
+    return createExtraction(sections, { method: 'transcript' });
+}
+
+/**
+ * Helper: Run fn with a temp directory that is removed afterwards
+ */
+async function withTempDir(fn) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcribe-'));
+    try {
+        return await fn(tempDir);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Helper: md5 of a local file (hex, as Drive's md5Checksum)
+ */
+async function hashFile(filePath) {
+    const hash = crypto.createHash('md5');
+    for await (const data of createReadStream(filePath)) hash.update(data);
+    return hash.digest('hex');
+}
+
+/**
+ * Helper: Consecutive segments grouped into ~SECTION_SECONDS sections
+ */
+function groupSegments(segments) {
+    const groups = [];
+    let current = null;
+
+    for (const segment of segments) {
+        if (!current || segment.to - current.from > SECTION_SECONDS) {
+            current = { from: segment.from, to: segment.to, texts: [] };
+            groups.push(current);
+        }
+        current.to = segment.to;
+        current.texts.push(segment.text);
+    }
+
+    return groups.map(({ from, to, texts }) => ({ from, to, text: texts.join(' ') }));
+}
@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createWorker, createScheduler } from 'tesseract.js';
+
+// Bump to invalidate cached OCR results (e.g. new layout rules or render scale)
+export const OCR_VERSION = 1;
+
+// Tesseract paragraphs below this confidence (0-100) are dropped - mostly
+// "text" read from photos, logos and chart graphics
+const MIN_PARAGRAPH_CONFIDENCE = 30;
+
+/**
+ * OCR Worker Pool
+ *
+ * A Tesseract scheduler with up to `size` workers (OCR_WORKERS, default 2).
+ * Workers start on the first recognize() and run until terminate(), so a
+ * pool is meant to live for one document.
+ */
+export class OcrWorkerPool {
+    constructor(options = {}) {
+        this.size = options.size || Number(process.env.OCR_WORKERS) || 2;
+        this.language = options.language || 'eng';
+        this.scheduler = null;
+        this.starting = null;
+    }
+
+    /**
+     * OCR one image: { text, confidence } - text laid out by Tesseract's
+     * blocks and paragraphs, confidence 0-100
+     */
+    async recognize(image) {
+        if (!this.starting) this.starting = this.start();
+        await this.starting;
+
+        const { data } = await this.scheduler.addJob('recognize', image, {}, { text: true, blocks: true });
+        return { text: layoutText(data), confidence: Math.round(data.confidence) };
+    }
+
+    async start() {
+        this.scheduler = createScheduler();
+        const workers = await Promise.all(
+            Array.from({ length: this.size }, () => createWorker(this.language))
+        );
+        workers.forEach(worker => this.scheduler.addWorker(worker));
+    }
+
+    async terminate() {
+        if (!this.starting) return;
+        await this.starting.catch(() => {});
+        await this.scheduler.terminate();
+        this.scheduler = null;
+        this.starting = null;
+    }
+}
+
+/**
+ * OCR Cache
+ *
+ * OCR results by file content, so re-syncing a file whose bytes didn't
+ * change never OCRs it again. Key: md5 of the file (what Drive reports as
+ * md5Checksum). One JSON file per document:
+ *
+ *   state/ocr-cache/<2 hex chars>/<md5>.json   { version, language, items: { "<page>": { text, confidence } } }
+ *
+ * Entries never expire. Delete the folder to clear it; set OCR_CACHE_DIR to
+ * keep it elsewhere, OCR_CACHE=false to disable it.
+ */
+export class OcrCache {
+    constructor(options = {}) {
+        this.cacheDir = options.cacheDir || process.env.OCR_CACHE_DIR ||
+            path.join(process.env.SYNC_STATE_DIR || './state', 'ocr-cache');
+        this.language = options.language || 'eng';
+    }
+
+    /**
+     * Cache key of a file's content
+     */
+    key(buffer) {
+        return crypto.createHash('md5').update(buffer).digest('hex');
+    }
+
+    /**
+     * Cached results of a file ({ [item]: { text, confidence } }, empty when none)
+     */
+    async load(key) {
+        try {
+            const entry = JSON.parse(await fs.readFile(this.entryPath(key), 'utf-8'));
+            const current = entry.version === OCR_VERSION && entry.language === this.language;
+            return current ? entry.items : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return {};
+        }
+    }
+
+    /**
+     * Store a file's results (write to temp file, then rename)
+     */
+    async save(key, items) {
+        const file = this.entryPath(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ version: OCR_VERSION, language: this.language, items }));
+        await fs.rename(tmpFile, file);
+    }
+
+    /**
+     * Helper: Sharded path of a cache entry
+     */
+    entryPath(key) {
+        return path.join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+    }
+}
+
+/**
+ * Create the OCR cache unless disabled (OCR_CACHE=false or cache: false)
+ */
+export function createOcrCache(options = {}) {
+    if (options.cache === false || process.env.OCR_CACHE === 'false') return null;
+    return new OcrCache(options);
+}
+
+/**
+ * Helper: Page text from Tesseract's layout - paragraphs separated by blank
+ * lines, lines kept, low-confidence paragraphs dropped
+ */
+function layoutText(data) {
+    const paragraphs = (data.blocks || [])
+        .flatMap(block => block.paragraphs || [])
+        .filter(paragraph => paragraph.confidence >= MIN_PARAGRAPH_CONFIDENCE)
+        .map(paragraph => paragraph.lines.map(line => line.text.trim()).filter(Boolean).join('\n'))
+        .filter(Boolean);
+
+    return data.blocks ? paragraphs.join('\n\n') : (data.text || '');
+}
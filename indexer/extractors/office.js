@@ -0,0 +1,360 @@
+import mammoth from 'mammoth';
+import JSZip from 'jszip';
+import { DOMParser } from '@xmldom/xmldom';
+import path from 'path';
+import { createExtraction } from './extraction.js';
+
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Word (.docx) extractor - raw text via mammoth
+ */
+export class DocxExtractor {
+    constructor() {
+        this.mimeTypes = ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+    }
+
+    async extractBuffer(buffer) {
+        const result = await mammoth.extractRawText({ buffer });
+        return createExtraction([{ text: result.value }]);
+    }
+}
+
+/**
+ * PowerPoint (.pptx) extractor - one section per slide with slide text,
+ * tables (rows as "a | b | c") and speaker notes, tagged with slide number and title.
+ * Charts (from their data) and OCRed pictures become the slide's image text
+ * (see image-text.js).
+ */
+export class PptxExtractor {
+    constructor(options = {}) {
+        this.mimeTypes = ['application/vnd.openxmlformats-officedocument.presentationml.presentation'];
+        this.imageText = options.imageText || null;
+    }
+
+    async extractBuffer(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+        const slidePaths = await this.getSlidePaths(zip);
+        const sections = [];
+        const images = [];
+
+        for (let i = 0; i < slidePaths.length; i++) {
+            const slide = await readXml(zip, slidePaths[i]);
+            if (!slide) continue;
+
+            const title = this.getTitle(slide);
+            const lines = renderBlocks(slide.documentElement);
+            const notes = await this.getSpeakerNotes(zip, slidePaths[i]);
+            const visuals = await this.getVisuals(zip, slidePaths[i], slide);
+
+            let text = lines.join('\n');
+            if (notes) {
+                text += `\n\nSpeaker notes:\n${notes}`;
+            }
+
+            const section = { text, imageText: visuals.charts.join('\n\n'), location: { type: 'slide', slide: i + 1, title } };
+            images.push(...visuals.pictures.map(picture => ({ ...picture, section })));
+            sections.push(section);
+        }
+
+        // Pictures are OCRed together (one worker pool per deck)
+        if (this.imageText) {
+            const texts = await this.imageText.recognize(images);
+            for (const image of images.filter(image => texts.has(image.key))) {
+                image.section.imageText = [image.section.imageText, texts.get(image.key)].filter(Boolean).join('\n\n');
+            }
+        }
+
+        return createExtraction(sections, { pages: slidePaths.length, method: 'parse' });
+    }
+
+    /**
+     * Helper: A slide's charts (rendered from their data) and OCR-able pictures ({ key, content })
+     */
+    async getVisuals(zip, slidePath, slide) {
+        const rels = await readRelationships(zip, slidePath);
+        const charts = [];
+        const pictures = [];
+
+        for (const frame of findAll(slide.documentElement, 'graphicFrame')) {
+            const chartRef = findAll(frame, 'chart')[0];
+            const rel = chartRef ? rels.get(getRelationshipId(chartRef)) : null;
+            const chart = rel ? await readXml(zip, rel.target) : null;
+            if (chart) charts.push(renderChart(chart).join('\n'));
+        }
+
+        if (this.imageText) {
+            for (const blip of findAll(slide.documentElement, 'blip')) {
+                const rel = rels.get(blip.getAttribute('r:embed') || blip.getAttributeNS(RELATIONSHIPS_NS, 'embed'));
+                const file = rel && this.imageText.supports(rel.target) ? zip.file(rel.target) : null;
+                if (file) pictures.push({ key: `${slidePath}:${rel.target}`, content: await file.async('nodebuffer') });
+            }
+        }
+
+        return { charts: charts.filter(Boolean), pictures };
+    }
+
+    /**
+     * Helper: Slide part paths in presentation order
+     */
+    async getSlidePaths(zip) {
+        const presentation = await readXml(zip, 'ppt/presentation.xml');
+        const rels = await readRelationships(zip, 'ppt/presentation.xml');
+        if (!presentation) return [];
+
+        return findAll(presentation.documentElement, 'sldId')
+            .map(sldId => rels.get(getRelationshipId(sldId)))
+            .filter(Boolean)
+            .map(rel => rel.target);
+    }
+
+    /**
+     * Helper: Text of the title placeholder, if the slide has one
+     */
+    getTitle(slide) {
+        for (const shape of findAll(slide.documentElement, 'sp')) {
+            const placeholder = findAll(shape, 'ph')[0];
+            const type = placeholder?.getAttribute('type');
+
+            if (type === 'title' || type === 'ctrTitle') {
+                return renderBlocks(shape).join(' ').trim() || null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Helper: Speaker notes text (body placeholder of the notes slide)
+     */
+    async getSpeakerNotes(zip, slidePath) {
+        const rels = await readRelationships(zip, slidePath);
+        const notesRel = Array.from(rels.values()).find(rel => rel.type.endsWith('/notesSlide'));
+        if (!notesRel) return '';
+
+        const notes = await readXml(zip, notesRel.target);
+        if (!notes) return '';
+
+        const lines = [];
+        for (const shape of findAll(notes.documentElement, 'sp')) {
+            const placeholder = findAll(shape, 'ph')[0];
+            if (placeholder?.getAttribute('type') === 'body') {
+                lines.push(...renderBlocks(shape));
+            }
+        }
+
+        return lines.join('\n').trim();
+    }
+}
+
+/**
+ * Excel (.xlsx) extractor - one section per visible sheet, rows rendered as "a | b | c"
+ * (same layout as Google Sheets extraction)
+ */
+export class XlsxExtractor {
+    constructor() {
+        this.mimeTypes = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+    }
+
+    async extractBuffer(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+        const workbook = await readXml(zip, 'xl/workbook.xml');
+        if (!workbook) return createExtraction([]);
+
+        const rels = await readRelationships(zip, 'xl/workbook.xml');
+        const sharedStrings = await this.getSharedStrings(zip);
+        const sections = [];
+
+        for (const sheet of findAll(workbook.documentElement, 'sheet')) {
+            if (sheet.getAttribute('state') === 'hidden' || sheet.getAttribute('state') === 'veryHidden') {
+                continue;
+            }
+
+            const sheetName = sheet.getAttribute('name');
+            const rel = rels.get(getRelationshipId(sheet));
+            const worksheet = rel ? await readXml(zip, rel.target) : null;
+            if (!worksheet) continue;
+
+            let text = `Sheet: ${sheetName}\n\n`;
+            for (const row of this.getRows(worksheet, sharedStrings)) {
+                text += row.join(' | ') + '\n';
+            }
+
+            sections.push({ text, location: { type: 'sheet', sheet: sheetName } });
+        }
+
+        return createExtraction(sections, { pages: sections.length, method: 'parse' });
+    }
+
+    /**
+     * Helper: Shared string table (cells with t="s" store an index into it)
+     */
+    async getSharedStrings(zip) {
+        const doc = await readXml(zip, 'xl/sharedStrings.xml');
+        if (!doc) return [];
+
+        return findAll(doc.documentElement, 'si').map(si =>
+            findAll(si, 't').map(t => t.textContent).join('')
+        );
+    }
+
+    /**
+     * Helper: Cell values per row, placed by column letter so gaps stay aligned
+     */
+    getRows(worksheet, sharedStrings) {
+        const rows = [];
+
+        for (const row of findAll(worksheet.documentElement, 'row')) {
+            const values = [];
+
+            for (const cell of findAll(row, 'c')) {
+                const column = columnIndex(cell.getAttribute('r')) ?? values.length;
+                values[column] = this.getCellValue(cell, sharedStrings);
+            }
+
+            // Fill gaps and drop empty trailing cells
+            const filled = Array.from(values, value => value ?? '');
+            while (filled.length > 0 && !filled[filled.length - 1].trim()) filled.pop();
+
+            if (filled.length > 0) rows.push(filled);
+        }
+
+        return rows;
+    }
+
+    getCellValue(cell, sharedStrings) {
+        const type = cell.getAttribute('t');
+        const value = findAll(cell, 'v')[0]?.textContent ?? '';
+
+        if (type === 's') return sharedStrings[Number(value)] ?? '';
+        if (type === 'inlineStr') return findAll(cell, 't').map(t => t.textContent).join('');
+        if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+        return value;
+    }
+}
+
+// === OOXML helpers ===
+
+async function readXml(zip, partPath) {
+    const file = zip.file(partPath);
+    if (!file) return null;
+
+    return new DOMParser().parseFromString(await file.async('string'), 'text/xml');
+}
+
+/**
+ * Read the .rels part for a package part: Map of rId -> { target, type },
+ * with targets resolved to package paths
+ */
+async function readRelationships(zip, partPath) {
+    const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+    const doc = await readXml(zip, relsPath);
+    const rels = new Map();
+    if (!doc) return rels;
+
+    for (const rel of findAll(doc.documentElement, 'Relationship')) {
+        if (rel.getAttribute('TargetMode') === 'External') continue;
+
+        const target = rel.getAttribute('Target');
+        rels.set(rel.getAttribute('Id'), {
+            type: rel.getAttribute('Type') || '',
+            target: target.startsWith('/')
+                ? target.slice(1)
+                : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target))
+        });
+    }
+
+    return rels;
+}
+
+function getRelationshipId(element) {
+    return element.getAttribute('r:id') || element.getAttributeNS(RELATIONSHIPS_NS, 'id');
+}
+
+/**
+ * All descendant elements with the given local name (namespace prefix ignored)
+ */
+function findAll(node, localName, results = []) {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType !== 1) continue;
+        if (child.localName === localName) results.push(child);
+        findAll(child, localName, results);
+    }
+    return results;
+}
+
+/**
+ * Render DrawingML text in document order: one line per paragraph,
+ * one "a | b | c" line per table row
+ */
+function renderBlocks(node, lines = []) {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType !== 1) continue;
+
+        if (child.localName === 'tbl') {
+            for (const row of findAll(child, 'tr')) {
+                const cells = findAll(row, 'tc').map(cell => renderBlocks(cell).join(' ').trim());
+                if (cells.some(Boolean)) lines.push(cells.join(' | '));
+            }
+        } else if (child.localName === 'p') {
+            const text = findAll(child, 't').map(t => t.textContent).join('');
+            if (text.trim()) lines.push(text);
+        } else {
+            renderBlocks(child, lines);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Render a DrawingML chart part from its cached data: title, then one
+ * "category | series 1 | series 2" line per category (header row first)
+ */
+function renderChart(chart) {
+    const root = chart.documentElement;
+    const lines = [];
+
+    // The chart's own title (axes have titles too)
+    const chartNode = findAll(root, 'chart')[0];
+    const title = chartNode && Array.from(chartNode.childNodes).find(node => node.localName === 'title');
+    const titleText = title ? renderBlocks(title).join(' ').trim() : '';
+    lines.push(`Chart${titleText ? `: ${titleText}` : ''}`);
+
+    const series = findAll(root, 'ser').map(ser => {
+        const child = name => Array.from(ser.childNodes).find(node => node.localName === name);
+        const points = node => new Map(
+            (node ? findAll(node, 'pt') : []).map(pt => [pt.getAttribute('idx'), findAll(pt, 'v')[0]?.textContent ?? ''])
+        );
+        const tx = child('tx');
+
+        return {
+            name: tx ? findAll(tx, 'v').map(v => v.textContent).join(' ') || renderBlocks(tx).join(' ') : '',
+            categories: points(child('cat') || child('xVal')),
+            values: points(child('val') || child('yVal'))
+        };
+    });
+
+    if (series.length === 0) return lines;
+
+    const categories = series[0].categories.size > 0 ? series[0].categories : series[0].values;
+    lines.push(['', ...series.map(s => s.name)].join(' | '));
+    for (const [idx, category] of categories) {
+        const label = series[0].categories.size > 0 ? category : String(Number(idx) + 1);
+        lines.push([label, ...series.map(s => s.values.get(idx) ?? '')].join(' | '));
+    }
+
+    return lines;
+}
+
+/**
+ * Zero-based column index from a cell reference ("C7" -> 2)
+ */
+function columnIndex(reference) {
+    const letters = /^([A-Z]+)/.exec(reference || '')?.[1];
+    if (!letters) return null;
+
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
@@ -0,0 +1,158 @@
+import pdfParse from 'pdf-parse';
+import { pdfToPng } from 'pdf-to-png-converter';
+import { createExtraction } from './extraction.js';
+import { OcrWorkerPool, createOcrCache } from './ocr.js';
+import { textNotIn } from './image-text.js';
+
+// Pages with less text than this are slide-like (exported decks, one-pagers):
+// their pictures often carry the numbers, so image OCR reads them too
+const SPARSE_PAGE_TEXT = 300;
+
+/**
+ * PDF extractor - one section per page. Pages without a text layer (scans,
+ * image-only slides inside an exported deck) are OCRed one by one; their
+ * sections carry the OCR confidence (location.ocrConfidence, 0-100).
+ *
+ * With image OCR on, sparse pages (a text layer under SPARSE_PAGE_TEXT
+ * characters - exported slides with screenshots or charts pasted as images)
+ * are OCRed too; the OCR lines the text layer doesn't have become the page's
+ * image text (see image-text.js). pdf-parse can't list a page's images in
+ * Node, so sparseness stands in for "has pictures".
+ *
+ * OCR results are cached by the PDF's md5 (see ocr.js), so a re-sync of an
+ * unchanged file doesn't OCR it again.
+ */
+export class PdfExtractor {
+    constructor(options = {}) {
+        this.mimeTypes = ['application/pdf'];
+        this.ocr = options.ocr !== false;
+        this.minPageTextLength = options.minPageTextLength || 20;
+        this.ocrCache = options.ocrCache === undefined ? createOcrCache() : options.ocrCache;
+        this.createPool = options.createPool || (() => new OcrWorkerPool());
+        this.imageText = this.ocr ? options.imageText || null : null;
+    }
+
+    async extractBuffer(buffer) {
+        const pageTexts = [];
+        const data = await pdfParse(buffer, {
+            pagerender: pageData => this.renderPage(pageData, pageTexts)
+        });
+
+        const sections = Array.from({ length: data.numpages }, (_, i) => ({
+            text: pageTexts[i] || '',
+            location: { type: 'page', page: i + 1 }
+        }));
+
+        const ocrPages = this.ocr
+            ? sections.filter(section => section.text.trim().length < this.minPageTextLength).map(section => section.location.page)
+            : [];
+
+        const pictured = this.imageText
+            ? sections.filter(section => !ocrPages.includes(section.location.page) && section.text.trim().length < SPARSE_PAGE_TEXT)
+                .map(section => section.location.page)
+            : [];
+
+        if (ocrPages.length === 0 && pictured.length === 0) {
+            return createExtraction(sections, { pages: data.numpages, method: 'parse' });
+        }
+
+        if (ocrPages.length > 0) {
+            console.log(`   🔍 OCR: ${ocrPages.length} of ${data.numpages} pages have no text layer`);
+        }
+        if (pictured.length > 0) {
+            console.log(`   🖼️  Image OCR: ${pictured.length} sparse pages`);
+        }
+        const results = await this.ocrPages(buffer, [...ocrPages, ...pictured]);
+
+        for (const [page, result] of results) {
+            const section = sections[page - 1];
+
+            if (ocrPages.includes(page)) {
+                sections[page - 1] = {
+                    text: result.text,
+                    location: { type: 'page', page, ocrConfidence: result.confidence }
+                };
+            } else if (result.confidence >= this.imageText.minConfidence) {
+                section.imageText = textNotIn(result.text, section.text);
+            }
+        }
+
+        const method = ocrPages.length === data.numpages ? 'ocr' : 'parse+ocr';
+        return createExtraction(sections, { pages: data.numpages, method });
+    }
+
+    /**
+     * Helper: pdf-parse page renderer that also keeps each page's text
+     * (same line joining as the pdf-parse default renderer)
+     */
+    async renderPage(pageData, pageTexts) {
+        const textContent = await pageData.getTextContent({
+            normalizeWhitespace: false,
+            disableCombineTextItems: false
+        });
+
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+            if (lastY === item.transform[5] || lastY === undefined) {
+                text += item.str;
+            } else {
+                text += '\n' + item.str;
+            }
+            lastY = item.transform[5];
+        }
+
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+    }
+
+    /**
+     * OCR some pages (1-based numbers): Map page -> { text, confidence }.
+     * Cached pages are reused; the rest are rendered a batch at a time (to
+     * bound memory) and recognized by a worker pool.
+     */
+    async ocrPages(buffer, pages) {
+        const key = this.ocrCache?.key(buffer);
+        const cached = this.ocrCache ? await this.ocrCache.load(key) : {};
+        const results = new Map();
+        const missing = [];
+
+        for (const page of pages) {
+            if (cached[page]) results.set(page, cached[page]);
+            else missing.push(page);
+        }
+
+        if (results.size > 0) {
+            console.log(`   ♻️  ${results.size} page(s) from the OCR cache`);
+        }
+        if (missing.length === 0) return results;
+
+        const pool = this.createPool();
+        const batchSize = pool.size * 2;
+
+        try {
+            for (let i = 0; i < missing.length; i += batchSize) {
+                const images = await pdfToPng(buffer, {
+                    pagesToProcess: missing.slice(i, i + batchSize),
+                    viewportScale: 2.0 // Higher resolution for better OCR
+                });
+
+                await Promise.all(images.map(async image => {
+                    results.set(image.pageNumber, await pool.recognize(image.content));
+                }));
+            }
+        } finally {
+            await pool.terminate();
+        }
+
+        if (this.ocrCache) {
+            await this.ocrCache.save(key, Object.fromEntries(results));
+        }
+
+        const confidences = missing.map(page => results.get(page)?.confidence).filter(c => c !== undefined);
+        const average = confidences.reduce((sum, c) => sum + c, 0) / (confidences.length || 1);
+        console.log(`   ✓ OCRed ${missing.length} page(s), average confidence ${Math.round(average)}%`);
+
+        return results;
+    }
+}
@@ -0,0 +1,14 @@
+import { createExtraction } from './extraction.js';
+
+/**
+ * Plain text extractor
+ */
+export class PlainTextExtractor {
+    constructor() {
+        this.mimeTypes = ['text/plain'];
+    }
+
+    async extractBuffer(buffer) {
+        return createExtraction([{ text: buffer.toString('utf8') }]);
+    }
+}
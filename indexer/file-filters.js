@@ -0,0 +1,190 @@
+import { getAliasDictionary } from './name-aliases.js';
+import { DUPLICATE_SIMILARITY, findSimilarPairs, similarity } from './content-fingerprint.js';
+
+/**
+ * Drive File Filters
+ *
+ * Decides which Drive files get indexed. Used by every sync mode (live, dry
+ * run, incremental), so a dry run reports exactly what a live run does.
+ *
+ * 1. checkFile()         the sync policy (config/sync-policy.json, see
+ *                        sync-policy.js), then readable shortcut targets
+ *                        (drive-shortcuts.js), then supported file types
+ * 2. detectDuplicates()  same document in several formats or under several
+ *                        names (by name and content fingerprint) - one is kept
+ */
+
+// Kept format when a document exists in several (earlier wins)
+export const FORMAT_PRIORITY = [
+    'application/vnd.google-apps.presentation',
+    'application/vnd.google-apps.document',
+    'application/vnd.google-apps.spreadsheet',
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+/**
+ * Whether a Drive file is indexed: { included, rule, reason }
+ */
+export function checkFile(file, policy, extractors) {
+    const decision = policy.evaluate(file);
+
+    if (decision.included && file.shortcutError) {
+        return { included: false, rule: 'shortcut-unreadable', reason: file.shortcutError };
+    }
+
+    if (decision.included && !extractors.supports(file.mimeType)) {
+        return { included: false, rule: 'unsupported-type', reason: `Unsupported type: ${file.mimeType}` };
+    }
+
+    return decision;
+}
+
+/**
+ * Group files that are the same document and keep one per group: the
+ * preferred format, newest on a tie
+ *
+ * Two files are the same document when
+ * - their names match (duplicateKey) - unless both have content signatures
+ *   and those differ (same name, different document), or
+ * - their content signatures are near-identical, whatever their names
+ *   (a PDF export of a deck under another name)
+ *
+ * signatures: Map of file id -> MinHash signature (content-fingerprint.js);
+ * files without one are grouped by name only.
+ *
+ * Returns { winners, duplicates: [{ file, winner, rule, reason, similarity }] }
+ */
+export function detectDuplicates(files, { signatures = new Map(), threshold = DUPLICATE_SIMILARITY } = {}) {
+    const clusters = new Clusters(files.map(file => file.id));
+    const byName = new Map();
+
+    for (const file of files) {
+        const key = duplicateKey(file.name);
+        if (!byName.has(key)) {
+            byName.set(key, []);
+        }
+        byName.get(key).push(file);
+    }
+
+    for (const group of byName.values()) {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const score = contentSimilarity(group[i], group[j], signatures);
+                if (score === null || score >= threshold) {
+                    clusters.join(group[i].id, group[j].id);
+                }
+            }
+        }
+    }
+
+    for (const { a, b } of findSimilarPairs(signatures, threshold)) {
+        clusters.join(a, b);
+    }
+
+    const filesById = new Map(files.map(file => [file.id, file]));
+    const winners = [];
+    const duplicates = [];
+
+    for (const ids of clusters.groups()) {
+        const sorted = ids.map(id => filesById.get(id)).sort((a, b) => {
+            const priorityA = formatPriority(a.mimeType);
+            const priorityB = formatPriority(b.mimeType);
+            if (priorityA === priorityB) {
+                return new Date(b.modifiedTime) - new Date(a.modifiedTime);
+            }
+            return priorityA - priorityB;
+        });
+
+        const [winner, ...rest] = sorted;
+        winners.push(winner);
+
+        for (const file of rest) {
+            const score = contentSimilarity(file, winner, signatures);
+
+            if (duplicateKey(file.name) === duplicateKey(winner.name)) {
+                duplicates.push({
+                    file,
+                    winner,
+                    rule: 'duplicate-format',
+                    reason: `Duplicate of "${winner.name}" (${winner.mimeType})`,
+                    similarity: score
+                });
+            } else {
+                duplicates.push({
+                    file,
+                    winner,
+                    rule: 'duplicate-content',
+                    reason: `Same content as "${winner.name}" (${winner.mimeType}${score === null ? '' : `, ${Math.round(score * 100)}% similar`})`,
+                    similarity: score
+                });
+            }
+        }
+    }
+
+    return { winners, duplicates };
+}
+
+/**
+ * Helper: Name without extension, copy marker or version, with aliases
+ * rewritten - equal for format duplicates
+ */
+function duplicateKey(fileName) {
+    const stripped = fileName
+        .replace(/\.(pdf|pptx?|docx?|xlsx?|gslides?|gdocs?|gsheet?)$/i, '')
+        .replace(/[_\-\s]+/g, ' ')
+        .replace(/\(copy\s*\d*\)/gi, '')
+        .replace(/\s+version\s+\d+/gi, '');
+
+    return getAliasDictionary().apply(stripped)
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function formatPriority(mimeType) {
+    const priority = FORMAT_PRIORITY.indexOf(mimeType);
+    return priority === -1 ? FORMAT_PRIORITY.length : priority;
+}
+
+/**
+ * Helper: Similarity of two files' content, or null if either has no signature
+ */
+function contentSimilarity(a, b, signatures) {
+    const signatureA = signatures.get(a.id);
+    const signatureB = signatures.get(b.id);
+    return signatureA && signatureB ? similarity(signatureA, signatureB) : null;
+}
+
+/**
+ * Helper: Union-find over file ids (groups files linked directly or through others)
+ */
+class Clusters {
+    constructor(ids) {
+        this.parent = new Map(ids.map(id => [id, id]));
+    }
+
+    find(id) {
+        let root = id;
+        while (this.parent.get(root) !== root) root = this.parent.get(root);
+        this.parent.set(id, root);
+        return root;
+    }
+
+    join(a, b) {
+        if (!this.parent.has(a) || !this.parent.has(b)) return;
+        this.parent.set(this.find(a), this.find(b));
+    }
+
+    groups() {
+        const groups = new Map();
+        for (const id of this.parent.keys()) {
+            const root = this.find(id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(id);
+        }
+        return Array.from(groups.values());
+    }
+}
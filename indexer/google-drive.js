@@ -1,6 +1,9 @@
 import { google } from 'googleapis';
 import fs from 'fs';
 import path from 'path';
+import { createExtractorRegistry } from './extractors/index.js';
+import { SyncPolicy } from './sync-policy.js';
+import { DRIVE_METADATA_FIELDS, driveLabelParams } from './drive-metadata.js';
 
 export class GoogleDriveScanner {
     constructor(credentialsPath) {
@@ -8,57 +11,52 @@ export class GoogleDriveScanner {
         
         this.auth = new google.auth.GoogleAuth({
             credentials,
-            scopes: ['https://www.googleapis.com/auth/drive.readonly'],
+            scopes: [
+                'https://www.googleapis.com/auth/drive.readonly',
+                'https://www.googleapis.com/auth/documents.readonly',
+                'https://www.googleapis.com/auth/presentations.readonly',
+                'https://www.googleapis.com/auth/spreadsheets.readonly'
+            ],
         });
         
         this.drive = google.drive({ version: 'v3', auth: this.auth });
+        this.extractors = createExtractorRegistry({
+            drive: this.drive,
+            docs: google.docs({ version: 'v1', auth: this.auth }),
+            slides: google.slides({ version: 'v1', auth: this.auth }),
+            sheets: google.sheets({ version: 'v4', auth: this.auth })
+        });
     }
 
-    // Check if folder/file should be excluded (archived)
-    shouldExclude(name) {
-        const excludePatterns = [
-            /archived?/i,
-            /old/i,
-            /deprecated/i,
-            /\[archived?\]/i,
-            /_archived?_/i,
-            /archived?[_-]/i,
-            /[_-]archived?/i,
-            /backup/i
-        ];
-        
-        return excludePatterns.some(pattern => pattern.test(name));
-    }
-
+    // Files the sync policy (config/sync-policy.json) excludes are skipped
     async listFiles(folderId) {
         const allFiles = [];
+        const policy = await SyncPolicy.load();
         
         async function scanFolder(drive, parentId, parentPath = '') {
             const response = await drive.files.list({
                 q: `'${parentId}' in parents and trashed=false`,
-                fields: 'files(id, name, mimeType, modifiedTime, parents)',
-                pageSize: 1000
+                fields: `files(${DRIVE_METADATA_FIELDS})`,
+                pageSize: 1000,
+                ...driveLabelParams(policy)
             });
 
             for (const file of response.data.files) {
                 const currentPath = path.join(parentPath, file.name);
                 
-                // Skip if archived
-                if (this.shouldExclude(file.name)) {
-                    console.log(`⏭️  Skipping archived: ${currentPath}`);
-                    continue;
-                }
-                
                 if (file.mimeType === 'application/vnd.google-apps.folder') {
                     // Recursively scan subfolder
                     await scanFolder(drive, file.id, currentPath);
                 } else {
-                    // Add file to list
+                    const decision = policy.evaluate({ ...file, path: parentPath });
+                    if (!decision.included) {
+                        console.log(`⏭️  Skipping (${decision.rule}): ${currentPath}`);
+                        continue;
+                    }
+
+                    // Add file to list (all Drive metadata, see drive-metadata.js)
                     allFiles.push({
-                        id: file.id,
-                        name: file.name,
-                        mimeType: file.mimeType,
-                        modifiedTime: file.modifiedTime,
+                        ...file,
                         path: currentPath,
                         url: `https://drive.google.com/file/d/${file.id}/view`
                     });
@@ -70,6 +68,11 @@ export class GoogleDriveScanner {
         return allFiles;
     }
 
+    // Extract structured text from a listed file (see indexer/extractors)
+    async extractFile(file) {
+        return this.extractors.extract(file);
+    }
+
     async downloadFile(fileId, destPath) {
         const dest = fs.createWriteStream(destPath);
         
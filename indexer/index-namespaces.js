@@ -0,0 +1,155 @@
+const CONFIG_NAMESPACE = '__config__';
+const POINTER_ID = 'active-namespace';
+const DEFAULT_LABEL = '__default__';
+
+/**
+ * Index Namespaces
+ *
+ * Sally's vectors live in one namespace of the Pinecone index - the *active*
+ * namespace. A whole-index rebuild (npm run rebuild-index) writes a shadow
+ * namespace and then switches the active one, keeping the old namespace for
+ * rollback.
+ *
+ * The active namespace is stored in Pinecone itself, as a pointer record in
+ * the reserved `__config__` namespace:
+ *
+ *   metadata: { active, previous, switchedAt }
+ *
+ * so every reader (sync scripts, query layer) sees a switch at once. Before
+ * the first switch there is no pointer and the default namespace ('') is
+ * active. PINECONE_NAMESPACE overrides the pointer for one process.
+ */
+export class IndexNamespaces {
+    constructor(pinecone, indexName = process.env.PINECONE_INDEX_NAME, options = {}) {
+        this.baseIndex = pinecone.index(indexName);
+        this.dimension = options.dimension || 3072;
+    }
+
+    /**
+     * Index handle scoped to a namespace
+     */
+    index(namespace) {
+        return this.baseIndex.namespace(namespace);
+    }
+
+    /**
+     * Current pointer ({ active, previous, switchedAt }) or null before the first switch
+     */
+    async getPointer() {
+        const response = await this.index(CONFIG_NAMESPACE).fetch([POINTER_ID]);
+        const metadata = response.records?.[POINTER_ID]?.metadata;
+        if (!metadata) return null;
+
+        return {
+            active: decode(metadata.active),
+            previous: metadata.previous === undefined ? null : decode(metadata.previous),
+            switchedAt: metadata.switchedAt || null
+        };
+    }
+
+    /**
+     * Namespace to read and write (PINECONE_NAMESPACE, else the pointer, else default)
+     */
+    async getActive() {
+        if (process.env.PINECONE_NAMESPACE !== undefined) {
+            return process.env.PINECONE_NAMESPACE;
+        }
+
+        const pointer = await this.getPointer();
+        return pointer ? pointer.active : '';
+    }
+
+    /**
+     * Active namespace and an index handle scoped to it
+     */
+    async openActive() {
+        const namespace = await this.getActive();
+        return { namespace, index: this.index(namespace) };
+    }
+
+    /**
+     * Make a namespace the active one (the current one becomes `previous`)
+     */
+    async switchTo(namespace) {
+        if (namespace === CONFIG_NAMESPACE) {
+            throw new Error(`${CONFIG_NAMESPACE} is reserved`);
+        }
+
+        const pointer = await this.getPointer();
+        const previous = pointer ? pointer.active : '';
+
+        // Pinecone rejects all-zero dense vectors
+        const values = new Array(this.dimension).fill(0);
+        values[0] = 1;
+
+        await this.index(CONFIG_NAMESPACE).upsert([{
+            id: POINTER_ID,
+            values,
+            metadata: {
+                active: encode(namespace),
+                previous: encode(previous),
+                switchedAt: new Date().toISOString()
+            }
+        }]);
+
+        return { active: namespace, previous };
+    }
+
+    /**
+     * Switch back to the namespace that was active before the last switch
+     */
+    async rollback() {
+        const pointer = await this.getPointer();
+        if (!pointer || pointer.previous === null) {
+            throw new Error('No previous namespace to roll back to');
+        }
+        return this.switchTo(pointer.previous);
+    }
+
+    /**
+     * Vector count per namespace (without the config namespace)
+     */
+    async listNamespaces() {
+        const stats = await this.baseIndex.describeIndexStats();
+        const namespaces = {};
+
+        for (const [namespace, data] of Object.entries(stats.namespaces || {})) {
+            if (namespace === CONFIG_NAMESPACE) continue;
+            namespaces[namespace] = data.recordCount || 0;
+        }
+
+        return namespaces;
+    }
+
+    /**
+     * Delete every vector in a namespace (refuses the active and previous ones)
+     */
+    async dropNamespace(namespace) {
+        const pointer = await this.getPointer();
+        const active = pointer ? pointer.active : '';
+
+        if (namespace === CONFIG_NAMESPACE || namespace === active || namespace === pointer?.previous) {
+            throw new Error(`Refusing to drop namespace "${label(namespace)}" (reserved, active or rollback target)`);
+        }
+
+        await this.index(namespace).deleteAll();
+    }
+}
+
+/**
+ * Human-readable namespace name
+ */
+export function label(namespace) {
+    return namespace || '(default)';
+}
+
+/**
+ * Helper: Pinecone metadata can't hold '' reliably - store the default namespace by name
+ */
+function encode(namespace) {
+    return namespace || DEFAULT_LABEL;
+}
+
+function decode(value) {
+    return value === DEFAULT_LABEL ? '' : value;
+}
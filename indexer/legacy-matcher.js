@@ -0,0 +1,147 @@
+import { normalizeName, scoreNormalized } from './name-matching.js';
+import { shingles, containment } from './content-fingerprint.js';
+
+// Legacy chunks compared per candidate when matching on content
+const SAMPLE_CHUNKS = 10;
+
+/**
+ * Legacy Vector Matching
+ *
+ * Links Drive files to legacy vectors (indexed by n8n without File.id), where
+ * only the name - and the chunk text - connect them. Every legacy name is
+ * scored against the file's name (name-matching.js scoreNames); when that
+ * leaves no clear winner, the top candidates' chunk text is compared with the
+ * file's extracted text (content fingerprint overlap):
+ *
+ *   linked   best confidence >= autoLinkScore, at least `margin` ahead of
+ *            the runner-up
+ *   review   a candidate >= reviewScore but no clear winner - queued for
+ *            confirmation (npm run sync-matches) instead of guessed
+ *   none     no similar legacy name
+ *
+ * Matches confirmed or rejected with sync-matches are stored in the sync
+ * manifest and take precedence over scoring.
+ */
+export class LegacyMatcher {
+    /**
+     * extract: file -> extraction, to share extractions with the caller
+     * (default: extractors.extract)
+     */
+    constructor({ manifest, inventory = null, extractors = null, extract = null, autoLinkScore = 0.9, reviewScore = 0.6, margin = 0.05, maxCandidates = 5 }) {
+        this.manifest = manifest;
+        this.inventory = inventory;
+        this.extract = extract || (extractors ? file => extractors.extract(file) : null);
+        this.autoLinkScore = autoLinkScore;
+        this.reviewScore = reviewScore;
+        this.margin = margin;
+        this.maxCandidates = maxCandidates;
+        this.legacyNames = new Map();
+    }
+
+    /**
+     * Match a Drive file (not in the manifest) to legacy vectors
+     * Returns { status, legacyName?, confidence?, confirmed?, candidates }
+     * candidates: [{ name, confidence, nameScore, contentOverlap?, signals }] best first
+     */
+    async match(file) {
+        const legacyFiles = this.manifest.state.legacyFiles || {};
+        const decision = this.manifest.getMatchDecision(file.id);
+
+        if (decision?.link && legacyFiles[decision.link]) {
+            return { status: 'linked', legacyName: decision.link, confidence: 1, confirmed: true, candidates: [] };
+        }
+
+        const rejected = new Set(decision?.rejected || []);
+        const { normalized, words } = describeName(file.name);
+
+        // Only names sharing a word are scored (scoring every pair is slow on a full scan)
+        let candidates = Object.keys(legacyFiles)
+            .filter(name => !rejected.has(name))
+            .map(name => ({ name, ...this.describe(name) }))
+            .filter(legacy => [...legacy.words].some(word => words.has(word)))
+            .map(legacy => {
+                const { score, signals } = scoreNormalized(normalized, legacy.normalized);
+                return { name: legacy.name, confidence: score, nameScore: score, signals };
+            })
+            .filter(candidate => candidate.nameScore >= this.reviewScore)
+            .sort(byConfidence)
+            .slice(0, this.maxCandidates);
+
+        if (candidates.length === 0) {
+            return { status: 'none', candidates };
+        }
+
+        if (!this.isClear(candidates)) {
+            candidates = await this.compareContent(file, candidates, legacyFiles);
+        }
+
+        if (this.isClear(candidates)) {
+            const [best] = candidates;
+            return { status: 'linked', legacyName: best.name, confidence: best.confidence, confirmed: false, candidates };
+        }
+
+        return { status: 'review', candidates };
+    }
+
+    /**
+     * Helper: Best candidate is confident and clearly ahead
+     */
+    isClear(candidates) {
+        const [best, second] = candidates;
+        return best.confidence >= this.autoLinkScore &&
+            (!second || best.confidence - second.confidence >= this.margin);
+    }
+
+    /**
+     * Helper: Re-score candidates with the overlap between their chunk text and
+     * the file's text (confidence = 40% name, 60% content)
+     */
+    async compareContent(file, candidates, legacyFiles) {
+        const comparable = candidates.filter(candidate => legacyFiles[candidate.name].vectorIds?.length > 0);
+
+        if (!this.inventory || !this.extract || comparable.length === 0) {
+            return candidates;
+        }
+
+        let documentShingles;
+        try {
+            const { text } = await this.extract(file);
+            documentShingles = shingles(text);
+        } catch (error) {
+            console.log(`   ⚠️  Content matching skipped for ${file.name}: ${error.message}`);
+            return candidates;
+        }
+
+        for (const candidate of comparable) {
+            const records = await this.inventory.fetchRecords(legacyFiles[candidate.name].vectorIds.slice(0, SAMPLE_CHUNKS));
+            const chunkShingles = new Set(records.flatMap(record => [...shingles(record.metadata?.text)]));
+
+            candidate.contentOverlap = containment(chunkShingles, documentShingles);
+            candidate.confidence = 0.4 * candidate.nameScore + 0.6 * candidate.contentOverlap;
+        }
+
+        return candidates.sort(byConfidence);
+    }
+
+    /**
+     * Helper: describeName() of a legacy name (cached - compared against every file)
+     */
+    describe(name) {
+        if (!this.legacyNames.has(name)) {
+            this.legacyNames.set(name, describeName(name));
+        }
+        return this.legacyNames.get(name);
+    }
+}
+
+/**
+ * Helper: Normalized name and its words
+ */
+function describeName(name) {
+    const normalized = normalizeName(name);
+    return { normalized, words: new Set(normalized.split(' ').filter(Boolean)) };
+}
+
+function byConfidence(a, b) {
+    return b.confidence - a.confidence;
+}
@@ -0,0 +1,95 @@
+import { normalizeMetadata } from './vector-metadata.js';
+
+/**
+ * Legacy Vector Migration
+ *
+ * Plans what to do with every legacy n8n vector group (vectors without
+ * File.id, grouped by File.name) given the Drive files they may belong to.
+ * Each Drive file is matched with the legacy matcher (name, aliases and
+ * content - see legacy-matcher.js); a legacy group claimed by several files
+ * goes to the most confident one.
+ *
+ * Actions per legacy group:
+ *   delete    the Drive file is already indexed with File.id - the legacy
+ *             vectors are stale copies
+ *   backfill  not indexed, and the legacy vectors are as new as the Drive
+ *             file - rewrite their metadata onto the schema with File.id,
+ *             webViewLink etc.
+ *   reindex   not indexed, Drive file changed since - index it, then delete
+ *             the legacy vectors
+ *   review    ambiguous match - confirm with npm run sync-matches first
+ *   unmatched no Drive file - kept, or deleted with deleteUnmatched
+ *
+ * mode: 'auto' (backfill when current, else reindex), 'backfill' or 'reindex'
+ */
+export async function planLegacyMigration({ driveFiles, manifest, matcher, mode = 'auto', deleteUnmatched = false }) {
+    const legacyFiles = manifest.state.legacyFiles || {};
+    const claims = new Map();
+    const reviews = new Map();
+
+    for (const file of driveFiles) {
+        const match = await matcher.match(file);
+
+        if (match.status === 'linked') {
+            const current = claims.get(match.legacyName);
+            if (!current || match.confidence > current.confidence) {
+                claims.set(match.legacyName, { file, confidence: match.confidence, confirmed: match.confirmed });
+            }
+        } else if (match.status === 'review') {
+            for (const candidate of match.candidates) {
+                if (!reviews.has(candidate.name)) reviews.set(candidate.name, []);
+                reviews.get(candidate.name).push({ file, candidates: match.candidates });
+            }
+        }
+    }
+
+    return Object.entries(legacyFiles).map(([legacyName, legacy]) => {
+        const base = { legacyName, vectorIds: legacy.vectorIds || [], legacyModifiedDate: legacy.modifiedDate || null };
+        const claim = claims.get(legacyName);
+
+        if (claim) {
+            return { ...base, ...claim, action: chooseAction(claim.file, legacy, manifest, mode) };
+        }
+
+        if (reviews.has(legacyName)) {
+            return { ...base, action: 'review', reviews: reviews.get(legacyName) };
+        }
+
+        return { ...base, action: deleteUnmatched ? 'delete' : 'unmatched' };
+    });
+}
+
+/**
+ * Metadata a legacy vector gets when backfilled: normalized onto the schema
+ * with the Drive file's File.* fields (vector-metadata.js) - n8n's keys are
+ * renamed or dropped, the chunk text and location kept
+ */
+export function backfillMetadata(metadata, file) {
+    return normalizeMetadata(metadata, file);
+}
+
+/**
+ * Changed fields between a vector's metadata and its rewrite:
+ * [{ field, from, to }] (to is null for a removed field)
+ */
+export function metadataDiff(metadata = {}, rewritten) {
+    const fields = new Set([...Object.keys(metadata), ...Object.keys(rewritten)]);
+
+    return Array.from(fields)
+        .filter(field => JSON.stringify(metadata[field] ?? null) !== JSON.stringify(rewritten[field] ?? null))
+        .map(field => ({ field, from: metadata[field] ?? null, to: rewritten[field] ?? null }));
+}
+
+/**
+ * Helper: Action for a legacy group claimed by a Drive file
+ */
+function chooseAction(file, legacy, manifest, mode) {
+    if (manifest.has(file.id)) return 'delete';
+    if (mode !== 'auto') return mode;
+
+    // n8n stored the modified date only - current if not older than Drive's
+    const driveDate = file.modifiedTime?.split('T')[0];
+    const current = legacy.modifiedDate && driveDate && legacy.modifiedDate >= driveDate;
+
+    return current && legacy.vectorIds?.length > 0 ? 'backfill' : 'reindex';
+}
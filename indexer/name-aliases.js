@@ -0,0 +1,105 @@
+import fs from 'fs';
+
+export const DEFAULT_ALIASES_PATH = './config/name-aliases.json';
+export const ALIASES_VERSION = 1;
+
+/**
+ * Document Name Aliases
+ *
+ * Business aliases for document names ("Quarterly Industry Trends" is the
+ * "State of Retail Ecommerce" report), kept in an editable dictionary
+ * (config/name-aliases.json, override with NAME_ALIASES_PATH):
+ *
+ *   { "canonical": "aigo", "variants": ["ai goal optimizer"] }
+ *
+ * apply() rewrites every variant to its canonical phrase. Shared by sync
+ * name matching, duplicate-format detection and catalog search so they
+ * agree on what counts as the same document. `npm run aliases -- suggest`
+ * proposes new entries.
+ */
+export class AliasDictionary {
+    constructor(dictionary = {}, source = null) {
+        this.source = source;
+
+        if (dictionary.version !== ALIASES_VERSION) {
+            throw new Error(`Unsupported alias dictionary version ${dictionary.version} (expected ${ALIASES_VERSION})`);
+        }
+
+        this.aliases = (dictionary.aliases || []).map((alias, i) => {
+            if (!alias.canonical || !Array.isArray(alias.variants) || alias.variants.length === 0) {
+                throw new Error(`aliases[${i}] needs "canonical" and a non-empty "variants" list`);
+            }
+            return alias;
+        });
+
+        // Longest variants first, so "quarterly industry trends" wins over "industry trends"
+        this.replacements = this.aliases
+            .flatMap(alias => alias.variants.map(variant => ({ variant, canonical: alias.canonical })))
+            .sort((a, b) => b.variant.length - a.variant.length)
+            .map(({ variant, canonical }) => ({ pattern: phrasePattern(variant), canonical }));
+    }
+
+    /**
+     * Load a dictionary file (synchronous - name normalization is synchronous)
+     */
+    static load(aliasesPath = process.env.NAME_ALIASES_PATH || DEFAULT_ALIASES_PATH) {
+        let raw;
+
+        try {
+            raw = fs.readFileSync(aliasesPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Alias dictionary not found: ${aliasesPath}`);
+            }
+            throw error;
+        }
+
+        try {
+            return new AliasDictionary(JSON.parse(raw), aliasesPath);
+        } catch (error) {
+            throw new Error(`Invalid alias dictionary ${aliasesPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rewrite alias variants in a text to their canonical phrase
+     */
+    apply(text) {
+        return this.replacements.reduce(
+            (result, { pattern, canonical }) => result.replace(pattern, canonical),
+            text
+        );
+    }
+
+    /**
+     * Canonical phrase a variant (or canonical) belongs to, or null
+     */
+    canonicalOf(phrase) {
+        const normalized = phrase.toLowerCase().trim();
+        const alias = this.aliases.find(a =>
+            a.canonical.toLowerCase() === normalized || a.variants.some(v => v.toLowerCase() === normalized)
+        );
+        return alias ? alias.canonical : null;
+    }
+}
+
+let shared = null;
+
+/**
+ * The alias dictionary used by name normalization (loaded once)
+ */
+export function getAliasDictionary() {
+    if (!shared) {
+        shared = AliasDictionary.load();
+    }
+    return shared;
+}
+
+/**
+ * Helper: Whole-phrase, case-insensitive pattern; words may be separated by
+ * spaces, punctuation or nothing ("gen ai", "Gen-AI", "GenAI")
+ */
+function phrasePattern(phrase) {
+    const words = phrase.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`\\b${words.join('[\\s_\\-:]*')}\\b`, 'gi');
+}
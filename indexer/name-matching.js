@@ -0,0 +1,175 @@
+import { getAliasDictionary } from './name-aliases.js';
+
+/**
+ * Document Name Matching
+ *
+ * Name normalization and scoring, used to match Drive files to legacy vectors
+ * that have no File.id (indexed by the old n8n workflow - see
+ * legacy-matcher.js). Business aliases come from the alias dictionary
+ * (name-aliases.js).
+ */
+
+/**
+ * Name reduced for comparison: no extension, version markers, years or
+ * punctuation, with known aliases rewritten
+ */
+export function normalizeName(fileName) {
+    const stripped = fileName
+        .replace(/\.(pdf|pptx?|docx?|xlsx?|gslides?|gdocs?|gsheet?)$/i, '')
+        .replace(/[_\-:]+/g, ' ')
+        .replace(/\(copy\s*\d*\)/gi, '')
+        // Strip version indicators (va, vb, v1, v2, v1.1, etc.)
+        .replace(/\s+v[a-z]\b/gi, '')  // va, vb, vc
+        .replace(/\s+v\d+(\.\d+)*/gi, '')  // v1, v2, v1.1
+        .replace(/\s+_v\d+(\.\d+)*/gi, '')  // _v1
+        .replace(/\s+version\s+\d+/gi, '');
+
+    // Document aliases and abbreviations (config/name-aliases.json)
+    return getAliasDictionary().apply(stripped)
+        // Remove ALL years for better matching (202X)
+        .replace(/\b202[0-9]\b/gi, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')  // Collapse multiple spaces
+        .trim();
+}
+
+// Name score at which two names count as the same document
+export const SAME_NAME_SCORE = 0.9;
+
+/**
+ * Score how likely two names are the same document (0-1)
+ *
+ * 1 for equal normalized names, otherwise a blend of:
+ *   tokenSet  token-set ratio - word overlap, ignoring order and extra words
+ *             (truncated titles score high)
+ *   edit      edit-distance ratio of the whole normalized names
+ *
+ * Returns { score, signals: { exact, tokenSet, edit } }
+ */
+export function scoreNames(name1, name2) {
+    return scoreNormalized(normalizeName(name1), normalizeName(name2));
+}
+
+/**
+ * scoreNames() for names already passed through normalizeName()
+ */
+export function scoreNormalized(n1, n2) {
+    if (!n1 || !n2) {
+        return { score: 0, signals: { exact: false, tokenSet: 0, edit: 0 } };
+    }
+
+    if (n1 === n2) {
+        return { score: 1, signals: { exact: true, tokenSet: 1, edit: 1 } };
+    }
+
+    const tokenSet = tokenSetRatio(n1, n2);
+    const edit = editRatio(n1, n2);
+
+    return {
+        score: 0.6 * tokenSet + 0.4 * edit,
+        signals: { exact: false, tokenSet, edit }
+    };
+}
+
+/**
+ * Check if two names refer to the same document (fuzzy matching)
+ */
+export function isSimilarName(name1, name2) {
+    return scoreNames(name1, name2).score >= SAME_NAME_SCORE;
+}
+
+/**
+ * Token-set ratio: compares the shared words alone and with each side's
+ * remaining words, keeping the best edit ratio
+ */
+export function tokenSetRatio(n1, n2) {
+    const tokens1 = new Set(words(n1));
+    const tokens2 = new Set(words(n2));
+
+    const shared = [...tokens1].filter(token => tokens2.has(token)).sort().join(' ');
+    const rest1 = [...tokens1].filter(token => !tokens2.has(token)).sort().join(' ');
+    const rest2 = [...tokens2].filter(token => !tokens1.has(token)).sort().join(' ');
+
+    const with1 = [shared, rest1].filter(Boolean).join(' ');
+    const with2 = [shared, rest2].filter(Boolean).join(' ');
+
+    return Math.max(
+        shared ? editRatio(shared, with1) : 0,
+        shared ? editRatio(shared, with2) : 0,
+        editRatio(with1, with2)
+    );
+}
+
+/**
+ * Edit-distance ratio: 1 for equal strings, 0 for nothing in common
+ */
+export function editRatio(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * Propose aliases from names that don't match: each unmatched Drive name is
+ * paired with its most similar unmatched index name (score >= minScore), and
+ * the words that differ become a variant → canonical pair
+ *
+ * Returns [{ driveName, indexName, score, alias: { canonical, variant } | null }]
+ * sorted by score. `alias` is null when the difference is already known or
+ * isn't a phrase swap (only words added or removed).
+ */
+export function suggestAliases(driveNames, indexNames, { minScore = 0.5, dictionary = getAliasDictionary() } = {}) {
+    const suggestions = [];
+
+    for (const driveName of driveNames) {
+        let best = null;
+
+        for (const indexName of indexNames) {
+            const { score } = scoreNames(driveName, indexName);
+            if (score >= minScore && (!best || score > best.score)) {
+                best = { indexName, score };
+            }
+        }
+
+        if (!best) continue;
+
+        const driveWords = normalizeName(driveName).split(' ');
+        const indexWords = normalizeName(best.indexName).split(' ');
+        const variant = driveWords.filter(word => !indexWords.includes(word)).join(' ');
+        const canonical = indexWords.filter(word => !driveWords.includes(word)).join(' ');
+        const known = dictionary.canonicalOf(variant) || dictionary.canonicalOf(canonical);
+
+        suggestions.push({
+            driveName,
+            indexName: best.indexName,
+            score: best.score,
+            alias: variant && canonical && !known ? { canonical, variant } : null
+        });
+    }
+
+    return suggestions.sort((a, b) => b.score - a.score);
+}
+
+function words(text) {
+    return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Helper: Levenshtein distance (two-row dynamic programming)
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
@@ -0,0 +1,260 @@
+import fs from 'fs/promises';
+import { PineconeInventory } from './pinecone-inventory.js';
+import { SyncManifest } from './sync-manifest.js';
+import { EmbeddingService } from './embedding-service.js';
+import { DEFAULT_CATALOG_PATH } from './chunk-context.js';
+import { label } from './index-namespaces.js';
+
+const REQUIRED_METADATA = ['File.id', 'File.name', 'text'];
+
+/**
+ * Namespace Validation Suite
+ *
+ * Decides whether a rebuilt (candidate) namespace is fit to replace the
+ * active (baseline) one. Checks:
+ *
+ * - vectors    the candidate is not empty
+ * - metadata   every vector has File.id, File.name and text
+ * - manifest   the candidate's sync manifest matches its vectors and has no
+ *              pending generations
+ * - coverage   share of the baseline's documents present in the candidate
+ *              (>= minCoverage; files deleted from Drive since the last sync
+ *              count as missing, hence not 100%)
+ * - retrieval  the identity catalog's searchQueries find their own document
+ *              in the top K; candidate recall may be at most maxRecallDrop
+ *              below the baseline's. Skipped without a catalog
+ *
+ * Query embeddings use the model each namespace was indexed with.
+ */
+export class NamespaceValidator {
+    constructor({ namespaces, catalogPath, sampleQueries = 50, topK = 10, minCoverage = 0.98, maxRecallDrop = 0.05 }) {
+        this.namespaces = namespaces;
+        this.catalogPath = catalogPath || process.env.IDENTITY_CATALOG_PATH || DEFAULT_CATALOG_PATH;
+        this.sampleQueries = sampleQueries;
+        this.topK = topK;
+        this.minCoverage = minCoverage;
+        this.maxRecallDrop = maxRecallDrop;
+        this.embeddingServices = new Map();
+    }
+
+    /**
+     * Run every check. Returns { passed, checks: [{ name, passed, detail }] }
+     */
+    async validate(candidate, baseline) {
+        const checks = [];
+        const candidateScan = await this.scan(candidate);
+        const baselineScan = candidate === baseline ? candidateScan : await this.scan(baseline);
+
+        checks.push({
+            name: 'vectors',
+            passed: candidateScan.totalVectors > 0,
+            detail: `${candidateScan.totalVectors} vectors across ${candidateScan.files.size} files`
+        });
+
+        checks.push({
+            name: 'metadata',
+            passed: candidateScan.incomplete.length === 0,
+            detail: candidateScan.incomplete.length === 0
+                ? `all vectors have ${REQUIRED_METADATA.join(', ')}`
+                : `${candidateScan.incomplete.length} vectors missing metadata (e.g. ${candidateScan.incomplete.slice(0, 3).join(', ')})`
+        });
+
+        checks.push(await this.checkManifest(candidate, candidateScan));
+        checks.push(this.checkCoverage(candidateScan, baselineScan, baseline));
+        checks.push(await this.checkRetrieval(candidate, candidateScan, baseline, baselineScan));
+
+        return { passed: checks.every(check => check.passed), checks };
+    }
+
+    /**
+     * Helper: One pass over a namespace - files (for reconcile), names and
+     * vectors with incomplete metadata
+     */
+    async scan(namespace) {
+        const inventory = new PineconeInventory(this.namespaces.index(namespace));
+        const files = new Map();
+        const names = new Set();
+        const incomplete = [];
+        let totalVectors = 0;
+
+        for await (const records of inventory.iterateRecords()) {
+            for (const record of records) {
+                totalVectors++;
+                const metadata = record.metadata || {};
+
+                if (REQUIRED_METADATA.some(key => !metadata[key])) {
+                    incomplete.push(record.id);
+                }
+
+                if (metadata['File.name']) names.add(metadata['File.name']);
+
+                const fileId = metadata['File.id'];
+                if (!fileId) continue;
+
+                if (!files.has(fileId)) {
+                    files.set(fileId, { name: metadata['File.name'], vectorIds: [] });
+                }
+                files.get(fileId).vectorIds.push(record.id);
+            }
+        }
+
+        const manifest = await new SyncManifest({ namespace }).load();
+        return { namespace, files, names, incomplete, totalVectors, manifest };
+    }
+
+    /**
+     * Helper: Candidate manifest matches its vectors
+     */
+    async checkManifest(candidate, scan) {
+        const drift = scan.manifest.reconcile(scan.files);
+        const pending = scan.manifest.pendingGenerations().length;
+        const problems = [];
+
+        if (scan.manifest.isEmpty()) problems.push(`no sync manifest for ${label(candidate)}`);
+        if (drift.missingFromIndex.length > 0) problems.push(`${drift.missingFromIndex.length} files missing from index`);
+        if (drift.untracked.length > 0) problems.push(`${drift.untracked.length} untracked files`);
+        if (drift.chunkMismatch.length > 0) problems.push(`${drift.chunkMismatch.length} files with differing vector ids`);
+        if (pending > 0) problems.push(`${pending} pending generations`);
+
+        return {
+            name: 'manifest',
+            passed: problems.length === 0,
+            detail: problems.length === 0 ? `${scan.manifest.size} files, no drift` : problems.join(', ')
+        };
+    }
+
+    /**
+     * Helper: Share of baseline documents (by Drive id or name) in the candidate
+     */
+    checkCoverage(candidateScan, baselineScan, baseline) {
+        // Legacy n8n vectors have no File.id - those documents are matched by name
+        const namesWithId = new Set(Array.from(baselineScan.files.values(), file => file.name));
+        const baselineDocs = [
+            ...Array.from(baselineScan.files, ([fileId, file]) => ({ fileId, name: file.name })),
+            ...Array.from(baselineScan.names)
+                .filter(name => !namesWithId.has(name))
+                .map(name => ({ fileId: null, name }))
+        ];
+
+        if (baselineDocs.length === 0) {
+            return { name: 'coverage', passed: true, detail: `skipped - ${label(baseline)} is empty` };
+        }
+
+        const missing = baselineDocs.filter(doc =>
+            !(doc.fileId && candidateScan.files.has(doc.fileId)) && !candidateScan.names.has(doc.name)
+        );
+        const coverage = 1 - missing.length / baselineDocs.length;
+
+        return {
+            name: 'coverage',
+            passed: coverage >= this.minCoverage,
+            detail: `${baselineDocs.length - missing.length}/${baselineDocs.length} documents of ${label(baseline)} ` +
+                `(${(coverage * 100).toFixed(1)}%, minimum ${(this.minCoverage * 100).toFixed(0)}%)` +
+                (missing.length > 0 ? ` - missing e.g. ${missing.slice(0, 5).map(doc => doc.name).join('; ')}` : '')
+        };
+    }
+
+    /**
+     * Helper: Catalog search queries find their document, no worse than the baseline
+     */
+    async checkRetrieval(candidate, candidateScan, baseline, baselineScan) {
+        const queries = await this.loadQueries(candidateScan);
+
+        if (queries.length === 0) {
+            return { name: 'retrieval', passed: true, detail: `skipped - no catalog search queries (${this.catalogPath})` };
+        }
+
+        const candidateRecall = await this.recall(candidate, candidateScan, queries);
+
+        if (candidate === baseline || baselineScan.totalVectors === 0) {
+            return {
+                name: 'retrieval',
+                passed: candidateRecall > 0,
+                detail: `recall@${this.topK} ${formatRecall(candidateRecall)} over ${queries.length} queries`
+            };
+        }
+
+        const baselineRecall = await this.recall(baseline, baselineScan, queries);
+
+        return {
+            name: 'retrieval',
+            passed: candidateRecall >= baselineRecall - this.maxRecallDrop,
+            detail: `recall@${this.topK} ${formatRecall(candidateRecall)} vs ${formatRecall(baselineRecall)} ` +
+                `in ${label(baseline)} over ${queries.length} queries`
+        };
+    }
+
+    /**
+     * Helper: First search query of catalog documents indexed in the candidate
+     */
+    async loadQueries(candidateScan) {
+        let catalog;
+
+        try {
+            catalog = JSON.parse(await fs.readFile(this.catalogPath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return [];
+        }
+
+        return (catalog.documents || [])
+            .filter(doc => doc.fileId && candidateScan.files.has(doc.fileId) && doc.searchQueries?.length > 0)
+            .sort((a, b) => a.fileId.localeCompare(b.fileId))
+            .slice(0, this.sampleQueries)
+            .map(doc => ({ fileId: doc.fileId, query: doc.searchQueries[0] }));
+    }
+
+    /**
+     * Helper: Share of queries whose document is in a namespace's top K
+     */
+    async recall(namespace, scan, queries) {
+        const embeddings = this.embeddingsFor(indexedModel(scan.manifest));
+        const vectors = await embeddings.embed(queries.map(q => q.query));
+        const index = this.namespaces.index(namespace);
+        let hits = 0;
+
+        for (let i = 0; i < queries.length; i++) {
+            const response = await index.query({
+                vector: vectors[i],
+                topK: this.topK,
+                includeMetadata: true
+            });
+
+            if ((response.matches || []).some(match => match.metadata?.['File.id'] === queries[i].fileId)) {
+                hits++;
+            }
+        }
+
+        return hits / queries.length;
+    }
+
+    /**
+     * Helper: One embedding service per model
+     */
+    embeddingsFor(model) {
+        if (!this.embeddingServices.has(model)) {
+            this.embeddingServices.set(model, new EmbeddingService({ model }));
+        }
+        return this.embeddingServices.get(model);
+    }
+}
+
+/**
+ * Helper: Embedding model most of a namespace's files were indexed with
+ */
+function indexedModel(manifest) {
+    const counts = new Map();
+
+    for (const entry of manifest.values()) {
+        if (entry.embeddingModel) {
+            counts.set(entry.embeddingModel, (counts.get(entry.embeddingModel) || 0) + 1);
+        }
+    }
+
+    const [model] = Array.from(counts).sort((a, b) => b[1] - a[1])[0] || ['text-embedding-3-large'];
+    return model;
+}
+
+function formatRecall(recall) {
+    return `${(recall * 100).toFixed(1)}%`;
+}
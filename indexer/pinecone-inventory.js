@@ -0,0 +1,179 @@
+/**
+ * Pinecone Index Inventory
+ *
+ * Enumerates every vector in the index instead of relying on a zero-vector
+ * query with topK=10000, which silently truncates once the index grows past
+ * 10k vectors and returns an arbitrary subset.
+ *
+ * How it works:
+ * 1. Lists vector ids page by page (optionally by id prefix)
+ * 2. Fetches metadata for those ids in batches
+ * 3. Groups vectors into a per-file manifest keyed by File.id
+ *    (legacy n8n vectors without File.id are grouped by File.name)
+ */
+export class PineconeInventory {
+    constructor(index, options = {}) {
+        this.index = index;
+        this.pageSize = options.pageSize || 100;
+        this.fetchBatchSize = options.fetchBatchSize || 100;
+    }
+
+    /**
+     * Vector id prefix used by our indexers (`${fileId}_chunk_${i}_${hash}[_g${generation}]`, see chunkVectorId)
+     */
+    static filePrefix(fileId) {
+        return `${fileId}_chunk_`;
+    }
+
+    /**
+     * Drive file id of one of our vector ids (null for other ids, e.g. legacy n8n vectors)
+     */
+    static fileIdOf(vectorId) {
+        const index = vectorId.indexOf('_chunk_');
+        return index > 0 ? vectorId.slice(0, index) : null;
+    }
+
+    /**
+     * Yield pages of vector ids matching a prefix ('' lists the whole namespace)
+     */
+    async *listVectorIdPages(prefix = '') {
+        let paginationToken;
+
+        do {
+            const response = await this.index.listPaginated({
+                prefix,
+                limit: this.pageSize,
+                ...(paginationToken ? { paginationToken } : {})
+            });
+
+            const ids = (response.vectors || []).map(v => v.id);
+            if (ids.length > 0) {
+                yield ids;
+            }
+
+            paginationToken = response.pagination?.next;
+        } while (paginationToken);
+    }
+
+    /**
+     * Get every vector id matching a prefix
+     */
+    async listVectorIds(prefix = '') {
+        const allIds = [];
+
+        for await (const ids of this.listVectorIdPages(prefix)) {
+            allIds.push(...ids);
+        }
+
+        return allIds;
+    }
+
+    /**
+     * Fetch full records (id, values, metadata) for a list of ids in batches
+     */
+    async fetchRecords(ids) {
+        const records = [];
+
+        for (let i = 0; i < ids.length; i += this.fetchBatchSize) {
+            const batch = ids.slice(i, i + this.fetchBatchSize);
+            const response = await this.index.fetch(batch);
+
+            for (const id of batch) {
+                const record = response.records?.[id];
+                if (record) records.push(record);
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Yield every record in the index (or under a prefix), one id page at a time
+     */
+    async *iterateRecords(prefix = '') {
+        for await (const ids of this.listVectorIdPages(prefix)) {
+            yield await this.fetchRecords(ids);
+        }
+    }
+
+    /**
+     * Get all vector ids belonging to one Drive file
+     */
+    async getFileVectorIds(fileId) {
+        return this.listVectorIds(PineconeInventory.filePrefix(fileId));
+    }
+
+    /**
+     * Build a complete per-file manifest of the index
+     *
+     * Returns:
+     *   files        Map of File.id -> manifest entry
+     *   legacyFiles  Map of File.name -> manifest entry (vectors without File.id)
+     *   totalVectors number of vectors scanned
+     *   latestSyncDate  max File.lastSyncDate across all vectors (or null)
+     */
+    async buildManifest(options = {}) {
+        const files = new Map();
+        const legacyFiles = new Map();
+        let totalVectors = 0;
+        let latestSyncDate = null;
+
+        for await (const records of this.iterateRecords(options.prefix || '')) {
+            for (const record of records) {
+                totalVectors++;
+
+                const metadata = record.metadata || {};
+                const fileId = metadata['File.id'];
+                const fileName = metadata['File.name'];
+                const lastSyncDate = metadata['File.lastSyncDate'];
+
+                if (lastSyncDate && (!latestSyncDate || lastSyncDate > latestSyncDate)) {
+                    latestSyncDate = lastSyncDate;
+                }
+
+                const target = fileId ? files : legacyFiles;
+                const key = fileId || fileName;
+                if (!key) continue;
+
+                if (!target.has(key)) {
+                    target.set(key, this.createManifestEntry(metadata));
+                }
+
+                const entry = target.get(key);
+                entry.vectorIds.push(record.id);
+
+                // Vectors of one file can come from different runs - keep the newest values
+                if (lastSyncDate && (!entry.lastSyncDate || lastSyncDate > entry.lastSyncDate)) {
+                    entry.lastSyncDate = lastSyncDate;
+                }
+                if (metadata['File.modifiedDate'] && metadata['File.modifiedDate'] > (entry.modifiedDate || '')) {
+                    entry.modifiedDate = metadata['File.modifiedDate'];
+                }
+            }
+
+            if (options.onProgress) {
+                options.onProgress(totalVectors);
+            }
+        }
+
+        return { files, legacyFiles, totalVectors, latestSyncDate };
+    }
+
+    /**
+     * Helper: Create a manifest entry from the first vector seen for a file
+     */
+    createManifestEntry(metadata) {
+        return {
+            fileId: metadata['File.id'] || null,
+            name: metadata['File.name'],
+            webViewLink: metadata['File.webviewlink'] || metadata['File.webViewLink'],
+            mimeType: metadata['blobType'],
+            modifiedDate: metadata['File.modifiedDate'],
+            lastSyncDate: metadata['File.lastSyncDate'],
+            md5: metadata['File.md5'],
+            version: metadata['File.version'] || 0,
+            size: metadata['File.size'],
+            vectorIds: []
+        };
+    }
+}
@@ -0,0 +1,1080 @@
+import { google } from 'googleapis';
+import { Pinecone } from '@pinecone-database/pinecone';
+import fs from 'fs/promises';
+import { execSync } from 'child_process';
+import { PineconeInventory } from './pinecone-inventory.js';
+import { SyncManifest } from './sync-manifest.js';
+import { DriveChangeTracker } from './drive-changes.js';
+import { DriveFolderPaths } from './drive-paths.js';
+import { ShortcutResolver } from './drive-shortcuts.js';
+import { DRIVE_METADATA_FIELDS, driveLabelParams, driveDetailsChanged } from './drive-metadata.js';
+import { createExtractorRegistry } from './extractors/index.js';
+import { isMediaFile } from './extractors/media.js';
+import { DocumentChunker, CHUNKER_VERSION, LEGACY_CHUNKER_VERSION } from './chunker.js';
+import { ChunkContextBuilder, createChunkVectors } from './chunk-context.js';
+import { EmbeddingService } from './embedding-service.js';
+import { VectorGenerations } from './vector-generations.js';
+import { METADATA_SCHEMA_VERSION, upsertVectors, normalizeMetadata } from './vector-metadata.js';
+import { IndexNamespaces, label } from './index-namespaces.js';
+import { SyncPolicy } from './sync-policy.js';
+import { checkFile, detectDuplicates } from './file-filters.js';
+import { LegacyMatcher } from './legacy-matcher.js';
+import { FingerprintStore, minHash, shingles } from './content-fingerprint.js';
+import { writeSyncReport } from './sync-report.js';
+
+export const SYNC_STAGES = ['new', 'modified', 'deleted'];
+
+// Exit code of a sync that ran, but failed on some files (fatal errors exit 1)
+export const FILES_FAILED_EXIT_CODE = 2;
+
+const DRIVE_FILE_FIELDS = `${DRIVE_METADATA_FIELDS}, shortcutDetails(targetId, targetMimeType)`;
+const SHORTCUT_FIELDS = `${DRIVE_FILE_FIELDS}, trashed`;
+const MIN_TEXT_LENGTH = 50;
+
+/**
+ * Sync Engine
+ *
+ * The one implementation of Drive → Pinecone sync behind every sync npm
+ * script (scripts/sync.js). Live runs, dry runs and reports all go through
+ * the same plan, so they can't disagree:
+ *
+ * 1. Collect    full folder scan, or Drive changes since the last sync
+ *               (incremental; falls back to a full scan when needed)
+ * 2. Filter     the sync policy (config/sync-policy.json), unsupported
+ *               types and duplicates - same name in several formats, or
+ *               near-identical content (file-filters.js)
+ * 3. Classify   against the sync manifest (state/):
+ *               new       not indexed (and no legacy vectors with a similar name)
+ *               modified  newer modifiedTime, different md5/size, renamed,
+ *                         or legacy vectors without File.id; only the
+ *                         owners, description or labels (or the metadata
+ *                         schema) changed - the stored vectors' metadata is
+ *                         updated in place
+ *               Legacy vectors are matched by name and content
+ *               (legacy-matcher.js); ambiguous matches are indexed as new
+ *               and queued for review (npm run sync-matches)
+ *               deleted   indexed but gone from Drive (trashed, removed,
+ *                         moved out of the folder), or now skipped by the
+ *                         filters (excluded, or a duplicate)
+ * 4. Apply      index new, re-index modified (blue/green generations),
+ *               delete removed - or only print them with dryRun. Legacy
+ *               vectors a re-indexed file replaces are deleted
+ *
+ * Options:
+ *   dryRun          classify and report only
+ *   incremental     use the Drive Changes API when possible
+ *   only            subset of SYNC_STAGES to apply
+ *   since           Date - files not modified after it count as unchanged
+ *   report          'csv' | 'json' - write the plan to reports/
+ *   rebuildCatalog  rebuild the document catalog and CSV after changes
+ *   contextHeaders  embed chunks with context headers (chunk-context.js)
+ *   policyPath      sync policy file (default SYNC_POLICY_PATH or config/sync-policy.json)
+ *   fingerprints    compare content in duplicate detection (default true; false
+ *                   matches duplicates by name only)
+ *
+ * Runs limited by `only` or `since` don't move the "last sync" cutoff or the
+ * Drive page token, so nothing they skipped is lost for the next run.
+ */
+export class SyncEngine {
+    constructor(options = {}) {
+        const credPath = process.env.GOOGLE_CREDENTIALS_PATH || './google-credentials.json';
+        this.auth = new google.auth.GoogleAuth({
+            keyFile: credPath,
+            scopes: [
+                'https://www.googleapis.com/auth/drive.readonly',
+                'https://www.googleapis.com/auth/documents.readonly',
+                'https://www.googleapis.com/auth/presentations.readonly',
+                'https://www.googleapis.com/auth/spreadsheets.readonly'
+            ]
+        });
+
+        this.drive = google.drive({ version: 'v3', auth: this.auth });
+        this.docs = google.docs({ version: 'v1', auth: this.auth });
+        this.slides = google.slides({ version: 'v1', auth: this.auth });
+        this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+
+        // Pinecone (index, inventory, manifest and generations are opened for
+        // the active namespace in connect())
+        this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+        this.namespaces = new IndexNamespaces(this.pinecone);
+
+        // Embeddings (batched, retrying)
+        this.embeddingModel = 'text-embedding-3-large';
+        this.embeddings = new EmbeddingService({ model: this.embeddingModel });
+        this.chunkerVersion = CHUNKER_VERSION;
+
+        // Text extraction (defines the supported file types)
+        this.extractors = createExtractorRegistry({
+            drive: this.drive,
+            docs: this.docs,
+            slides: this.slides,
+            sheets: this.sheets
+        });
+        this.chunker = new DocumentChunker({ extractors: this.extractors });
+        this.chunkContext = options.contextHeaders ? new ChunkContextBuilder() : null;
+
+        this.dryRun = options.dryRun || false;
+        this.incremental = options.incremental || false;
+        this.only = new Set(options.only || SYNC_STAGES);
+        this.since = options.since || null;
+        this.report = options.report || null;
+        this.rebuildCatalog = options.rebuildCatalog || false;
+        this.policyPath = options.policyPath;
+        this.fingerprints = options.fingerprints === false ? null : new FingerprintStore();
+        // Extractions of this run - fingerprinting, legacy matching and indexing share them
+        this.extractions = new Map();
+
+        this.rootFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID;
+        this.folderPaths = new DriveFolderPaths(this.drive, this.rootFolderId);
+        this.shortcuts = new ShortcutResolver(this.drive, SHORTCUT_FIELDS, () => driveLabelParams(this.policy));
+
+        // Drive Changes API state (page token + folders under the root)
+        this.changeTracker = null;
+        this.nextPageToken = null;
+    }
+
+    /**
+     * Run a sync. Returns the process exit code (FILES_FAILED_EXIT_CODE if any file failed)
+     */
+    async run() {
+        const startedAt = new Date().toISOString();
+
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log(`           PINECONE SYNC${this.dryRun ? ' - DRY RUN' : ''}`);
+        console.log('═══════════════════════════════════════════════════════════\n');
+
+        if (!this.rootFolderId) {
+            throw new Error('GOOGLE_DRIVE_FOLDER_ID not set in .env');
+        }
+
+        await this.connect();
+        this.policy = await SyncPolicy.load(this.policyPath);
+        console.log(`🗂️  Pinecone namespace: ${label(this.namespace)}`);
+        console.log(`📜 Sync policy: ${this.policy.source} (${this.policy.rules.length} rules)`);
+        console.log(`📅 Sync started at: ${startedAt}`);
+        if (this.since) console.log(`⏱️  Only files modified after: ${this.since.toISOString()}`);
+        if (this.only.size < SYNC_STAGES.length) console.log(`🎯 Only: ${Array.from(this.only).join(', ')}`);
+        console.log(this.dryRun ? '🔍 DRY RUN MODE - No changes will be made\n' : '💾 LIVE MODE - Changes will be applied\n');
+
+        // Phase 1: Plan
+        console.log('📊 Phase 1: Scanning and Analysis\n');
+        await this.loadManifest();
+
+        const plan = (this.incremental && await this.planIncremental()) || await this.planFull();
+        this.printPlan(plan);
+        await this.printShortcutPermissions(plan);
+
+        if (!this.dryRun) {
+            plan.review.forEach(({ file, candidates }) => this.manifest.queueMatchReview(file, candidates));
+            // Duplicates become aliases of the kept file in the catalog
+            this.manifest.updateDuplicates(
+                plan.skipped.filter(skipped => skipped.duplicateOf),
+                plan.mode === 'full' ? null : plan.changedIds
+            );
+            await this.manifest.save();
+        }
+
+        if (this.report) {
+            const paths = await writeSyncReport(plan, this.report, { namespace: this.namespace, dryRun: this.dryRun });
+            console.log('📄 Report saved:');
+            paths.forEach(p => console.log(`   - ${p}`));
+            console.log();
+        }
+
+        if (this.dryRun) {
+            this.printDryRun(plan);
+            return 0;
+        }
+
+        // Phase 2: Apply
+        const results = await this.applyPlan(plan);
+        const totalChanges = results.indexed + results.reindexed + results.deleted;
+
+        if (totalChanges > 0 && this.rebuildCatalog) {
+            console.log('📚 Rebuilding document catalog...');
+            this.runCatalogStep('node scripts/build-identity-focused-catalog.js', 'catalog-rebuild', results);
+            console.log('📊 Exporting catalog to CSV...');
+            this.runCatalogStep('node scripts/export-catalog-csv.js', 'csv-export', results);
+        }
+
+        // Only a clean, unrestricted run moves the cutoff / page token forward,
+        // so failed or skipped files are picked up next time
+        const restricted = this.only.size < SYNC_STAGES.length || this.since;
+        if (results.errors.length === 0 && !restricted) {
+            this.manifest.markSyncCompleted(startedAt);
+            if (this.nextPageToken) {
+                this.manifest.setDriveChanges(this.nextPageToken, this.changeTracker.knownFolderIds);
+            }
+        }
+        await this.manifest.save();
+        await this.saveSyncLog(plan, results);
+
+        this.printSummary(plan, results);
+
+        if (results.errors.length > 0) {
+            console.log(`⚠️  Exiting with code ${FILES_FAILED_EXIT_CODE} due to ${results.errors.length} failed file(s)\n`);
+            return FILES_FAILED_EXIT_CODE;
+        }
+
+        console.log('✅ All files synced successfully!\n');
+        return 0;
+    }
+
+    /**
+     * Open the active Pinecone namespace and its sync manifest
+     */
+    async connect() {
+        const { namespace, index } = await this.namespaces.openActive();
+        this.namespace = namespace;
+        this.index = index;
+        this.inventory = new PineconeInventory(index);
+        this.manifest = new SyncManifest({ namespace });
+        this.generations = new VectorGenerations({
+            index: this.index,
+            manifest: this.manifest,
+            inventory: this.inventory
+        });
+        this.legacyMatcher = new LegacyMatcher({
+            manifest: this.manifest,
+            inventory: this.inventory,
+            extractors: this.extractors,
+            extract: file => this.extract(file)
+        });
+    }
+
+    /**
+     * Load the sync manifest, seeding it from the index on first run
+     */
+    async loadManifest() {
+        await this.manifest.load();
+
+        if (this.manifest.isEmpty()) {
+            console.log('⚠️  Sync manifest is empty - seeding from Pinecone index...');
+            const { imported, totalVectors } = await this.manifest.seedFromInventory(this.inventory, {
+                embeddingModel: this.embeddingModel,
+                chunkerVersion: LEGACY_CHUNKER_VERSION
+            });
+            console.log(`   📊 Found ${totalVectors} vectors, imported ${imported} files`);
+
+            if (!this.dryRun) {
+                await this.manifest.save();
+            }
+        } else {
+            console.log(`📒 Manifest: ${this.manifest.manifestPath}`);
+        }
+
+        console.log(`✓ Loaded ${this.manifest.size} indexed files`);
+    }
+
+    /**
+     * Full scan: every file under the root folder
+     */
+    async planFull() {
+        const plan = createPlan('full');
+
+        this.nextPageToken = await this.getChangeTracker().getStartPageToken();
+        const files = await this.scanDrive();
+        plan.filesInDrive = files.length;
+        console.log(`✓ Scanned ${files.length} files from Drive`);
+
+        const inDrive = new Set(files.map(f => f.id));
+        for (const entry of this.manifest.values()) {
+            if (!inDrive.has(entry.fileId)) {
+                plan.deleted.push(deletion(entry, 'Removed from Drive'));
+            }
+        }
+
+        for (const file of await this.selectFiles(files, plan)) {
+            await this.addClassified(plan, file);
+        }
+
+        return plan;
+    }
+
+    /**
+     * Incremental: only the Drive changes since the stored page token
+     * Returns null when a full scan is needed instead
+     */
+    async planIncremental() {
+        const pageToken = this.manifest.driveChanges?.pageToken;
+        if (!pageToken) {
+            console.log('⚠️  No stored Drive page token - falling back to full scan\n');
+            return null;
+        }
+
+        let result;
+        try {
+            result = await this.getChangeTracker().listChanges(pageToken);
+        } catch (error) {
+            if (DriveChangeTracker.isInvalidTokenError(error)) {
+                console.log(`⚠️  Stored page token rejected (${error.message}) - falling back to full scan\n`);
+                this.changeTracker = null;
+                return null;
+            }
+            throw error;
+        }
+
+        if (result.fullScanReason) {
+            console.log(`⚠️  ${result.fullScanReason} - falling back to full scan\n`);
+            this.changeTracker = null;
+            return null;
+        }
+
+        console.log(`✓ Read ${result.changes.length} changed files from Drive`);
+        const plan = createPlan('incremental');
+        const listed = [];
+
+        for (const change of result.changes) {
+            const file = change.file;
+
+            // Deleted, trashed, access lost, or moved out of the root folder
+            const gone = change.removed || !file || file.trashed || !this.changeTracker.isInsideRoot(file);
+
+            if (gone) {
+                const entry = this.manifest.get(change.fileId) || this.manifest.findByShortcut(change.fileId);
+                if (!entry) continue;
+
+                // A shortcut's target usually lives outside the root - it is only
+                // gone if the shortcut is, or the target can't be read any more
+                if (entry.shortcutId && entry.shortcutId !== change.fileId) {
+                    const target = await this.refetchShortcut(entry);
+                    if (target && !target.shortcutError) {
+                        listed.push(target);
+                        continue;
+                    }
+                    if (target) {
+                        plan.deleted.push(deletion(entry, 'Shortcut target no longer readable'));
+                        continue;
+                    }
+                }
+
+                plan.deleted.push(deletion(entry, 'Removed from Drive'));
+                continue;
+            }
+
+            listed.push({ ...file, path: await this.folderPaths.pathOf(file) });
+        }
+
+        // Changed shortcuts are indexed as their targets
+        const changed = await this.shortcuts.resolve(listed);
+        const changedIds = new Set(result.changes.map(c => c.fileId));
+        changed.forEach(file => changedIds.add(file.id));
+
+        const targets = await this.checkShortcutTargets(changedIds);
+        if (targets.changed.length > 0 || targets.lost.length > 0) {
+            console.log(`✓ ${targets.changed.length} shortcut targets changed, ${targets.lost.length} no longer readable`);
+        }
+        for (const entry of targets.lost) {
+            plan.deleted.push(deletion(entry, 'Shortcut target no longer readable'));
+            changedIds.add(entry.fileId);
+        }
+        for (const file of targets.changed) {
+            changed.push(file);
+            changedIds.add(file.id);
+        }
+
+        // Unchanged indexed files still take part in duplicate detection, as in a full scan
+        const indexed = Array.from(this.manifest.values())
+            .filter(entry => !changedIds.has(entry.fileId))
+            .map(entry => ({ id: entry.fileId, name: entry.name, mimeType: entry.mimeType, modifiedTime: entry.modifiedTime, indexedOnly: true }));
+
+        for (const file of await this.selectFiles(changed, plan, indexed)) {
+            await this.addClassified(plan, file);
+        }
+
+        this.nextPageToken = result.newStartPageToken;
+        plan.changedIds = Array.from(changedIds);
+        return plan;
+    }
+
+    /**
+     * List every file under the root folder (with its folder path)
+     */
+    async scanDrive() {
+        const files = [];
+        const folderIds = [];
+
+        const scanFolder = async (folderId, path) => {
+            let pageToken;
+
+            do {
+                const response = await this.drive.files.list({
+                    q: `'${folderId}' in parents and trashed=false`,
+                    fields: `nextPageToken, files(${DRIVE_FILE_FIELDS})`,
+                    pageSize: 1000,
+                    ...(pageToken ? { pageToken } : {}),
+                    ...driveLabelParams(this.policy),
+                    supportsAllDrives: true,
+                    includeItemsFromAllDrives: true
+                });
+
+                for (const item of response.data.files) {
+                    if (item.mimeType === 'application/vnd.google-apps.folder') {
+                        folderIds.push(item.id);
+                        await scanFolder(item.id, path ? `${path}/${item.name}` : item.name);
+                    } else {
+                        files.push({ ...item, path, folderId });
+                    }
+                }
+
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+        };
+
+        await scanFolder(this.rootFolderId, '');
+
+        // Remember folders under the root for incremental sync
+        this.getChangeTracker().knownFolderIds = new Set(folderIds);
+
+        return this.shortcuts.resolve(files);
+    }
+
+    /**
+     * Targets of indexed shortcuts that changed. They can live in other shared
+     * drives, outside the root folder's change list, so each is re-read:
+     * { changed: files to classify, lost: entries whose target can't be read any more }
+     */
+    async checkShortcutTargets(skipIds) {
+        const changed = [];
+        const lost = [];
+
+        for (const entry of this.manifest.values()) {
+            if (!entry.shortcutId || skipIds.has(entry.fileId) || skipIds.has(entry.shortcutId)) continue;
+
+            // A removed shortcut shows up in the change list itself
+            const file = await this.refetchShortcut(entry);
+            if (!file) continue;
+
+            if (file.shortcutError) {
+                lost.push(entry);
+            } else if (file.modifiedTime !== entry.modifiedTime) {
+                changed.push(file);
+            }
+        }
+
+        return { changed, lost };
+    }
+
+    /**
+     * Helper: The target of an indexed shortcut, read again through the
+     * shortcut (with shortcutError set if it can't be read), or null if the
+     * shortcut itself is gone from the root folder
+     */
+    async refetchShortcut(entry) {
+        let shortcut;
+        try {
+            const response = await this.drive.files.get({
+                fileId: entry.shortcutId,
+                fields: SHORTCUT_FIELDS,
+                supportsAllDrives: true,
+                ...driveLabelParams(this.policy)
+            });
+            shortcut = response.data;
+        } catch (error) {
+            if ((error.code || error.response?.status) === 404) return null;
+            throw error;
+        }
+
+        if (shortcut.trashed || !this.getChangeTracker().isInsideRoot(shortcut)) return null;
+
+        const [file] = await this.shortcuts.resolve([{ ...shortcut, path: await this.folderPaths.pathOf(shortcut) }]);
+        return file;
+    }
+
+    /**
+     * Get (or create) the Drive change tracker for the root folder
+     */
+    getChangeTracker() {
+        if (!this.changeTracker) {
+            this.changeTracker = new DriveChangeTracker(
+                this.drive,
+                this.rootFolderId,
+                this.manifest.driveChanges?.folderIds || [],
+                driveLabelParams(this.policy)
+            );
+        }
+
+        return this.changeTracker;
+    }
+
+    /**
+     * Apply filters and duplicate detection, recording skipped files in the plan.
+     * `indexed` are already indexed files that compete in duplicate detection
+     * but are never returned. Indexed files that are skipped now (newly
+     * excluded, or a duplicate of another file) are queued for deletion -
+     * `plan` needs both `skipped` and `deleted` lists.
+     */
+    async selectFiles(files, plan, indexed = []) {
+        const kept = [];
+
+        for (const file of files) {
+            const { included, rule, reason } = checkFile(file, this.policy, this.extractors);
+            if (included) {
+                kept.push(file);
+            } else {
+                plan.skipped.push({ file, rule, reason });
+                this.deleteSkipped(plan, file, `Excluded: ${reason}`);
+            }
+        }
+
+        const candidates = [...kept, ...indexed];
+        const signatures = await this.fingerprintFiles(candidates);
+        const { winners, duplicates } = detectDuplicates(candidates, { signatures });
+
+        for (const { file, rule, reason, winner, similarity } of duplicates) {
+            if (!file.indexedOnly) plan.skipped.push({ file, rule, reason, duplicateOf: { winner, similarity } });
+            this.deleteSkipped(plan, file, reason);
+        }
+
+        console.log(`✓ ${winners.length} indexable files after filters and duplicate detection`);
+        return winners.filter(file => !file.indexedOnly);
+    }
+
+    /**
+     * Helper: Queue the vectors of an indexed file that is skipped for deletion
+     */
+    deleteSkipped(plan, file, reason) {
+        const entry = this.manifest.get(file.id);
+        if (!entry || plan.deleted.some(removed => removed.fileId === entry.fileId)) return;
+
+        plan.deleted.push(deletion(entry, reason));
+    }
+
+    /**
+     * Content signatures (Map of file id -> MinHash) for duplicate detection
+     *
+     * Cached per file version in state/content-fingerprints.json; files changed
+     * since are extracted again (the extraction is kept for indexing them in
+     * this run). Dry runs save the cache too - it only holds signatures.
+     * Already indexed files are never extracted - without a cached signature
+     * they are compared by name only.
+     */
+    async fingerprintFiles(files) {
+        const signatures = new Map();
+        if (!this.fingerprints) return signatures;
+
+        await this.fingerprints.load();
+        // Recordings would have to be transcribed - compared by name only
+        const missing = files.filter(file => !file.indexedOnly && !isMediaFile(file) && !this.fingerprints.has(file));
+
+        if (missing.length > 0) {
+            console.log(`🧬 Fingerprinting ${missing.length} files for duplicate detection...`);
+        }
+
+        for (const file of missing) {
+            try {
+                const { text } = await this.extract(file);
+                // Too little text to tell documents apart - compared by name only
+                const enough = text && text.trim().length >= MIN_TEXT_LENGTH;
+                this.fingerprints.set(file, enough ? minHash(shingles(text)) : null);
+            } catch (error) {
+                console.log(`   ⚠️  Could not fingerprint ${file.name}: ${error.message}`);
+            }
+        }
+        await this.fingerprints.save();
+
+        for (const file of files) {
+            const signature = this.fingerprints.get(file);
+            if (signature) signatures.set(file.id, signature);
+        }
+
+        return signatures;
+    }
+
+    /**
+     * Helper: Add a file to the plan list matching its classification
+     * (and to the review list if its legacy match is ambiguous)
+     */
+    async addClassified(plan, file) {
+        const { status, review, ...classification } = await this.classify(file);
+        plan[status].push({ file, ...classification });
+
+        if (review) {
+            plan.review.push({ file, candidates: review });
+        }
+    }
+
+    /**
+     * Classify a Drive file as new, modified or unchanged
+     * Returns { status, reason, signals?, indexed?, legacy?, review? }
+     */
+    async classify(file) {
+        const modifiedTime = new Date(file.modifiedTime);
+
+        if (this.since && modifiedTime <= this.since) {
+            return { status: 'unchanged', reason: `Not modified since ${this.since.toISOString().split('T')[0]}` };
+        }
+
+        const match = await this.findIndexed(file);
+
+        if (match?.review) {
+            return { status: 'new', reason: 'Not indexed yet (possible legacy match - needs review)', review: match.review };
+        }
+
+        if (!match) {
+            return { status: 'new', reason: 'Not indexed yet' };
+        }
+
+        if (match.legacy) {
+            // Legacy vectors have no reliable modified time - compare against the last sync
+            const cutoff = this.manifest.lastSuccessfulSync ||
+                (match.indexed.modifiedDate ? `${match.indexed.modifiedDate}T00:00:00.000Z` : null);
+
+            const linked = `"${match.indexed.name}", ${match.confirmed ? 'confirmed' : `confidence ${match.confidence.toFixed(2)}`}`;
+
+            if (cutoff && modifiedTime <= new Date(cutoff)) {
+                return { status: 'unchanged', reason: `Legacy file not modified since last sync (${linked})`, indexed: match.indexed };
+            }
+
+            return {
+                status: 'modified',
+                reason: `Legacy file without File.id - needs re-indexing (${linked})`,
+                signals: { legacyFile: true, needsFileId: true },
+                indexed: match.indexed,
+                legacy: match.indexed.name
+            };
+        }
+
+        const entry = match.indexed;
+        const signals = {
+            dateChanged: Boolean(entry.modifiedTime) && modifiedTime > new Date(entry.modifiedTime),
+            hashChanged: Boolean(file.md5Checksum && entry.md5 && file.md5Checksum !== entry.md5),
+            sizeChanged: Boolean(file.size && entry.size && Math.abs(Number(file.size) - entry.size) > 100),
+            nameChanged: file.name !== entry.name,
+            // Owners, description or labels - in every vector's metadata
+            metadataChanged: driveDetailsChanged(file, entry),
+            // Vectors written with an older metadata schema (seeded entries don't know theirs)
+            metadataOutdated: (entry.metadataSchema || 1) < METADATA_SCHEMA_VERSION,
+            // Drive also bumps the version for sharing and comment changes - only
+            // a new version with another modified time (a restored revision) counts
+            versionChanged: Boolean(file.version && entry.revision && Number(file.version) > entry.revision) &&
+                Boolean(entry.modifiedTime) && file.modifiedTime !== entry.modifiedTime
+        };
+
+        if (signals.dateChanged || signals.hashChanged || signals.sizeChanged || signals.versionChanged) {
+            return { status: 'modified', reason: 'Content changed', signals, indexed: entry };
+        }
+
+        if (signals.nameChanged) {
+            return { status: 'modified', reason: 'Renamed', signals, indexed: entry };
+        }
+
+        // Same text - the stored vectors get the new metadata, no re-index
+        if (signals.metadataChanged || signals.metadataOutdated) {
+            const reason = signals.metadataChanged ? 'Drive metadata changed' : `Metadata schema ${entry.metadataSchema || 1} outdated`;
+            return { status: 'modified', reason: `${reason} (updated in place)`, signals, indexed: entry, metadataOnly: true };
+        }
+
+        return { status: 'unchanged', reason: 'No changes detected', indexed: entry };
+    }
+
+    /**
+     * Indexed state of a Drive file: its manifest entry, else the legacy
+     * vectors (no File.id) the legacy matcher links it to
+     * Returns { indexed, legacy, confidence?, confirmed? }, { review: candidates }
+     * for an ambiguous match, or null
+     *
+     * Only legacy vectors are matched by name: a different Drive file with a
+     * similar name is a different document, and matching it would hide it
+     * once the other one is deleted.
+     */
+    async findIndexed(file) {
+        const entry = this.manifest.get(file.id);
+        if (entry) return { indexed: entry, legacy: false };
+
+        const match = await this.legacyMatcher.match(file);
+
+        if (match.status === 'review') {
+            return { review: match.candidates };
+        }
+
+        if (match.status === 'linked') {
+            const legacy = this.manifest.state.legacyFiles[match.legacyName];
+            return {
+                indexed: { name: match.legacyName, ...legacy },
+                legacy: true,
+                confidence: match.confidence,
+                confirmed: match.confirmed
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Index, re-index and delete according to the plan (limited to `only`)
+     */
+    async applyPlan(plan) {
+        const results = { indexed: 0, reindexed: 0, deleted: 0, errors: [] };
+
+        if (this.only.has('new') && plan.new.length > 0) {
+            console.log('🆕 Phase 2: Indexing NEW Files\n');
+
+            for (let i = 0; i < plan.new.length; i++) {
+                const { file } = plan.new[i];
+                console.log(`[${i + 1}/${plan.new.length}] ${file.name}`);
+
+                const result = await this.indexFile(file);
+                if (result.success) {
+                    results.indexed++;
+                } else {
+                    results.errors.push({ file: file.name, error: result.reason });
+                }
+            }
+        }
+
+        if (this.only.has('modified') && plan.modified.length > 0) {
+            console.log('\n🔄 Phase 3: Re-indexing MODIFIED Files\n');
+
+            for (let i = 0; i < plan.modified.length; i++) {
+                const { file, legacy, indexed, metadataOnly } = plan.modified[i];
+                console.log(`[${i + 1}/${plan.modified.length}] ${file.name}`);
+
+                if (metadataOnly && await this.updateMetadata(file, indexed, results)) continue;
+
+                // Re-index (old vectors are replaced only once the new ones are verified)
+                const result = await this.indexFile(file);
+                if (result.success) {
+                    results.reindexed++;
+                    if (legacy) await this.retireLegacy(legacy, results);
+                } else {
+                    results.errors.push({ file: file.name, error: result.reason });
+                }
+            }
+        }
+
+        if (this.only.has('deleted') && plan.deleted.length > 0) {
+            console.log('\n🗑️  Phase 4: Removing DELETED Files\n');
+
+            for (let i = 0; i < plan.deleted.length; i++) {
+                const removed = plan.deleted[i];
+                console.log(`[${i + 1}/${plan.deleted.length}] ${removed.name}`);
+
+                try {
+                    const count = await this.deleteFile(removed);
+                    console.log(`   ✅ Deleted ${count} vectors`);
+                    results.deleted++;
+                } catch (error) {
+                    console.log(`   ❌ Error: ${error.message}`);
+                    results.errors.push({ file: removed.name, error: error.message });
+                }
+            }
+        }
+
+        console.log();
+        return results;
+    }
+
+    /**
+     * Extract, chunk, embed and publish one file as a new generation
+     */
+    async indexFile(file) {
+        console.log(`\n📄 Indexing: ${file.name}`);
+
+        try {
+            // Extract text (unless fingerprinting or legacy matching already did)
+            const extraction = await this.extract(file);
+            this.extractions.delete(extractionKey(file));
+            const { text } = extraction;
+
+            if (!text || text.trim().length < MIN_TEXT_LENGTH) {
+                console.log(`   ⚠️  Extracted text too short (${(text || '').trim().length} chars), skipping`);
+                return { success: false, reason: 'Text too short' };
+            }
+
+            // Chunk text
+            const chunks = this.chunker.chunk(extraction);
+            console.log(`   ✓ Created ${chunks.length} chunks`);
+
+            // Create vectors
+            const generation = this.generations.next(file.id);
+            const vectors = await createChunkVectors(file, chunks, {
+                embeddings: this.embeddings,
+                chunkContext: this.chunkContext,
+                generation
+            });
+            console.log(`   ✓ Created ${vectors.length} embeddings`);
+
+            // Upload as a new generation, then remove the previous one
+            // (the sync manifest is saved per file, see vector-generations.js)
+            const { collected } = await this.generations.publish(file, vectors, {
+                generation,
+                upload: batch => this.uploadToPinecone(batch),
+                record: {
+                    embeddingModel: this.embeddingModel,
+                    chunkerVersion: this.chunkerVersion,
+                    contextHeaders: Boolean(this.chunkContext)
+                }
+            });
+            console.log(`   ✅ Uploaded ${vectors.length} vectors (generation ${generation})`);
+            if (collected > 0) {
+                console.log(`   🗑️  Removed ${collected} old vectors`);
+            }
+
+            return { success: true, chunks: chunks.length, vectors: vectors.length };
+
+        } catch (error) {
+            console.log(`   ❌ Error: ${error.message}`);
+            return { success: false, reason: error.message };
+        }
+    }
+
+    /**
+     * Rewrite the File.* metadata of an indexed file's vectors in place (its
+     * owners, description or labels changed, or the metadata schema did - its
+     * text didn't)
+     * Returns false if its vectors are incomplete and it has to be re-indexed
+     */
+    async updateMetadata(file, entry, results) {
+        console.log(`\n🏷️  Updating metadata: ${file.name}`);
+
+        try {
+            const records = await this.inventory.fetchRecords(entry.chunkIds);
+            if (records.length < entry.chunkIds.length) {
+                console.log(`   ⚠️  ${entry.chunkIds.length - records.length} of ${entry.chunkIds.length} vectors missing - re-indexing`);
+                return false;
+            }
+
+            const vectors = records.map(record => ({
+                id: record.id,
+                values: record.values,
+                metadata: normalizeMetadata(record.metadata, file)
+            }));
+            await this.uploadToPinecone(vectors);
+
+            this.manifest.recordIndexed(file, {
+                chunkIds: entry.chunkIds,
+                generation: entry.generation,
+                embeddingModel: entry.embeddingModel,
+                chunkerVersion: entry.chunkerVersion,
+                contextHeaders: entry.contextHeaders
+            });
+            await this.manifest.save();
+
+            console.log(`   ✅ Updated ${vectors.length} vectors`);
+            results.reindexed++;
+        } catch (error) {
+            console.log(`   ❌ Error: ${error.message}`);
+            results.errors.push({ file: file.name, error: error.message });
+        }
+
+        return true;
+    }
+
+    /**
+     * Helper: Extraction of a file, made once per run (indexFile() drops it
+     * once the file is indexed)
+     */
+    async extract(file) {
+        const key = extractionKey(file);
+        if (!this.extractions.has(key)) {
+            this.extractions.set(key, await this.extractors.extract(file));
+        }
+        return this.extractions.get(key);
+    }
+
+    /**
+     * Upload vectors (validated against the metadata schema first)
+     */
+    async uploadToPinecone(vectors) {
+        await upsertVectors(this.index, vectors);
+    }
+
+    /**
+     * Delete every vector of a file removed from Drive and forget it
+     */
+    async deleteFile({ fileId, vectorIds }) {
+        const listed = await this.inventory.getFileVectorIds(fileId);
+        const ids = [...new Set([...vectorIds, ...listed])];
+
+        await this.generations.deleteIds(ids);
+        this.manifest.abortGeneration(fileId);
+        this.manifest.remove(fileId);
+        await this.manifest.save();
+
+        return ids.length;
+    }
+
+    /**
+     * Delete the legacy n8n vectors a re-indexed file replaces
+     */
+    async retireLegacy(legacyName, results) {
+        try {
+            const count = await this.generations.retireLegacy(legacyName);
+            if (count === null) {
+                console.log(`   ⚠️  Legacy vector ids of "${legacyName}" unknown - re-seed the manifest (npm run sync-verify -- --rebuild) to remove them`);
+            } else {
+                console.log(`   🗑️  Removed ${count} legacy vectors ("${legacyName}")`);
+            }
+        } catch (error) {
+            console.log(`   ❌ Legacy vectors of "${legacyName}" not removed: ${error.message}`);
+            results.errors.push({ file: legacyName, error: error.message });
+        }
+    }
+
+    /**
+     * Helper: Run a catalog script, recording a failure as a sync error
+     */
+    runCatalogStep(command, name, results) {
+        try {
+            execSync(command, { stdio: 'inherit', cwd: process.cwd() });
+            console.log();
+        } catch (error) {
+            console.log(`   ❌ ${name} failed: ${error.message}\n`);
+            results.errors.push({ file: name, error: error.message });
+        }
+    }
+
+    /**
+     * Append the run to logs/sync-log.jsonl
+     */
+    async saveSyncLog(plan, results) {
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            namespace: this.namespace,
+            policy: this.policy.source,
+            stats: {
+                mode: plan.mode,
+                only: Array.from(this.only),
+                since: this.since?.toISOString() || null,
+                filesInDrive: plan.filesInDrive,
+                filesInPinecone: this.manifest.size,
+                newFiles: plan.new.map(f => f.file.name),
+                modifiedFiles: plan.modified.map(f => f.file.name),
+                deletedFiles: plan.deleted.map(f => f.name),
+                indexed: results.indexed,
+                reindexed: results.reindexed,
+                deleted: results.deleted,
+                errors: results.errors
+            }
+        };
+
+        await fs.mkdir('./logs', { recursive: true });
+
+        const logPath = './logs/sync-log.jsonl';
+        await fs.appendFile(logPath, JSON.stringify(logEntry) + '\n');
+
+        console.log(`📝 Sync log saved to: ${logPath}\n`);
+    }
+
+    printPlan(plan) {
+        console.log('\n═══════════════════════════════════════════════════════════');
+        console.log(`📊 Analysis Results:`);
+        console.log(`   Mode: ${plan.mode}`);
+        console.log(`   Last sync: ${this.manifest.lastSuccessfulSync || 'Never'}`);
+        console.log(`   NEW files: ${plan.new.length}`);
+        console.log(`   MODIFIED files: ${plan.modified.length}`);
+        console.log(`   DELETED files: ${plan.deleted.length}`);
+        console.log(`   UNCHANGED files: ${plan.unchanged.length}`);
+        console.log(`   SKIPPED files: ${plan.skipped.length}`);
+        if (plan.review.length > 0) console.log(`   MATCHES to review: ${plan.review.length}`);
+        console.log('═══════════════════════════════════════════════════════════\n');
+    }
+
+    /**
+     * Shortcuts whose target the service account can't read - sharing the
+     * target with it gets them indexed on the next sync
+     */
+    async printShortcutPermissions(plan) {
+        const unreadable = plan.skipped.filter(({ rule }) => rule === 'shortcut-unreadable');
+        if (unreadable.length === 0) return;
+
+        const { client_email: serviceAccount } = await this.auth.getCredentials();
+        console.log(`🔒 Shortcuts that can't be followed (${unreadable.length}):`);
+        for (const { file, reason } of unreadable) {
+            console.log(`   - ${file.name} (${file.path || 'Root'}): ${reason}`);
+        }
+        console.log(`   💡 Share the targets with ${serviceAccount || 'the service account'} (Viewer) to index them\n`);
+    }
+
+    printDryRun(plan) {
+        const sections = [
+            ['📄 NEW files (would index)', plan.new.map(({ file }) => `${file.name} (${file.path || 'Root'})`)],
+            ['🔄 MODIFIED files (would re-index)', plan.modified.map(({ file, reason, signals }) =>
+                `${file.name} - ${reason}${signals ? ` [${Object.keys(signals).filter(k => signals[k]).join(', ')}]` : ''}`)],
+            ['🗑️  DELETED files (would remove vectors)', plan.deleted.map(f => `${f.name} - ${f.reason} (${f.vectorIds.length} vectors)`)]
+        ];
+
+        for (const [title, lines] of sections) {
+            if (lines.length === 0) continue;
+            console.log(`${title}:`);
+            lines.forEach(line => console.log(`   - ${line}`));
+            console.log();
+        }
+
+        if (plan.review.length > 0) {
+            console.log('🔗 Possible legacy matches to review (would index as new; a live run queues them for npm run sync-matches):');
+            for (const { file, candidates } of plan.review) {
+                console.log(`   - ${file.name}`);
+                candidates.forEach(c => console.log(`        ${c.confidence.toFixed(2)}  ${c.name}`));
+            }
+            console.log();
+        }
+
+        const skippedByRule = {};
+        for (const { rule } of plan.skipped) {
+            skippedByRule[rule] = (skippedByRule[rule] || 0) + 1;
+        }
+
+        if (plan.skipped.length > 0) {
+            console.log('⏭️  Skipped files by rule (npm run policy -- explain "<file>" for details):');
+            for (const [rule, count] of Object.entries(skippedByRule)) {
+                console.log(`   ${rule}: ${count}`);
+            }
+            console.log();
+        }
+
+        console.log('🔍 DRY RUN - No changes were made\n');
+    }
+
+    printSummary(plan, results) {
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log('                    FINAL SUMMARY');
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log(`   ✅ Indexed (new):       ${results.indexed}`);
+        console.log(`   ✅ Re-indexed:          ${results.reindexed}`);
+        console.log(`   ✅ Deleted:             ${results.deleted}`);
+        console.log(`   ❌ Failed:              ${results.errors.length}`);
+
+        if (results.errors.length > 0) {
+            console.log();
+            for (const error of results.errors) {
+                console.log(`   - ${error.file}: ${error.error}`);
+            }
+        }
+
+        console.log();
+        this.embeddings.logUsage();
+        console.log('═══════════════════════════════════════════════════════════\n');
+    }
+}
+
+/**
+ * Helper: Plan entry deleting an indexed file's vectors
+ */
+function deletion(entry, reason) {
+    return { fileId: entry.fileId, name: entry.name, vectorIds: entry.chunkIds, reason };
+}
+
+/**
+ * Helper: Key of a file version's extraction
+ */
+function extractionKey(file) {
+    return `${file.id}@${file.modifiedTime}`;
+}
+
+/**
+ * Helper: Empty sync plan
+ */
+function createPlan(mode) {
+    return {
+        mode,
+        filesInDrive: null,
+        new: [],
+        modified: [],
+        deleted: [],
+        unchanged: [],
+        skipped: [],
+        review: []
+    };
+}
@@ -0,0 +1,472 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { driveFileDetails } from './drive-metadata.js';
+import { METADATA_SCHEMA_VERSION } from './vector-metadata.js';
+
+/**
+ * Local Sync Manifest
+ *
+ * Persistent record of what the sync scripts have indexed, so a sync run no
+ * longer has to reconstruct state from Pinecone metadata.
+ *
+ * Files (under state/ by default):
+ * - sync-manifest.jsonl  One JSON line per indexed Drive file
+ * - sync-state.json      Run-level state (last successful sync, etc.)
+ *
+ * Each Pinecone namespace has its own manifest: the default namespace uses
+ * state/ itself, any other one state/namespaces/<namespace>/ (see
+ * index-namespaces.js).
+ *
+ * Manifest entry:
+ * {
+ *   fileId, name, mimeType,
+ *   revision,            // Drive version number
+ *   md5,                 // Drive md5Checksum (binary files only)
+ *   size,                // Drive size in bytes (binary files only)
+ *   modifiedTime,        // Drive modifiedTime at index time
+ *   path,                // Folder path under the sync root
+ *   parents,             // Drive parent folder ids
+ *   owners: [{ name, email }],
+ *   lastModifiedBy,      // { name, email } of Drive's lastModifyingUser
+ *   description,         // Drive description
+ *   labels,              // Drive label ids (see drive-metadata.js)
+ *   chunkIds: [],        // Pinecone vector ids written for this file
+ *   generation,          // Active vector generation (see vector-generations.js)
+ *   embeddingModel,
+ *   chunkerVersion,
+ *   contextHeaders,      // Embedded with context headers (see chunk-context.js)
+ *   metadataSchema,      // Vector metadata schema version (see vector-metadata.js)
+ *   shortcutId,          // Shortcut the file was reached through (see drive-shortcuts.js)
+ *   lastIndexedAt        // ISO timestamp of last successful index
+ * }
+ *
+ * Run state also keeps legacy n8n vectors by name (legacyFiles), the
+ * legacy match decisions and review queue (see legacy-matcher.js), and the
+ * files skipped as duplicates of another (duplicates).
+ */
+export class SyncManifest {
+    constructor(options = {}) {
+        const baseDir = options.stateDir || process.env.SYNC_STATE_DIR || './state';
+        this.namespace = options.namespace || '';
+        this.stateDir = this.namespace ? path.join(baseDir, 'namespaces', this.namespace) : baseDir;
+        this.manifestPath = path.join(this.stateDir, 'sync-manifest.jsonl');
+        this.statePath = path.join(this.stateDir, 'sync-state.json');
+
+        this.entries = new Map();
+        this.state = {};
+    }
+
+    /**
+     * Load manifest and run state from disk (missing files mean an empty manifest)
+     */
+    async load() {
+        this.entries = new Map();
+        this.state = {};
+
+        try {
+            const content = await fs.readFile(this.manifestPath, 'utf-8');
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                const entry = JSON.parse(line);
+                this.entries.set(entry.fileId, entry);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        try {
+            this.state = JSON.parse(await fs.readFile(this.statePath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        return this;
+    }
+
+    /**
+     * Write manifest and run state to disk (write to temp file, then rename)
+     */
+    async save() {
+        await fs.mkdir(this.stateDir, { recursive: true });
+
+        const lines = Array.from(this.entries.values())
+            .sort((a, b) => a.fileId.localeCompare(b.fileId))
+            .map(entry => JSON.stringify(entry));
+
+        await this.writeAtomic(this.manifestPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        await this.writeAtomic(this.statePath, JSON.stringify(this.state, null, 2) + '\n');
+    }
+
+    /**
+     * Helper: Replace a file without leaving it half-written on crash
+     */
+    async writeAtomic(filePath, content) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, filePath);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    isEmpty() {
+        return this.entries.size === 0;
+    }
+
+    get(fileId) {
+        return this.entries.get(fileId);
+    }
+
+    has(fileId) {
+        return this.entries.has(fileId);
+    }
+
+    values() {
+        return this.entries.values();
+    }
+
+    /**
+     * Entry of the file indexed through a shortcut
+     */
+    findByShortcut(shortcutId) {
+        for (const entry of this.entries.values()) {
+            if (entry.shortcutId === shortcutId) return entry;
+        }
+        return undefined;
+    }
+
+    /**
+     * Record a successful index of a Drive file
+     */
+    recordIndexed(file, options) {
+        const entry = this.buildEntry(file, options);
+        this.entries.set(file.id, entry);
+        return entry;
+    }
+
+    /**
+     * Helper: Manifest entry for a Drive file indexed with the given chunks
+     */
+    buildEntry(file, { chunkIds, embeddingModel, chunkerVersion, contextHeaders = false, generation = null }) {
+        return {
+            fileId: file.id,
+            name: file.name,
+            mimeType: file.mimeType,
+            revision: file.version ? Number(file.version) : null,
+            md5: file.md5Checksum || null,
+            size: file.size ? Number(file.size) : null,
+            modifiedTime: file.modifiedTime || null,
+            path: file.path ?? null,
+            ...driveFileDetails(file),
+            chunkIds,
+            generation,
+            embeddingModel,
+            chunkerVersion,
+            contextHeaders,
+            metadataSchema: METADATA_SCHEMA_VERSION,
+            shortcutId: file.shortcut?.id || null,
+            lastIndexedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Start a new vector generation for a file: kept in run state until
+     * commitGeneration() makes it the manifest entry
+     */
+    beginGeneration(file, options) {
+        this.state.pendingGenerations = this.state.pendingGenerations || {};
+        this.state.pendingGenerations[file.id] = {
+            generation: options.generation,
+            startedAt: new Date().toISOString(),
+            entry: this.buildEntry(file, options)
+        };
+    }
+
+    /**
+     * Make a pending generation the active manifest entry
+     */
+    commitGeneration(fileId) {
+        const pending = this.state.pendingGenerations?.[fileId];
+        if (!pending) {
+            throw new Error(`No pending generation for ${fileId}`);
+        }
+
+        const entry = { ...pending.entry, lastIndexedAt: new Date().toISOString() };
+        this.entries.set(fileId, entry);
+        delete this.state.pendingGenerations[fileId];
+        return entry;
+    }
+
+    /**
+     * Forget a pending generation (its vectors were removed, or it was already committed)
+     */
+    abortGeneration(fileId) {
+        if (this.state.pendingGenerations) {
+            delete this.state.pendingGenerations[fileId];
+        }
+    }
+
+    /**
+     * Generations started but not committed or aborted (a run crashed mid-way)
+     */
+    pendingGenerations() {
+        return Object.values(this.state.pendingGenerations || {});
+    }
+
+    /**
+     * Forget a file (its vectors were deleted)
+     */
+    remove(fileId) {
+        return this.entries.delete(fileId);
+    }
+
+    /**
+     * Forget everything that describes indexed vectors (the namespace was wiped)
+     *
+     * Entries, pending generations, legacy vectors and the incremental sync
+     * cutoffs go; legacy match decisions, the review queue and duplicates are
+     * about Drive files and stay.
+     */
+    clearIndexed() {
+        this.entries = new Map();
+        delete this.state.pendingGenerations;
+        delete this.state.legacyFiles;
+        delete this.state.driveChanges;
+        delete this.state.lastSuccessfulSync;
+    }
+
+    /**
+     * Seed the manifest from the live index (first run / rebuild)
+     *
+     * Files with File.id become manifest entries; legacy n8n vectors without
+     * File.id are kept by name in run state so fuzzy matching still sees them.
+     */
+    async seedFromInventory(inventory, defaults = {}) {
+        const { files, legacyFiles, totalVectors, latestSyncDate } = await inventory.buildManifest();
+        let imported = 0;
+
+        for (const [fileId, entry] of files) {
+            if (this.entries.has(fileId)) continue;
+
+            this.entries.set(fileId, {
+                fileId,
+                name: entry.name,
+                mimeType: entry.mimeType || null,
+                revision: entry.version ? Number(entry.version) : null,
+                md5: entry.md5 || null,
+                size: entry.size ? Number(entry.size) : null,
+                modifiedTime: entry.modifiedDate ? `${entry.modifiedDate}T00:00:00.000Z` : null,
+                chunkIds: entry.vectorIds,
+                generation: latestGeneration(entry.vectorIds),
+                embeddingModel: defaults.embeddingModel || null,
+                chunkerVersion: defaults.chunkerVersion || null,
+                lastIndexedAt: entry.lastSyncDate ? `${entry.lastSyncDate}T00:00:00.000Z` : null
+            });
+            imported++;
+        }
+
+        this.setLegacyFiles(legacyFiles);
+
+        if (!this.state.lastSuccessfulSync && latestSyncDate) {
+            this.state.lastSuccessfulSync = `${latestSyncDate}T00:00:00.000Z`;
+        }
+
+        return { imported, totalVectors, files };
+    }
+
+    /**
+     * Replace the legacy n8n vector groups with those of a PineconeInventory
+     * manifest (Map of File.name -> entry)
+     */
+    setLegacyFiles(legacyFiles) {
+        this.state.legacyFiles = {};
+        for (const [fileName, entry] of legacyFiles) {
+            this.state.legacyFiles[fileName] = {
+                modifiedDate: entry.modifiedDate || null,
+                vectorCount: entry.vectorIds.length,
+                vectorIds: entry.vectorIds
+            };
+        }
+    }
+
+    /**
+     * Forget legacy vectors (deleted after the Drive file was re-indexed)
+     */
+    removeLegacyFile(name) {
+        if (this.state.legacyFiles) {
+            delete this.state.legacyFiles[name];
+        }
+    }
+
+    /**
+     * Confirmed or rejected legacy match of a Drive file (legacy-matcher.js):
+     * { link: legacyName } or { rejected: [legacyName, ...] }, or null
+     */
+    getMatchDecision(fileId) {
+        return this.state.matchDecisions?.[fileId] || null;
+    }
+
+    confirmMatch(fileId, legacyName) {
+        this.state.matchDecisions = this.state.matchDecisions || {};
+        this.state.matchDecisions[fileId] = { link: legacyName, decidedAt: new Date().toISOString() };
+        this.dequeueMatchReview(fileId);
+    }
+
+    rejectMatch(fileId, legacyNames) {
+        const rejected = this.getMatchDecision(fileId)?.rejected || [];
+
+        this.state.matchDecisions = this.state.matchDecisions || {};
+        this.state.matchDecisions[fileId] = {
+            rejected: [...new Set([...rejected, ...legacyNames])],
+            decidedAt: new Date().toISOString()
+        };
+        this.dequeueMatchReview(fileId);
+    }
+
+    /**
+     * Queue an ambiguous legacy match for confirmation (npm run sync-matches)
+     */
+    queueMatchReview(file, candidates) {
+        this.state.matchReviews = this.state.matchReviews || {};
+        this.state.matchReviews[file.id] = {
+            name: file.name,
+            candidates: candidates.map(({ name, confidence }) => ({ name, confidence: Number(confidence.toFixed(3)) })),
+            queuedAt: new Date().toISOString()
+        };
+    }
+
+    dequeueMatchReview(fileId) {
+        if (this.state.matchReviews) {
+            delete this.state.matchReviews[fileId];
+        }
+    }
+
+    /**
+     * Queued match reviews: [{ fileId, name, candidates, queuedAt }]
+     */
+    matchReviews() {
+        return Object.entries(this.state.matchReviews || {}).map(([fileId, review]) => ({ fileId, ...review }));
+    }
+
+    /**
+     * Record files skipped as duplicates of another file (file-filters.js),
+     * by file id: { name, mimeType, url, winnerId, winnerName, rule, similarity }
+     *
+     * skipped: plan.skipped entries with `duplicateOf`. A full scan replaces
+     * every record; otherwise only the records of `fileIds` (the files the run
+     * looked at) are replaced.
+     */
+    updateDuplicates(skipped, fileIds = null) {
+        const duplicates = fileIds ? { ...this.state.duplicates } : {};
+        fileIds?.forEach(fileId => delete duplicates[fileId]);
+
+        for (const { file, rule, duplicateOf } of skipped) {
+            duplicates[file.id] = {
+                name: file.name,
+                mimeType: file.mimeType,
+                url: file.webViewLink || null,
+                winnerId: duplicateOf.winner.id,
+                winnerName: duplicateOf.winner.name,
+                rule,
+                similarity: duplicateOf.similarity === null ? null : Number(duplicateOf.similarity.toFixed(3))
+            };
+        }
+
+        this.state.duplicates = duplicates;
+    }
+
+    /**
+     * Files skipped as duplicates of a file: [{ fileId, name, mimeType, url, rule, similarity }]
+     */
+    duplicatesOf(fileId) {
+        return Object.entries(this.state.duplicates || {})
+            .filter(([, duplicate]) => duplicate.winnerId === fileId)
+            .map(([id, { name, mimeType, url, rule, similarity }]) => ({ fileId: id, name, mimeType, url, rule, similarity }));
+    }
+
+    /**
+     * Timestamp of the last sync run that completed without errors
+     */
+    get lastSuccessfulSync() {
+        return this.state.lastSuccessfulSync || null;
+    }
+
+    markSyncCompleted(startedAt) {
+        this.state.lastSuccessfulSync = startedAt;
+    }
+
+    /**
+     * Drive Changes API state for incremental sync:
+     * { pageToken, folderIds (folders under the root), updatedAt }
+     */
+    get driveChanges() {
+        return this.state.driveChanges || null;
+    }
+
+    setDriveChanges(pageToken, folderIds) {
+        this.state.driveChanges = {
+            pageToken,
+            folderIds: Array.from(folderIds),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Compare the manifest against a PineconeInventory manifest
+     *
+     * Returns lists of:
+     *   missingFromIndex  in manifest, no vectors in Pinecone
+     *   untracked         vectors in Pinecone, not in manifest
+     *   chunkMismatch     in both, but vector ids differ
+     */
+    reconcile(inventoryFiles) {
+        const drift = {
+            missingFromIndex: [],
+            untracked: [],
+            chunkMismatch: []
+        };
+
+        for (const entry of this.entries.values()) {
+            const indexed = inventoryFiles.get(entry.fileId);
+
+            if (!indexed) {
+                drift.missingFromIndex.push({ fileId: entry.fileId, name: entry.name, expectedChunks: entry.chunkIds.length });
+                continue;
+            }
+
+            const expected = new Set(entry.chunkIds);
+            const actual = new Set(indexed.vectorIds);
+            const missingChunks = entry.chunkIds.filter(id => !actual.has(id));
+            const extraChunks = indexed.vectorIds.filter(id => !expected.has(id));
+
+            if (missingChunks.length > 0 || extraChunks.length > 0) {
+                drift.chunkMismatch.push({ fileId: entry.fileId, name: entry.name, missingChunks, extraChunks });
+            }
+        }
+
+        for (const [fileId, indexed] of inventoryFiles) {
+            if (!this.entries.has(fileId)) {
+                drift.untracked.push({ fileId, name: indexed.name, vectorCount: indexed.vectorIds.length });
+            }
+        }
+
+        return drift;
+    }
+}
+
+/**
+ * Helper: Highest generation among vector ids (`..._g${generation}`), or null
+ */
+function latestGeneration(vectorIds) {
+    let latest = null;
+
+    for (const id of vectorIds) {
+        const match = id.match(/_g(\d+)$/);
+        if (match && Number(match[1]) > (latest || 0)) {
+            latest = Number(match[1]);
+        }
+    }
+
+    return latest;
+}
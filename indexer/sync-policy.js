@@ -0,0 +1,236 @@
+import fs from 'fs/promises';
+
+export const DEFAULT_POLICY_PATH = './config/sync-policy.json';
+export const POLICY_VERSION = 1;
+
+const ACTIONS = ['include', 'exclude'];
+const CONDITIONS = ['names', 'namePatterns', 'folderPaths', 'mimeTypes', 'owners', 'labels'];
+const RULE_KEYS = ['name', 'action', 'reason', ...CONDITIONS];
+
+/**
+ * Sync Policy
+ *
+ * Which Drive files are indexed, declared in a versioned JSON file
+ * (config/sync-policy.json, override with SYNC_POLICY_PATH) instead of
+ * regexes in code. Evaluation order, first match decides:
+ *
+ * 1. deny.ids      file ids never indexed
+ * 2. allow.ids     file ids always indexed (if the type is supported)
+ * 3. superseded    { name | id, by } - old documents replaced by another
+ * 4. rules         in file order; a rule matches when every condition it
+ *                  lists matches (any value of a list):
+ *                    names         exact file names (case-insensitive)
+ *                    namePatterns  regular expressions (case-insensitive)
+ *                    folderPaths   globs on the folder path under the root
+ *                                  folder (* within a folder, ** across)
+ *                    mimeTypes     exact, or prefix like "image/*"
+ *                    owners        owner emails, or "@domain.com"
+ *                    labels        Drive label ids
+ * 5. default       "include" or "exclude"
+ *
+ * `npm run policy -- explain <file>` shows how a file is decided.
+ */
+export class SyncPolicy {
+    constructor(policy = {}, source = null) {
+        this.source = source;
+
+        if (policy.version !== POLICY_VERSION) {
+            throw new Error(`Unsupported sync policy version ${policy.version} (expected ${POLICY_VERSION})`);
+        }
+
+        this.version = policy.version;
+        this.defaultAction = policy.default || 'include';
+        if (!ACTIONS.includes(this.defaultAction)) {
+            throw new Error(`Sync policy default must be ${ACTIONS.join(' or ')} (got "${this.defaultAction}")`);
+        }
+
+        this.allowIds = new Set(policy.allow?.ids || []);
+        this.denyIds = new Set(policy.deny?.ids || []);
+        this.superseded = (policy.superseded || []).map((entry, i) => {
+            if ((!entry.name && !entry.id) || !entry.by) {
+                throw new Error(`Sync policy superseded[${i}] needs "name" or "id", and "by"`);
+            }
+            return entry;
+        });
+        this.rules = (policy.rules || []).map((rule, i) => compileRule(rule, i));
+    }
+
+    /**
+     * Load and validate a policy file
+     */
+    static async load(policyPath = process.env.SYNC_POLICY_PATH || DEFAULT_POLICY_PATH) {
+        let raw;
+
+        try {
+            raw = await fs.readFile(policyPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Sync policy not found: ${policyPath}`);
+            }
+            throw error;
+        }
+
+        try {
+            return new SyncPolicy(JSON.parse(raw), policyPath);
+        } catch (error) {
+            throw new Error(`Invalid sync policy ${policyPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decide a file: { included, rule, reason }
+     *
+     * `file.path` is its folder path under the root folder ('' at the root);
+     * folder rules never match a file without one.
+     */
+    evaluate(file) {
+        return this.explain(file).decision;
+    }
+
+    /**
+     * Every policy step for a file, and the decision
+     * Returns { decision, steps: [{ rule, action, matched, reason, conditions? }] }
+     */
+    explain(file) {
+        const steps = [];
+        let decision = null;
+
+        const record = step => {
+            steps.push(step);
+            if (step.matched && !decision) {
+                decision = { included: step.action === 'include', rule: step.rule, reason: step.reason };
+            }
+        };
+
+        record({ rule: 'deny.ids', action: 'exclude', matched: this.denyIds.has(file.id), reason: 'Denied by file id' });
+        record({ rule: 'allow.ids', action: 'include', matched: this.allowIds.has(file.id), reason: 'Allowed by file id' });
+
+        for (const entry of this.superseded) {
+            record({
+                rule: `superseded: ${entry.name || entry.id}`,
+                action: 'exclude',
+                matched: entry.id ? entry.id === file.id : sameName(entry.name, file.name),
+                reason: `Legacy file (superseded by ${entry.by})`
+            });
+        }
+
+        for (const rule of this.rules) {
+            const conditions = {};
+            for (const condition of CONDITIONS) {
+                if (rule[condition]) conditions[condition] = rule.matchers[condition](file);
+            }
+
+            record({
+                rule: rule.name,
+                action: rule.action,
+                matched: Object.values(conditions).every(Boolean),
+                reason: rule.reason,
+                conditions
+            });
+        }
+
+        return {
+            decision: decision || {
+                included: this.defaultAction === 'include',
+                rule: 'default',
+                reason: `No rule matched (default: ${this.defaultAction})`
+            },
+            steps
+        };
+    }
+
+    /**
+     * Drive label ids used by rules (files.list only returns labels it is asked for)
+     */
+    labelIds() {
+        return [...new Set(this.rules.flatMap(rule => rule.labels || []))];
+    }
+}
+
+/**
+ * Helper: Validate a rule and build its condition matchers
+ */
+function compileRule(rule, i) {
+    const name = rule.name || `rule ${i + 1}`;
+
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`rule "${name}": unknown key(s) ${unknown.join(', ')}`);
+    }
+    if (!ACTIONS.includes(rule.action)) {
+        throw new Error(`rule "${name}": action must be ${ACTIONS.join(' or ')}`);
+    }
+    if (!CONDITIONS.some(condition => rule[condition])) {
+        throw new Error(`rule "${name}": needs at least one of ${CONDITIONS.join(', ')}`);
+    }
+    for (const condition of CONDITIONS) {
+        if (rule[condition] && !Array.isArray(rule[condition])) {
+            throw new Error(`rule "${name}": ${condition} must be a list`);
+        }
+    }
+
+    const compile = (patterns, toRegex) => patterns.map(pattern => {
+        try {
+            return toRegex(pattern);
+        } catch (error) {
+            throw new Error(`rule "${name}": bad pattern "${pattern}" (${error.message})`);
+        }
+    });
+
+    const namePatterns = compile(rule.namePatterns || [], pattern => new RegExp(pattern, 'i'));
+    const folderPaths = compile(rule.folderPaths || [], globToRegex);
+    const owners = (rule.owners || []).map(owner => owner.toLowerCase());
+
+    return {
+        ...rule,
+        name,
+        reason: rule.reason || `${rule.action === 'include' ? 'Included' : 'Excluded'} by rule "${name}"`,
+        matchers: {
+            names: file => rule.names.some(n => sameName(n, file.name)),
+            namePatterns: file => namePatterns.some(regex => regex.test(file.name)),
+            folderPaths: file => typeof file.path === 'string' && folderPaths.some(regex => regex.test(file.path)),
+            mimeTypes: file => rule.mimeTypes.some(type =>
+                type.endsWith('/*') ? file.mimeType?.startsWith(type.slice(0, -1)) : file.mimeType === type
+            ),
+            owners: file => (file.owners || []).some(({ emailAddress = '' }) => {
+                const email = emailAddress.toLowerCase();
+                return owners.some(owner => owner.startsWith('@') ? email.endsWith(owner) : email === owner);
+            }),
+            labels: file => (file.labelInfo?.labels || []).some(label => rule.labels.includes(label.id))
+        }
+    };
+}
+
+/**
+ * Helper: Folder glob → RegExp (** any folders, * and ? within one folder name)
+ */
+function globToRegex(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (glob.startsWith('**/', i)) {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (glob.startsWith('/**', i) && i + 3 === glob.length) {
+            source += '(?:/.*)?';
+            i += 2;
+        } else if (glob.startsWith('**', i)) {
+            source += '.*';
+            i += 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function sameName(a, b) {
+    return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
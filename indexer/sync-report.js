@@ -0,0 +1,148 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Sync Reports
+ *
+ * Writes a sync plan (see sync-engine.js) to reports/:
+ *
+ * - csv   new-files.csv, modified-files.csv, deleted-files.csv, skipped-files.csv,
+ *         match-review.csv (ambiguous legacy matches, see legacy-matcher.js),
+ *         shortcut-permissions.csv (shortcuts whose target can't be read)
+ * - json  sync-report.json (every list, plus counts)
+ *
+ * Returns the paths written.
+ */
+export async function writeSyncReport(plan, format, { dir = './reports', namespace = '', dryRun = false } = {}) {
+    await fs.mkdir(dir, { recursive: true });
+
+    if (format === 'json') {
+        const reportPath = path.join(dir, 'sync-report.json');
+        const report = {
+            generatedAt: new Date().toISOString(),
+            namespace,
+            dryRun,
+            mode: plan.mode,
+            counts: {
+                new: plan.new.length,
+                modified: plan.modified.length,
+                deleted: plan.deleted.length,
+                unchanged: plan.unchanged.length,
+                skipped: plan.skipped.length,
+                review: plan.review.length
+            },
+            new: plan.new.map(({ file, reason }) => ({ ...describeFile(file), reason })),
+            modified: plan.modified.map(({ file, reason, signals, indexed }) => ({
+                ...describeFile(file),
+                reason,
+                signals: activeSignals(signals),
+                indexedModified: indexed?.modifiedTime || indexed?.modifiedDate || null
+            })),
+            deleted: plan.deleted.map(({ fileId, name, vectorIds, reason }) => ({ fileId, name, vectors: vectorIds.length, reason })),
+            skipped: plan.skipped.map(({ file, rule, reason }) => ({ ...describeFile(file), rule, reason })),
+            review: plan.review.map(({ file, candidates }) => ({ ...describeFile(file), candidates: candidates.map(describeCandidate) })),
+            shortcutPermissions: unreadableShortcuts(plan).map(({ file, reason }) => ({
+                ...describeFile(file),
+                targetId: file.shortcutDetails?.targetId || null,
+                reason
+            }))
+        };
+
+        await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+        return [reportPath];
+    }
+
+    if (format !== 'csv') {
+        throw new Error(`Unknown report format: ${format} (use csv or json)`);
+    }
+
+    const tables = {
+        'new-files.csv': [
+            ['Name', 'Folder', 'Type', 'Modified', 'URL'],
+            ...plan.new.map(({ file }) => [file.name, folderOf(file), file.mimeType, file.modifiedTime, file.webViewLink])
+        ],
+        'modified-files.csv': [
+            ['Name', 'Folder', 'Type', 'Drive Modified', 'Pinecone Modified', 'Change Signals', 'Reason', 'URL'],
+            ...plan.modified.map(({ file, reason, signals, indexed }) => [
+                file.name, folderOf(file), file.mimeType, file.modifiedTime,
+                indexed?.modifiedTime || indexed?.modifiedDate,
+                activeSignals(signals).join('; '), reason, file.webViewLink
+            ])
+        ],
+        'deleted-files.csv': [
+            ['Name', 'File ID', 'Vectors', 'Reason'],
+            ...plan.deleted.map(({ fileId, name, vectorIds, reason }) => [name, fileId, vectorIds.length, reason])
+        ],
+        'skipped-files.csv': [
+            ['Name', 'Folder', 'Type', 'Rule', 'Reason', 'URL'],
+            ...plan.skipped.map(({ file, rule, reason }) => [file.name, folderOf(file), file.mimeType, rule, reason, file.webViewLink])
+        ],
+        'match-review.csv': [
+            ['Name', 'File ID', 'Folder', 'Rank', 'Legacy Name', 'Confidence', 'Name Score', 'Content Overlap'],
+            ...plan.review.flatMap(({ file, candidates }) => candidates.map((candidate, i) => {
+                const { name, confidence, nameScore, contentOverlap } = describeCandidate(candidate);
+                return [file.name, file.id, folderOf(file), i + 1, name, confidence, nameScore, contentOverlap];
+            }))
+        ],
+        'shortcut-permissions.csv': [
+            ['Shortcut', 'Folder', 'Shortcut ID', 'Target ID', 'Reason', 'URL'],
+            ...unreadableShortcuts(plan).map(({ file, reason }) => [
+                file.name, folderOf(file), file.id, file.shortcutDetails?.targetId, reason, file.webViewLink
+            ])
+        ]
+    };
+
+    const paths = [];
+    for (const [fileName, rows] of Object.entries(tables)) {
+        const reportPath = path.join(dir, fileName);
+        await fs.writeFile(reportPath, rows.map(row => row.map(csvCell).join(',')).join('\n'));
+        paths.push(reportPath);
+    }
+
+    return paths;
+}
+
+/**
+ * Helper: Report fields of a Drive file
+ */
+function describeFile(file) {
+    return {
+        fileId: file.id,
+        name: file.name,
+        folder: folderOf(file),
+        mimeType: file.mimeType,
+        modifiedTime: file.modifiedTime,
+        url: file.webViewLink || null
+    };
+}
+
+/**
+ * Helper: Folder path for display ('Root' for the root folder, blank if unknown)
+ */
+function folderOf(file) {
+    if (file.path === '') return 'Root';
+    return file.path ?? null;
+}
+
+/**
+ * Helper: Skipped shortcuts whose target the service account can't read
+ */
+function unreadableShortcuts(plan) {
+    return plan.skipped.filter(({ rule }) => rule === 'shortcut-unreadable');
+}
+
+/**
+ * Helper: Legacy match candidate with rounded scores
+ */
+function describeCandidate({ name, confidence, nameScore, contentOverlap }) {
+    const round = value => value === undefined ? null : Number(value.toFixed(3));
+    return { name, confidence: round(confidence), nameScore: round(nameScore), contentOverlap: round(contentOverlap) };
+}
+
+function activeSignals(signals = {}) {
+    return Object.keys(signals).filter(signal => signals[signal]);
+}
+
+function csvCell(value) {
+    return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
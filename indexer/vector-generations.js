@@ -0,0 +1,207 @@
+import { PineconeInventory } from './pinecone-inventory.js';
+
+/**
+ * Blue/Green Vector Generations
+ *
+ * Re-indexing used to delete a file's vectors and then upload new ones, so a
+ * crash or API error in between left the document missing from search or
+ * half indexed. Every index of a file now writes a new generation instead:
+ *
+ * 1. begin    pending generation (its vector ids) is saved in sync state
+ * 2. upload   new vectors - ids end in `_g${generation}`, so nothing of the
+ *             current generation is overwritten
+ * 3. verify   list the file's vectors until every new id is present
+ * 4. flip     the manifest entry switches to the new generation (one save)
+ * 5. collect  the previous generation's vectors are deleted
+ *
+ * If 2 or 3 fails the partial generation is deleted and the previous one
+ * stays active. Between 2 and 5 both generations are in the index, so a
+ * document can briefly match twice but never goes missing.
+ *
+ * repair() finishes or rolls back generations a crashed run left pending and
+ * deletes leftover vectors of older generations (npm run sync-repair).
+ */
+export class VectorGenerations {
+    constructor({ index, manifest, inventory, verifyAttempts = 5, verifyDelayMs = 2000 }) {
+        this.index = index;
+        this.manifest = manifest;
+        this.inventory = inventory || new PineconeInventory(index);
+        this.verifyAttempts = verifyAttempts;
+        this.verifyDelayMs = verifyDelayMs;
+    }
+
+    /**
+     * Generation number for the next index of a file
+     */
+    next(fileId) {
+        return (this.manifest.get(fileId)?.generation || 0) + 1;
+    }
+
+    /**
+     * Publish a file's vectors as a new generation and retire the previous one
+     *
+     * upload(vectors) does the actual upsert; record holds the remaining
+     * manifest fields (embeddingModel, chunkerVersion, contextHeaders).
+     */
+    async publish(file, vectors, { generation, upload, record = {} }) {
+        const chunkIds = vectors.map(v => v.id);
+        const previousIds = this.manifest.get(file.id)?.chunkIds || [];
+
+        this.manifest.beginGeneration(file, { ...record, chunkIds, generation });
+        await this.manifest.save();
+
+        try {
+            await upload(vectors);
+            await this.verify(file.id, chunkIds);
+        } catch (error) {
+            await this.rollBack(file, generation, chunkIds);
+            throw error;
+        }
+
+        this.manifest.commitGeneration(file.id);
+        await this.manifest.save();
+
+        const collected = await this.collect(file.id, chunkIds, previousIds);
+        return { generation, collected };
+    }
+
+    /**
+     * Wait until every vector of a generation can be listed
+     */
+    async verify(fileId, chunkIds) {
+        for (let attempt = 1; ; attempt++) {
+            const listed = new Set(await this.inventory.getFileVectorIds(fileId));
+            const found = chunkIds.filter(id => listed.has(id)).length;
+
+            if (found === chunkIds.length) return;
+
+            if (attempt >= this.verifyAttempts) {
+                throw new Error(`Verification failed: ${found}/${chunkIds.length} vectors of the new generation in the index`);
+            }
+
+            await sleep(this.verifyDelayMs);
+        }
+    }
+
+    /**
+     * Finish or roll back pending generations, then delete stale vectors of
+     * files in the manifest. With dryRun nothing is changed.
+     *
+     * Returns { committed, rolledBack, stale: [{ fileId, name, vectorIds }] }
+     */
+    async repair({ dryRun = false } = {}) {
+        const report = { committed: [], rolledBack: [], stale: [] };
+
+        for (const pending of this.manifest.pendingGenerations()) {
+            const { fileId, name, chunkIds } = pending.entry;
+            const active = this.manifest.get(fileId);
+            const listed = new Set(await this.inventory.getFileVectorIds(fileId));
+            const present = chunkIds.filter(id => listed.has(id));
+
+            if (active?.generation === pending.generation || present.length === chunkIds.length) {
+                // Fully uploaded (or already flipped before the state was saved) - finish the flip
+                report.committed.push({ fileId, name, generation: pending.generation });
+                if (dryRun) continue;
+
+                if (active?.generation === pending.generation) {
+                    this.manifest.abortGeneration(fileId);
+                } else {
+                    this.manifest.commitGeneration(fileId);
+                }
+            } else {
+                // Partial upload - remove it, the previous generation stays active
+                report.rolledBack.push({ fileId, name, generation: pending.generation, uploaded: present.length, expected: chunkIds.length });
+                if (dryRun) continue;
+
+                await this.deleteIds(present);
+                this.manifest.abortGeneration(fileId);
+            }
+
+            await this.manifest.save();
+        }
+
+        // Vectors of manifest files that are not part of the active generation
+        const pendingIds = new Set(this.manifest.pendingGenerations().flatMap(p => p.entry.chunkIds));
+        const activeIds = new Map();
+        const byFile = new Map();
+
+        for (const id of await this.inventory.listVectorIds()) {
+            const fileId = PineconeInventory.fileIdOf(id);
+            const entry = fileId && this.manifest.get(fileId);
+            if (!entry || pendingIds.has(id)) continue;
+
+            if (!activeIds.has(fileId)) activeIds.set(fileId, new Set(entry.chunkIds));
+            if (activeIds.get(fileId).has(id)) continue;
+
+            if (!byFile.has(fileId)) byFile.set(fileId, []);
+            byFile.get(fileId).push(id);
+        }
+
+        for (const [fileId, vectorIds] of byFile) {
+            report.stale.push({ fileId, name: this.manifest.get(fileId).name, vectorIds });
+            if (!dryRun) await this.deleteIds(vectorIds);
+        }
+
+        return report;
+    }
+
+    /**
+     * Delete legacy n8n vectors a re-indexed Drive file replaces and forget
+     * them. Returns the number deleted, or null if their ids are unknown
+     * (legacy entries seeded before ids were recorded)
+     */
+    async retireLegacy(legacyName) {
+        const legacy = this.manifest.state.legacyFiles?.[legacyName];
+        if (!legacy?.vectorIds) return null;
+
+        await this.deleteIds(legacy.vectorIds);
+        this.manifest.removeLegacyFile(legacyName);
+        await this.manifest.save();
+
+        return legacy.vectorIds.length;
+    }
+
+    /**
+     * Helper: Delete a failed generation (if that fails too, it stays pending for repair)
+     */
+    async rollBack(file, generation, chunkIds) {
+        try {
+            await this.deleteIds(chunkIds);
+            this.manifest.abortGeneration(file.id);
+            await this.manifest.save();
+        } catch (error) {
+            console.log(`   ⚠️  Could not remove partial generation ${generation} of ${file.name} (${error.message}) - run npm run sync-repair`);
+        }
+    }
+
+    /**
+     * Helper: Delete the file's vectors outside the active generation
+     * (a failure leaves them for repair - search is unaffected apart from duplicates)
+     */
+    async collect(fileId, activeIds, previousIds) {
+        const active = new Set(activeIds);
+
+        try {
+            const listed = await this.inventory.getFileVectorIds(fileId);
+            const stale = [...new Set([...previousIds, ...listed])].filter(id => !active.has(id));
+            await this.deleteIds(stale);
+            return stale.length;
+        } catch (error) {
+            console.log(`   ⚠️  Previous generation not removed (${error.message}) - run npm run sync-repair`);
+            return 0;
+        }
+    }
+
+    /**
+     * Helper: deleteMany in batches (it takes at most 1000 ids)
+     */
+    async deleteIds(ids) {
+        for (let i = 0; i < ids.length; i += 1000) {
+            await this.index.deleteMany(ids.slice(i, i + 1000));
+        }
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,314 @@
+import { chunkLocationMetadata } from './chunker.js';
+import { driveFileDetails, userLabel } from './drive-metadata.js';
+
+/**
+ * Vector Metadata Schema
+ *
+ * The one definition of what a document vector's metadata looks like.
+ * Indexers build metadata with buildVectorMetadata() and upload through
+ * upsertVectors(), which refuses vectors that don't conform; `npm run
+ * audit-metadata` checks (and rewrites) what is already in the index.
+ *
+ * Older indexers wrote other keys for the same fields (fileName, fileId,
+ * File.webViewLink, modifiedTime as a full timestamp, ...) - normalizeMetadata()
+ * maps them onto the schema.
+ *
+ * Bump METADATA_SCHEMA_VERSION when fields change; vectors record the version
+ * they were written with (schemaVersion).
+ *
+ * Versions:
+ *   1  File.*, text, blobType, chunk locations
+ *   2  Drive details (File.owners, File.ownerNames, File.lastModifiedBy,
+ *      File.description, File.labels), File.shortcutId, OCR, image text and
+ *      recording locations. Only the Drive file has the details, so version 1
+ *      metadata is upgraded from it (normalizeMetadata(metadata, file))
+ */
+
+export const METADATA_SCHEMA_VERSION = 2;
+
+// Version of metadata written before schemaVersion existed
+const UNVERSIONED_SCHEMA = 1;
+
+// Drive descriptions are cut to this length (repeated on every chunk)
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// type: string | number | boolean | date (YYYY-MM-DD) | string[]
+export const METADATA_FIELDS = {
+    'File.id': { type: 'string', required: true },
+    'File.name': { type: 'string', required: true },
+    'File.webviewlink': { type: 'string', required: true },
+    'File.createdDate': { type: 'date' },
+    'File.modifiedDate': { type: 'date', required: true },
+    'File.lastSyncDate': { type: 'date', required: true },
+    'File.version': { type: 'number' },
+    'File.md5': { type: 'string' },
+    'File.size': { type: 'number' },
+    'File.path': { type: 'string' },          // Folder path under the sync root ('' at the root)
+    'File.subfolder': { type: 'string' },     // Immediate parent folder ('' at the root)
+    'File.shortcutId': { type: 'string' },    // Shortcut the file is indexed through (File.path is its folder)
+    'File.owners': { type: 'string[]' },      // Owner emails (none in shared drives)
+    'File.ownerNames': { type: 'string[]' },  // Owner display names
+    'File.lastModifiedBy': { type: 'string' },
+    'File.description': { type: 'string' },
+    'File.labels': { type: 'string[]' },      // Drive label ids
+    'File.generation': { type: 'number' },
+    'text': { type: 'string', required: true },
+    'contextHeader': { type: 'string' },
+    'blobType': { type: 'string', required: true },
+    'schemaVersion': { type: 'number', required: true },
+    'loc.lines.from': { type: 'number' },
+    'loc.lines.to': { type: 'number' },
+    'loc.chars.from': { type: 'number' },
+    'loc.chars.to': { type: 'number' },
+    'loc.page': { type: 'number' },
+    'loc.slide': { type: 'number' },
+    'loc.title': { type: 'string' },
+    'loc.sheet': { type: 'string' },
+    'loc.headingPath': { type: 'string[]' },
+    'loc.ocrConfidence': { type: 'number' },   // 0-100, chunks of OCRed pages only
+    'loc.imageText': { type: 'boolean' },      // Chunk includes text OCRed from images
+    'loc.time.from': { type: 'number' },       // Recording time range in seconds (transcripts)
+    'loc.time.to': { type: 'number' },
+    'loc.timestamp': { type: 'string' }        // "12:34" - start of the recording section
+};
+
+// Keys older indexers (n8n, initial-index.js) wrote -> schema key
+export const LEGACY_KEYS = {
+    'File.webViewLink': 'File.webviewlink',
+    'File.mimeType': 'blobType',
+    'fileId': 'File.id',
+    'fileName': 'File.name',
+    'filePath': 'File.path',
+    'mimeType': 'blobType',
+    'modifiedTime': 'File.modifiedDate',
+    'indexedAt': 'File.lastSyncDate'
+};
+
+// Fields from a file's owners, description and labels, left out when it has none
+const DRIVE_DETAIL_FIELDS = ['File.owners', 'File.ownerNames', 'File.lastModifiedBy', 'File.description', 'File.labels'];
+
+// Keys with no schema equivalent that normalization drops
+const OBSOLETE_KEYS = ['chunkIndex', 'totalChunks'];
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Schema metadata for one chunk of a Drive file
+ * (file: Drive file, with `path` when known; chunk: see chunker.js)
+ */
+export function buildVectorMetadata(file, chunk, { generation = null, contextHeader = null } = {}) {
+    const metadata = {
+        ...fileMetadata(file),
+        'text': chunk.text,
+        ...chunkLocation(chunk)
+    };
+
+    if (generation) metadata['File.generation'] = generation;
+    if (contextHeader) metadata['contextHeader'] = contextHeader;
+
+    return metadata;
+}
+
+/**
+ * The File.* (and blobType, schemaVersion) fields of a Drive file - the same
+ * on every chunk
+ */
+export function fileMetadata(file) {
+    const metadata = {
+        'File.name': file.name,
+        'File.id': file.id,
+        'File.webviewlink': file.webViewLink || file.webviewLink || '',
+        'File.modifiedDate': file.modifiedTime?.split('T')[0] || '',
+        'File.lastSyncDate': new Date().toISOString().split('T')[0],
+        'blobType': file.mimeType,
+        'schemaVersion': METADATA_SCHEMA_VERSION
+    };
+
+    if (file.createdTime) metadata['File.createdDate'] = file.createdTime.split('T')[0];
+    if (file.version) metadata['File.version'] = Number(file.version);
+    if (file.md5Checksum) metadata['File.md5'] = file.md5Checksum;
+    if (file.size) metadata['File.size'] = Number(file.size);
+
+    if (typeof file.path === 'string') {
+        metadata['File.path'] = file.path;
+        metadata['File.subfolder'] = file.path.split('/').pop();
+    }
+
+    if (file.shortcut) metadata['File.shortcutId'] = file.shortcut.id;
+
+    const { owners, lastModifiedBy, description, labels } = driveFileDetails(file);
+    if (owners.length > 0) {
+        metadata['File.owners'] = owners.map(owner => owner.email).filter(Boolean);
+        metadata['File.ownerNames'] = owners.map(userLabel).filter(Boolean);
+    }
+    if (lastModifiedBy) metadata['File.lastModifiedBy'] = userLabel(lastModifiedBy);
+    if (description) metadata['File.description'] = description.slice(0, MAX_DESCRIPTION_LENGTH);
+    if (labels.length > 0) metadata['File.labels'] = labels;
+
+    return metadata;
+}
+
+/**
+ * Schema defects of a vector's metadata: [{ code, field, message }]
+ *
+ * codes: missing, legacy-key, obsolete-key, unknown-key, type, format, schema-version
+ */
+export function validateMetadata(metadata = {}) {
+    const defects = [];
+
+    for (const [field, spec] of Object.entries(METADATA_FIELDS)) {
+        const value = metadata[field];
+
+        if (value === undefined || value === null || (spec.required && value === '')) {
+            if (spec.required) defects.push({ code: 'missing', field, message: `${field} is required` });
+            continue;
+        }
+
+        const defect = checkValue(field, spec.type, value);
+        if (defect) defects.push(defect);
+    }
+
+    for (const field of Object.keys(metadata)) {
+        if (METADATA_FIELDS[field]) continue;
+
+        if (LEGACY_KEYS[field]) {
+            defects.push({ code: 'legacy-key', field, message: `${field} should be ${LEGACY_KEYS[field]}` });
+        } else if (OBSOLETE_KEYS.includes(field)) {
+            defects.push({ code: 'obsolete-key', field, message: `${field} is no longer written` });
+        } else {
+            defects.push({ code: 'unknown-key', field, message: `${field} is not in the schema` });
+        }
+    }
+
+    const version = metadata.schemaVersion;
+    if (typeof version === 'number' && version < METADATA_SCHEMA_VERSION) {
+        defects.push({ code: 'schema-version', field: 'schemaVersion', message: `Written with schema ${version} (current ${METADATA_SCHEMA_VERSION})` });
+    }
+
+    return defects;
+}
+
+/**
+ * Metadata mapped onto the schema: legacy keys renamed, numbers and dates
+ * converted, obsolete keys and empty optional non-string values dropped, the
+ * Drive link derived from File.id. Unknown keys are kept.
+ *
+ * With the Drive file, its File.* fields replace the stored ones (chunk
+ * text, location and generation kept) and the metadata is upgraded to the
+ * current schema. Without it, schemaVersion stays the one the metadata was
+ * written with, and missing required fields stay missing (see validateMetadata).
+ */
+export function normalizeMetadata(metadata = {}, file = null) {
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(metadata)) {
+        if (OBSOLETE_KEYS.includes(key)) continue;
+
+        const field = LEGACY_KEYS[key] || key;
+        // A schema key wins over a legacy key for the same field
+        if (field !== key && metadata[field] !== undefined && metadata[field] !== '') continue;
+
+        const spec = METADATA_FIELDS[field];
+        const converted = spec ? convertValue(spec.type, value) : value;
+
+        // '' is a value for strings (File.path at the root), a placeholder otherwise
+        if (spec && !spec.required && (converted === null || (converted === '' && spec.type !== 'string'))) continue;
+        normalized[field] = converted;
+    }
+
+    // initial-index.js wrote filePath including the file name
+    if (metadata.filePath !== undefined && metadata['File.path'] === undefined) {
+        const parts = String(metadata.filePath).split('/');
+        if (parts[parts.length - 1] === normalized['File.name']) normalized['File.path'] = parts.slice(0, -1).join('/');
+    }
+
+    // Derivable fields: Drive's link for a file id, the subfolder of a path
+    if (!normalized['File.webviewlink'] && normalized['File.id']) {
+        normalized['File.webviewlink'] = `https://drive.google.com/file/d/${normalized['File.id']}/view`;
+    }
+    if (normalized['File.subfolder'] === undefined && typeof normalized['File.path'] === 'string') {
+        normalized['File.subfolder'] = normalized['File.path'].split('/').pop();
+    }
+
+    if (file) {
+        // Drive details the file no longer has must not survive
+        DRIVE_DETAIL_FIELDS.forEach(field => delete normalized[field]);
+        return { ...normalized, ...fileMetadata(file) };
+    }
+
+    if (typeof normalized.schemaVersion !== 'number') normalized.schemaVersion = UNVERSIONED_SCHEMA;
+    return normalized;
+}
+
+/**
+ * Upsert vectors in batches after validating every one of them
+ * (throws, uploading nothing, if any vector doesn't conform)
+ */
+export async function upsertVectors(index, vectors, { batchSize = 200 } = {}) {
+    assertValidVectors(vectors);
+
+    for (let i = 0; i < vectors.length; i += batchSize) {
+        await index.upsert(vectors.slice(i, i + batchSize));
+    }
+}
+
+/**
+ * Throw if any vector's metadata doesn't conform to the schema
+ */
+export function assertValidVectors(vectors) {
+    const invalid = vectors
+        .map(vector => ({ id: vector.id, defects: validateMetadata(vector.metadata) }))
+        .filter(result => result.defects.length > 0);
+
+    if (invalid.length > 0) {
+        const [first] = invalid;
+        throw new Error(
+            `${invalid.length} of ${vectors.length} vectors violate the metadata schema ` +
+            `(${first.id}: ${first.defects.map(defect => defect.message).join('; ')})`
+        );
+    }
+}
+
+/**
+ * Helper: Chunk location fields (see chunker.js), without unknown ones
+ */
+function chunkLocation(chunk) {
+    return Object.fromEntries(
+        Object.entries(chunkLocationMetadata(chunk)).filter(([, value]) => value !== undefined && value !== null)
+    );
+}
+
+/**
+ * Helper: Type / format defect of a present value, or null
+ */
+function checkValue(field, type, value) {
+    if (type === 'date') {
+        if (typeof value !== 'string') return { code: 'type', field, message: `${field} should be a YYYY-MM-DD string` };
+        if (value !== '' && !DATE.test(value)) return { code: 'format', field, message: `${field} "${value}" is not YYYY-MM-DD` };
+        return null;
+    }
+
+    if (type === 'string[]') {
+        return Array.isArray(value) && value.every(item => typeof item === 'string')
+            ? null
+            : { code: 'type', field, message: `${field} should be a list of strings` };
+    }
+
+    return typeof value === type ? null : { code: 'type', field, message: `${field} should be a ${type}` };
+}
+
+/**
+ * Helper: Value converted to a field type where that is unambiguous
+ */
+function convertValue(type, value) {
+    if (type === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'date' && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+        return value.split('T')[0];
+    }
+    if (type === 'string' && typeof value === 'number') {
+        return String(value);
+    }
+    return value;
+}
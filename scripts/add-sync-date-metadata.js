@@ -2,6 +2,8 @@
 
 import { Pinecone } from '@pinecone-database/pinecone';
 import dotenv from 'dotenv';
+import { PineconeInventory } from '../indexer/pinecone-inventory.js';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
 
 dotenv.config();
 
@@ -12,7 +14,17 @@ dotenv.config();
 class MetadataUpdater {
     constructor() {
         this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-        this.index = this.pinecone.index(process.env.PINECONE_INDEX_NAME);
+        this.namespaces = new IndexNamespaces(this.pinecone);
+    }
+
+    /**
+     * Open the active namespace (see index-namespaces.js)
+     */
+    async open() {
+        const { namespace, index } = await this.namespaces.openActive();
+        this.index = index;
+        this.inventory = new PineconeInventory(index);
+        return namespace;
     }
 
     async updateAllVectors() {
@@ -20,44 +32,45 @@ class MetadataUpdater {
         console.log('      ADD SYNC DATE METADATA TO ALL VECTORS');
         console.log('═══════════════════════════════════════════════════════════\n');
 
+        const namespace = await this.open();
         const today = new Date().toISOString().split('T')[0];
+        console.log(`Namespace: ${label(namespace)}`);
         console.log(`Using sync date: ${today}\n`);
 
-        // Query all vectors (including values for re-upload)
+        // Enumerate all vectors (fetch includes values for re-upload)
         console.log('📊 Fetching all vectors from Pinecone...\n');
-        const results = await this.index.query({
-            vector: new Array(3072).fill(0),
-            topK: 10000,
-            includeMetadata: true,
-            includeValues: true  // Need vector values for re-upload
-        });
-
-        console.log(`✓ Found ${results.matches.length} vectors\n`);
 
         // Group by file
         const fileGroups = new Map();
+        let totalVectors = 0;
         let alreadyHasSyncDate = 0;
         let needsUpdate = 0;
 
-        for (const match of results.matches) {
-            const fileId = match.metadata['File.id'];
-            const fileName = match.metadata['File.name'];
-            const hasSyncDate = match.metadata['File.lastSyncDate'] ? true : false;
+        for await (const records of this.inventory.iterateRecords()) {
+            for (const record of records) {
+                totalVectors++;
 
-            if (hasSyncDate) {
-                alreadyHasSyncDate++;
-                continue;
-            }
+                const fileId = record.metadata?.['File.id'];
+                const fileName = record.metadata?.['File.name'];
+                const hasSyncDate = record.metadata?.['File.lastSyncDate'] ? true : false;
 
-            needsUpdate++;
+                if (hasSyncDate) {
+                    alreadyHasSyncDate++;
+                    continue;
+                }
+
+                needsUpdate++;
 
-            const key = fileId || fileName;
-            if (!fileGroups.has(key)) {
-                fileGroups.set(key, []);
+                const key = fileId || fileName;
+                if (!fileGroups.has(key)) {
+                    fileGroups.set(key, []);
+                }
+                fileGroups.get(key).push(record);
             }
-            fileGroups.get(key).push(match);
         }
 
+        console.log(`✓ Found ${totalVectors} vectors\n`);
+
         console.log(`📊 Status:`);
         console.log(`   Already have sync date: ${alreadyHasSyncDate} vectors`);
         console.log(`   Need update: ${needsUpdate} vectors`);
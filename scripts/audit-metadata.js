@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import { Pinecone } from '@pinecone-database/pinecone';
+import dotenv from 'dotenv';
+import { PineconeInventory } from '../indexer/pinecone-inventory.js';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
+import { METADATA_SCHEMA_VERSION, validateMetadata, normalizeMetadata, upsertVectors } from '../indexer/vector-metadata.js';
+
+dotenv.config();
+
+const REPORT_PATH = './reports/metadata-audit.json';
+const SAMPLE_IDS = 5;
+const FIX_BATCH_SIZE = 50;
+
+/**
+ * Audit Vector Metadata
+ *
+ * Checks every vector in the active namespace against the metadata schema
+ * (indexer/vector-metadata.js) and reports the non-conforming ones grouped
+ * by defect.
+ *
+ * Usage:
+ *   npm run audit-metadata                   # report only
+ *   npm run audit-metadata -- --fix          # rewrite fixable vectors in place
+ *   npm run audit-metadata -- --report json  # also write reports/metadata-audit.json
+ *
+ * --fix re-uploads the vectors whose normalized metadata (legacy keys renamed,
+ * numbers and dates converted) conforms - values are kept, nothing is
+ * re-embedded. The rest are left untouched: vectors missing required fields
+ * (e.g. legacy n8n vectors without File.id) can't be fixed from metadata
+ * alone - migrate them with npm run migrate-legacy. Vectors written with an
+ * older schema version need their Drive file - the sync upgrades them.
+ *
+ * Exits with 1 while non-conforming vectors remain.
+ */
+class MetadataAuditor {
+    constructor({ fix, reportFormat }) {
+        this.fix = fix;
+        this.reportFormat = reportFormat;
+        this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+        this.namespaces = new IndexNamespaces(this.pinecone);
+
+        this.stats = { scanned: 0, invalid: 0, fixed: 0, remaining: 0 };
+        this.defects = new Map();
+    }
+
+    async run() {
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log(`           AUDIT VECTOR METADATA${this.fix ? ' - FIX' : ''}`);
+        console.log('═══════════════════════════════════════════════════════════\n');
+
+        const { namespace, index } = await this.namespaces.openActive();
+        this.namespace = namespace;
+        this.index = index;
+        console.log(`🗂️  Pinecone namespace: ${label(namespace)}`);
+        console.log(`📐 Metadata schema version: ${METADATA_SCHEMA_VERSION}\n`);
+
+        console.log('🔍 Scanning vectors...');
+        for await (const records of new PineconeInventory(index).iterateRecords()) {
+            await this.auditPage(records);
+            process.stdout.write(`\r   ✓ ${this.stats.scanned} vectors scanned, ${this.stats.invalid} non-conforming`);
+        }
+        console.log('\n');
+
+        this.printReport();
+
+        if (this.reportFormat === 'json') {
+            await this.writeReport();
+            console.log(`📝 Report: ${REPORT_PATH}\n`);
+        }
+
+        return this.stats.remaining > 0 ? 1 : 0;
+    }
+
+    /**
+     * Validate one page of records, rewriting the fixable ones with --fix
+     */
+    async auditPage(records) {
+        const rewrites = [];
+
+        for (const record of records) {
+            this.stats.scanned++;
+            const defects = validateMetadata(record.metadata);
+            if (defects.length === 0) continue;
+
+            this.stats.invalid++;
+            defects.forEach(defect => this.recordDefect(defect, record.id));
+
+            if (!this.fix) {
+                this.stats.remaining++;
+                continue;
+            }
+
+            // Only rewrite what normalization fixes completely
+            const metadata = normalizeMetadata(record.metadata);
+            if (validateMetadata(metadata).length > 0) {
+                this.stats.remaining++;
+                continue;
+            }
+            rewrites.push({ id: record.id, values: record.values, metadata });
+        }
+
+        // Validated, and a full upsert (not update) so renamed and dropped keys disappear
+        await upsertVectors(this.index, rewrites, { batchSize: FIX_BATCH_SIZE });
+        this.stats.fixed += rewrites.length;
+    }
+
+    /**
+     * Helper: Count a defect, keeping a few sample vector ids
+     */
+    recordDefect({ code, field, message }, id) {
+        const key = `${code}: ${field}`;
+        if (!this.defects.has(key)) {
+            this.defects.set(key, { code, field, message, count: 0, sampleIds: [] });
+        }
+
+        const group = this.defects.get(key);
+        group.count++;
+        if (group.sampleIds.length < SAMPLE_IDS) group.sampleIds.push(id);
+    }
+
+    printReport() {
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log('📊 Metadata Audit:');
+        console.log(`   Vectors scanned: ${this.stats.scanned}`);
+        console.log(`   Non-conforming: ${this.stats.invalid}`);
+        if (this.fix) {
+            console.log(`   Fixed: ${this.stats.fixed}`);
+            console.log(`   Still non-conforming: ${this.stats.remaining}`);
+        }
+        console.log('═══════════════════════════════════════════════════════════\n');
+
+        if (this.defects.size === 0) {
+            console.log('✅ Every vector conforms to the metadata schema\n');
+            return;
+        }
+
+        const groups = Array.from(this.defects.values()).sort((a, b) => b.count - a.count);
+        console.log('⚠️  Defects:');
+        for (const group of groups) {
+            console.log(`   ${String(group.count).padStart(7)}  ${group.code.padEnd(14)} ${group.message}`);
+            console.log(`            e.g. ${group.sampleIds.slice(0, 2).join(', ')}`);
+        }
+        console.log();
+
+        if (groups.some(group => group.code === 'missing' && group.field === 'File.id')) {
+            console.log('💡 Vectors without File.id are legacy n8n vectors - migrate them with npm run migrate-legacy');
+        }
+        if (!this.fix && groups.some(group => group.code !== 'missing')) {
+            console.log('💡 Rewrite fixable vectors with: npm run audit-metadata -- --fix');
+        }
+        console.log();
+    }
+
+    async writeReport() {
+        const report = {
+            generatedAt: new Date().toISOString(),
+            namespace: this.namespace,
+            schemaVersion: METADATA_SCHEMA_VERSION,
+            fix: this.fix,
+            stats: this.stats,
+            defects: Array.from(this.defects.values()).sort((a, b) => b.count - a.count)
+        };
+
+        await fs.mkdir('./reports', { recursive: true });
+        await fs.writeFile(REPORT_PATH, JSON.stringify(report, null, 2));
+    }
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const reportFormat = args.includes('--report') ? args[args.indexOf('--report') + 1] : null;
+
+    if (reportFormat && reportFormat !== 'json') {
+        console.log(`\n❌ --report must be json (got "${reportFormat}")\n`);
+        process.exit(1);
+    }
+
+    const auditor = new MetadataAuditor({ fix: args.includes('--fix'), reportFormat });
+    const exitCode = await auditor.run();
+    process.exit(exitCode);
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+});
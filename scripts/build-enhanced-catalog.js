@@ -4,6 +4,7 @@ import { Pinecone } from '@pinecone-database/pinecone';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
 
 dotenv.config();
 
@@ -13,7 +14,7 @@ dotenv.config();
 async function buildEnhancedCatalog() {
     const pc = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
     const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const index = pc.index(process.env.PINECONE_INDEX_NAME);
+    const { index } = await new IndexNamespaces(pc).openActive();
 
     console.log('🏗️  Building ENHANCED Catalog with detailed descriptions...\n');
 
@@ -4,6 +4,10 @@ import { Pinecone } from '@pinecone-database/pinecone';
 import OpenAI from 'openai';
 import fs from 'fs/promises';
 import dotenv from 'dotenv';
+import { PineconeInventory } from '../indexer/pinecone-inventory.js';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
+import { SyncManifest } from '../indexer/sync-manifest.js';
+import { userLabel } from '../indexer/drive-metadata.js';
 
 dotenv.config();
 
@@ -14,7 +18,7 @@ dotenv.config();
 class IdentityFocusedCatalogBuilder {
     constructor() {
         this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-        this.index = this.pinecone.index(process.env.PINECONE_INDEX_NAME);
+        this.namespaces = new IndexNamespaces(this.pinecone);
         this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
     }
 
@@ -24,6 +28,15 @@ class IdentityFocusedCatalogBuilder {
     async buildCatalog() {
         console.log('🏗️  Building IDENTITY-FOCUSED Catalog...\n');
 
+        // Catalog of the namespace the query layer reads (see index-namespaces.js)
+        const { namespace, index } = await this.namespaces.openActive();
+        this.index = index;
+        this.inventory = new PineconeInventory(this.index);
+
+        // Files the sync skipped as duplicates are listed as aliases of the kept one;
+        // owners, folder and Drive description come from the manifest too
+        this.manifest = await new SyncManifest({ namespace }).load();
+
         // Get all unique documents from Pinecone
         const documents = await this.getUniqueDocuments();
         console.log(`📚 Found ${documents.length} unique documents\n`);
@@ -47,6 +60,8 @@ class IdentityFocusedCatalogBuilder {
                     name: doc.name,
                     url: doc.webViewLink,
                     fileId: doc.fileId,
+                    aliases: doc.fileId ? this.manifest.duplicatesOf(doc.fileId) : [],
+                    ...this.driveDetails(doc.fileId),
                     ...characterization
                 });
 
@@ -83,25 +98,17 @@ class IdentityFocusedCatalogBuilder {
      * Get all unique documents from Pinecone
      */
     async getUniqueDocuments() {
-        // Query with empty vector to get random samples
-        const queryResponse = await this.index.query({
-            vector: new Array(3072).fill(0),
-            topK: 10000,
-            includeMetadata: true
-        });
+        const { files, legacyFiles } = await this.inventory.buildManifest();
 
         // Extract unique documents
         const uniqueDocs = new Map();
 
-        for (const match of queryResponse.matches) {
-            const metadata = match.metadata;
-            const fileName = metadata['File.name'];
-
-            if (fileName && !uniqueDocs.has(fileName)) {
-                uniqueDocs.set(fileName, {
-                    name: fileName,
-                    fileId: metadata['File.id'],
-                    webViewLink: metadata['File.webviewlink'] || metadata['File.webViewLink']
+        for (const entry of [...files.values(), ...legacyFiles.values()]) {
+            if (entry.name && !uniqueDocs.has(entry.name)) {
+                uniqueDocs.set(entry.name, {
+                    name: entry.name,
+                    fileId: entry.fileId,
+                    webViewLink: entry.webViewLink
                 });
             }
         }
@@ -109,6 +116,23 @@ class IdentityFocusedCatalogBuilder {
         return Array.from(uniqueDocs.values());
     }
 
+    /**
+     * Drive ownership and organization of an indexed file, as the last sync
+     * recorded it (nulls for legacy vectors without a manifest entry)
+     */
+    driveDetails(fileId) {
+        const entry = fileId ? this.manifest.get(fileId) : null;
+
+        return {
+            folder: entry?.path ?? null,
+            owners: (entry?.owners || []).map(userLabel),
+            ownerEmails: (entry?.owners || []).map(owner => owner.email).filter(Boolean),
+            lastModifiedBy: entry?.lastModifiedBy ? userLabel(entry.lastModifiedBy) : null,
+            driveDescription: entry?.description || null,
+            labels: entry?.labels || []
+        };
+    }
+
     /**
      * Get sample content from document (15 chunks for comprehensive analysis)
      */
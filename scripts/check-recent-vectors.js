@@ -2,15 +2,17 @@
 
 import { Pinecone } from '@pinecone-database/pinecone';
 import dotenv from 'dotenv';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
 
 dotenv.config();
 
 const pc = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-const index = pc.index(process.env.PINECONE_INDEX_NAME);
+const { namespace, index } = await new IndexNamespaces(pc).openActive();
 
 // Get total stats first
 const stats = await index.describeIndexStats();
-console.log('Total vectors:', stats.namespaces.default?.vectorCount || 0);
+console.log('Namespace:', label(namespace));
+console.log('Total vectors:', stats.namespaces?.[namespace]?.recordCount || 0);
 console.log();
 
 // Search for Content Agent Training Deck
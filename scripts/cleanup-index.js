@@ -1,6 +1,8 @@
-import { PineconeClient } from '../query/pinecone-client.js';
+import { Pinecone } from '@pinecone-database/pinecone';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
+import { SyncManifest } from '../indexer/sync-manifest.js';
 
 dotenv.config();
 
@@ -15,39 +17,41 @@ function ask(question) {
     });
 }
 
+/**
+ * Wipes the active namespace (see index-namespaces.js) and its sync manifest.
+ * Other namespaces - e.g. the rollback copy kept by rebuild-index - are left alone.
+ */
 async function cleanupIndex() {
     console.log('\n🧹 Sally Index Cleanup Script\n');
 
     try {
-        const pineconeClient = new PineconeClient();
+        const namespaces = new IndexNamespaces(new Pinecone({ apiKey: process.env.PINECONE_API_KEY }));
+        const { namespace, index } = await namespaces.openActive();
 
         // Get current stats
         console.log('📊 Fetching current index stats...\n');
-        const stats = await pineconeClient.getStats();
+        const counts = await namespaces.listNamespaces();
+        const activeCount = counts[namespace] || 0;
 
         console.log('Current Index Status:');
         console.log('─'.repeat(40));
         console.log(`Index name: ${process.env.PINECONE_INDEX_NAME || 'sally-sales-enablement'}`);
-        console.log(`Total vectors: ${stats.totalRecordCount || 0}`);
-        console.log(`Dimensions: ${stats.dimension || 'N/A'}`);
-
-        if (stats.namespaces) {
-            console.log('\nNamespaces:');
-            for (const [ns, data] of Object.entries(stats.namespaces)) {
-                console.log(`  ${ns || '(default)'}: ${data.recordCount} vectors`);
-            }
+        console.log(`Active namespace: ${label(namespace)}`);
+        console.log('\nNamespaces:');
+        for (const [ns, count] of Object.entries(counts)) {
+            console.log(`  ${label(ns)}: ${count} vectors${ns === namespace ? ' (active)' : ''}`);
         }
         console.log('─'.repeat(40));
 
-        if (stats.totalRecordCount === 0) {
-            console.log('\n✅ Index is already empty. Nothing to clean up.\n');
+        if (activeCount === 0) {
+            console.log('\n✅ Active namespace is already empty. Nothing to clean up.\n');
             rl.close();
             return;
         }
 
         // Ask what to do
         console.log('\nOptions:');
-        console.log('  1. Delete ALL vectors (complete wipe)');
+        console.log(`  1. Delete ALL ${activeCount} vectors in ${label(namespace)} (complete wipe)`);
         console.log('  2. Exit without changes');
 
         const choice = await ask('\nEnter your choice (1 or 2): ');
@@ -57,11 +61,16 @@ async function cleanupIndex() {
 
             if (confirm.toLowerCase() === 'yes') {
                 console.log('\n🗑️  Deleting all vectors...');
-                await pineconeClient.deleteAll();
+                await index.deleteAll();
+
+                // Nothing is indexed any more - the next sync re-indexes every file
+                const manifest = await new SyncManifest({ namespace }).load();
+                manifest.clearIndexed();
+                await manifest.save();
 
                 // Verify deletion
-                const newStats = await pineconeClient.getStats();
-                console.log(`\n✅ Cleanup complete! Vectors remaining: ${newStats.totalRecordCount || 0}\n`);
+                const newCounts = await namespaces.listNamespaces();
+                console.log(`\n✅ Cleanup complete! Vectors remaining in ${label(namespace)}: ${newCounts[namespace] || 0}\n`);
             } else {
                 console.log('\n❌ Cleanup cancelled.\n');
             }
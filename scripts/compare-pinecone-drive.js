@@ -4,6 +4,7 @@ import { Pinecone } from '@pinecone-database/pinecone';
 import OpenAI from 'openai';
 import fs from 'fs/promises';
 import dotenv from 'dotenv';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
 
 dotenv.config();
 
@@ -16,7 +17,7 @@ async function comparePineconeDrive() {
 
     const pc = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
     const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const index = pc.index(process.env.PINECONE_INDEX_NAME);
+    const { index } = await new IndexNamespaces(pc).openActive();
 
     // 1. Read Google Drive sheet
     console.log('📊 Reading Google Drive sheet...');
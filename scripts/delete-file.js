@@ -1,12 +1,18 @@
 /**
  * Delete a specific file from Pinecone index
  * Usage: npm run delete-file "File Name Here"
+ *
+ * Works on the active namespace (see index-namespaces.js) and removes the
+ * file from that namespace's sync manifest, so the next sync doesn't expect
+ * its vectors.
  */
 
 import { Pinecone } from '@pinecone-database/pinecone';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
+import { SyncManifest } from '../indexer/sync-manifest.js';
 
 dotenv.config();
 
@@ -32,7 +38,9 @@ async function deleteFile() {
     console.log('File to delete: ' + fileName);
 
     const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-    const index = pinecone.index(process.env.PINECONE_INDEX_NAME);
+    const namespaces = new IndexNamespaces(pinecone);
+    const { namespace, index } = await namespaces.openActive();
+    console.log('Namespace: ' + label(namespace));
     const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
     // Find vectors for this file
@@ -75,10 +83,18 @@ async function deleteFile() {
     const ids = vectors.map(v => v.id);
     await index.deleteMany(ids);
 
+    // Forget the file in the sync manifest (by File.id, or by name for legacy vectors)
+    const manifest = await new SyncManifest({ namespace }).load();
+    const fileIds = new Set(vectors.map(v => v.metadata?.['File.id']).filter(Boolean));
+    fileIds.forEach(fileId => manifest.remove(fileId));
+    if (vectors.some(v => !v.metadata?.['File.id'])) manifest.removeLegacyFile(fileName);
+    await manifest.save();
+
     // Verify
-    const stats = await index.describeIndexStats();
+    const stats = await namespaces.listNamespaces();
     console.log('\n✅ Deleted ' + ids.length + ' vectors');
-    console.log('Remaining vectors in index: ' + stats.totalRecordCount + '\n');
+    console.log('Removed from sync manifest: ' + (fileIds.size || fileName));
+    console.log('Remaining vectors in ' + label(namespace) + ': ' + (stats[namespace] || 0) + '\n');
 
     rl.close();
 }
@@ -39,7 +39,14 @@ async function exportCatalogToCSV() {
             'Effective Date',
             'Status',
             'Target Audience',
-            'Not to Confuse With'
+            'Not to Confuse With',
+            'Aliases',
+            'Folder',
+            'Owners',
+            'Owner Emails',
+            'Last Modified By',
+            'Drive Description',
+            'Labels'
         ]
     ];
 
@@ -67,7 +74,14 @@ async function exportCatalogToCSV() {
             doc.effectiveDate || '',
             doc.status || '',
             doc.targetAudience || '',
-            doc.notToConfuseWith?.join(' | ') || ''
+            doc.notToConfuseWith?.join(' | ') || '',
+            doc.aliases?.map(alias => alias.name).join(' | ') || '',
+            doc.folder || '',
+            doc.owners?.join(' | ') || '',
+            doc.ownerEmails?.join(' | ') || '',
+            doc.lastModifiedBy || '',
+            doc.driveDescription || '',
+            doc.labels?.join(' | ') || ''
         ]);
     }
 
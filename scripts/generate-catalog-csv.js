@@ -3,11 +3,12 @@
 import { Pinecone } from '@pinecone-database/pinecone';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
 
 dotenv.config();
 
 const pc = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-const index = pc.index(process.env.PINECONE_INDEX_NAME);
+const { index } = await new IndexNamespaces(pc).openActive();
 
 // Files we just indexed
 const indexedFiles = [
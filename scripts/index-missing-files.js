@@ -2,12 +2,15 @@
 
 import { google } from 'googleapis';
 import { Pinecone } from '@pinecone-database/pinecone';
-import OpenAI from 'openai';
 import fs from 'fs/promises';
-import pdfParse from 'pdf-parse';
-import mammoth from 'mammoth';
-import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
+import { createExtractorRegistry } from '../indexer/extractors/index.js';
+import { DocumentChunker } from '../indexer/chunker.js';
+import { ChunkContextBuilder, contextHeadersEnabled, createChunkVectors } from '../indexer/chunk-context.js';
+import { EmbeddingService } from '../indexer/embedding-service.js';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
+import { upsertVectors } from '../indexer/vector-metadata.js';
+import { DRIVE_METADATA_FIELDS, driveLabelParams } from '../indexer/drive-metadata.js';
 
 dotenv.config();
 
@@ -33,12 +36,22 @@ class DriveIndexer {
         this.slides = google.slides({ version: 'v1', auth: this.auth });
         this.sheets = google.sheets({ version: 'v4', auth: this.auth });
 
+        // Text extraction (same extractors as the sync scripts)
+        this.extractors = createExtractorRegistry({
+            drive: this.drive,
+            docs: this.docs,
+            slides: this.slides,
+            sheets: this.sheets
+        });
+        this.chunker = new DocumentChunker({ extractors: this.extractors });
+        this.chunkContext = contextHeadersEnabled() ? new ChunkContextBuilder() : null;
+
         // Initialize Pinecone
         this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-        this.index = this.pinecone.index(process.env.PINECONE_INDEX_NAME);
+        this.namespaces = new IndexNamespaces(this.pinecone);
 
-        // Initialize OpenAI
-        this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        // Embeddings (batched, retrying)
+        this.embeddings = new EmbeddingService({ model: 'text-embedding-3-large' });
 
         this.stats = {
             total: 0,
@@ -56,6 +69,8 @@ class DriveIndexer {
         console.log('🚀 Starting Batch Indexer for Missing Files\n');
         console.log('='.repeat(80) + '\n');
 
+        this.index = (await this.namespaces.openActive()).index;
+
         // Load files to index
         const report = JSON.parse(await fs.readFile('./query/files-to-index.json', 'utf-8'));
         let filesToIndex = report.filesToIndex;
@@ -103,31 +118,17 @@ class DriveIndexer {
         // Get file metadata
         const metadata = await this.drive.files.get({
             fileId: file.fileId,
-            fields: 'id,name,mimeType,createdTime,modifiedTime,webViewLink',
-            supportsAllDrives: true
+            fields: DRIVE_METADATA_FIELDS,
+            supportsAllDrives: true,
+            ...driveLabelParams()
         });
 
         const mimeType = metadata.data.mimeType;
         console.log(`   MIME Type: ${mimeType}`);
 
-        // Extract text based on file type
-        let text = '';
-
-        if (mimeType === 'application/vnd.google-apps.document') {
-            text = await this.extractGoogleDoc(file.fileId);
-        } else if (mimeType === 'application/vnd.google-apps.presentation') {
-            text = await this.extractGoogleSlides(file.fileId);
-        } else if (mimeType === 'application/vnd.google-apps.spreadsheet') {
-            text = await this.extractGoogleSheets(file.fileId);
-        } else if (mimeType === 'application/pdf') {
-            text = await this.extractPDF(file.fileId);
-        } else if (mimeType.includes('wordprocessingml')) {
-            text = await this.extractDocx(file.fileId);
-        } else if (mimeType.includes('presentationml')) {
-            text = await this.extractPptx(file.fileId);
-        } else {
-            throw new Error(`Unsupported file type: ${mimeType}`);
-        }
+        // Extract text
+        const extraction = await this.extractors.extract(metadata.data);
+        const { text } = extraction;
 
         if (!text || text.trim().length < 50) {
             throw new Error('Extracted text too short or empty');
@@ -136,11 +137,11 @@ class DriveIndexer {
         console.log(`   📝 Extracted ${text.length} characters`);
 
         // Chunk text
-        const chunks = this.chunkText(text);
+        const chunks = this.chunker.chunk(extraction);
         console.log(`   ✂️  Created ${chunks.length} chunks`);
 
         // Create vectors
-        const vectors = await this.createVectors(chunks, file, metadata.data);
+        const vectors = await createChunkVectors(metadata.data, chunks, { embeddings: this.embeddings, chunkContext: this.chunkContext });
         console.log(`   🔢 Created ${vectors.length} vectors`);
 
         // Upload to Pinecone
@@ -151,222 +152,10 @@ class DriveIndexer {
     }
 
     /**
-     * Extract text from Google Doc
-     */
-    async extractGoogleDoc(fileId) {
-        const doc = await this.docs.documents.get({ documentId: fileId });
-        return this.extractTextFromDocContent(doc.data.body.content);
-    }
-
-    /**
-     * Extract text from Google Slides
-     */
-    async extractGoogleSlides(fileId) {
-        const presentation = await this.slides.presentations.get({ presentationId: fileId });
-        let text = '';
-
-        for (const slide of presentation.data.slides) {
-            if (slide.pageElements) {
-                for (const element of slide.pageElements) {
-                    if (element.shape && element.shape.text) {
-                        text += this.extractTextFromDocContent(element.shape.text.textElements) + '\n\n';
-                    }
-                }
-            }
-        }
-
-        return text;
-    }
-
-    /**
-     * Extract text from Google Sheets
-     */
-    async extractGoogleSheets(fileId) {
-        const spreadsheet = await this.sheets.spreadsheets.get({ spreadsheetId: fileId });
-        let text = '';
-
-        for (const sheet of spreadsheet.data.sheets) {
-            const sheetName = sheet.properties.title;
-            text += `Sheet: ${sheetName}\n\n`;
-
-            const result = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: fileId,
-                range: sheetName
-            });
-
-            if (result.data.values) {
-                for (const row of result.data.values) {
-                    text += row.join(' | ') + '\n';
-                }
-            }
-
-            text += '\n\n';
-        }
-
-        return text;
-    }
-
-    /**
-     * Extract text from PDF
-     */
-    async extractPDF(fileId) {
-        const response = await this.drive.files.get(
-            { fileId, alt: 'media', supportsAllDrives: true },
-            { responseType: 'arraybuffer' }
-        );
-
-        const data = await pdfParse(Buffer.from(response.data));
-        return data.text;
-    }
-
-    /**
-     * Extract text from DOCX
-     */
-    async extractDocx(fileId) {
-        const response = await this.drive.files.get(
-            { fileId, alt: 'media', supportsAllDrives: true },
-            { responseType: 'arraybuffer' }
-        );
-
-        const result = await mammoth.extractRawText({ buffer: Buffer.from(response.data) });
-        return result.value;
-    }
-
-    /**
-     * Extract text from PPTX
-     */
-    async extractPptx(fileId) {
-        // For PPTX, export as plain text using Drive API
-        const response = await this.drive.files.export({
-            fileId,
-            mimeType: 'text/plain',
-            supportsAllDrives: true
-        });
-
-        return response.data;
-    }
-
-    /**
-     * Helper: Extract text from Google Docs/Slides content
-     */
-    extractTextFromDocContent(content) {
-        if (!content) return '';
-
-        let text = '';
-        for (const element of content) {
-            if (element.paragraph) {
-                for (const textElement of element.paragraph.elements || []) {
-                    if (textElement.textRun) {
-                        text += textElement.textRun.content;
-                    }
-                }
-            } else if (element.textRun) {
-                text += element.textRun.content;
-            }
-        }
-
-        return text;
-    }
-
-    /**
-     * Chunk text into smaller pieces
-     */
-    chunkText(text, chunkSize = 1000, overlap = 200) {
-        const chunks = [];
-        const lines = text.split('\n');
-        let currentChunk = '';
-        let currentLines = [];
-
-        for (const line of lines) {
-            const lineLength = line.length + 1; // +1 for newline
-
-            if (currentChunk.length + lineLength > chunkSize && currentChunk.length > 0) {
-                chunks.push({
-                    text: currentChunk.trim(),
-                    lineFrom: currentLines[0] || 1,
-                    lineTo: currentLines[currentLines.length - 1] || 1
-                });
-
-                // Keep overlap
-                const overlapLines = [];
-                let overlapText = '';
-                for (let i = currentLines.length - 1; i >= 0; i--) {
-                    const idx = lines.indexOf(lines[currentLines[i]]);
-                    if (idx >= 0 && overlapText.length + lines[idx].length < overlap) {
-                        overlapLines.unshift(currentLines[i]);
-                        overlapText = lines[idx] + '\n' + overlapText;
-                    } else {
-                        break;
-                    }
-                }
-
-                currentChunk = overlapText;
-                currentLines = overlapLines;
-            }
-
-            currentChunk += line + '\n';
-            currentLines.push(lines.indexOf(line) + 1);
-        }
-
-        if (currentChunk.trim()) {
-            chunks.push({
-                text: currentChunk.trim(),
-                lineFrom: currentLines[0] || 1,
-                lineTo: currentLines[currentLines.length - 1] || 1
-            });
-        }
-
-        return chunks;
-    }
-
-    /**
-     * Create vectors with embeddings
-     */
-    async createVectors(chunks, file, metadata) {
-        const vectors = [];
-
-        for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-
-            // Create embedding
-            const embeddingResponse = await this.openai.embeddings.create({
-                model: 'text-embedding-3-large',
-                input: chunk.text
-            });
-
-            const embedding = embeddingResponse.data[0].embedding;
-
-            // Create vector
-            vectors.push({
-                id: `${file.fileId}_chunk_${i}_${uuidv4()}`,
-                values: embedding,
-                metadata: {
-                    'File.name': metadata.name,
-                    'File.id': metadata.id,
-                    'File.webviewlink': metadata.webViewLink,
-                    'File.createdDate': metadata.createdTime?.split('T')[0] || '',
-                    'File.modifiedDate': metadata.modifiedTime?.split('T')[0] || '',
-                    text: chunk.text,
-                    blobType: metadata.mimeType,
-                    'loc.lines.from': chunk.lineFrom,
-                    'loc.lines.to': chunk.lineTo
-                }
-            });
-        }
-
-        return vectors;
-    }
-
-    /**
-     * Upload vectors to Pinecone
+     * Upload vectors to Pinecone (validated against the metadata schema first)
      */
     async uploadToPinecone(vectors) {
-        const batchSize = 200;
-
-        for (let i = 0; i < vectors.length; i += batchSize) {
-            const batch = vectors.slice(i, i + batchSize);
-            await this.index.upsert(batch);
-        }
+        await upsertVectors(this.index, vectors);
     }
 
     /**
@@ -379,6 +168,7 @@ class DriveIndexer {
         console.log(`✅ Success: ${this.stats.success}/${this.stats.total} files`);
         console.log(`❌ Failed: ${this.stats.failed}/${this.stats.total} files`);
         console.log(`📦 Total chunks created: ${this.stats.totalChunks}`);
+        this.embeddings.logUsage();
         console.log(`\n🎯 Next steps:`);
         console.log(`   1. Run: npm run build-enhanced-catalog`);
         console.log(`   2. Run: npm run export-catalog-csv`);
@@ -2,15 +2,14 @@
 
 import { google } from 'googleapis';
 import { Pinecone } from '@pinecone-database/pinecone';
-import OpenAI from 'openai';
-import pdfParse from 'pdf-parse';
-import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
-import { createWorker } from 'tesseract.js';
-import { pdfToPng } from 'pdf-to-png-converter';
-import fs from 'fs/promises';
-import path from 'path';
-import os from 'os';
+import { createExtractorRegistry } from '../indexer/extractors/index.js';
+import { DocumentChunker } from '../indexer/chunker.js';
+import { ChunkContextBuilder, contextHeadersEnabled, createChunkVectors } from '../indexer/chunk-context.js';
+import { EmbeddingService } from '../indexer/embedding-service.js';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
+import { upsertVectors } from '../indexer/vector-metadata.js';
+import { DRIVE_METADATA_FIELDS, driveLabelParams } from '../indexer/drive-metadata.js';
 
 dotenv.config();
 
@@ -36,12 +35,22 @@ class SingleFileIndexer {
         this.slides = google.slides({ version: 'v1', auth: this.auth });
         this.sheets = google.sheets({ version: 'v4', auth: this.auth });
 
+        // Text extraction (same extractors as the sync scripts)
+        this.extractors = createExtractorRegistry({
+            drive: this.drive,
+            docs: this.docs,
+            slides: this.slides,
+            sheets: this.sheets
+        });
+        this.chunker = new DocumentChunker({ extractors: this.extractors });
+        this.chunkContext = contextHeadersEnabled() ? new ChunkContextBuilder() : null;
+
         // Initialize Pinecone
         this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-        this.index = this.pinecone.index(process.env.PINECONE_INDEX_NAME);
+        this.namespaces = new IndexNamespaces(this.pinecone);
 
-        // Initialize OpenAI
-        this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        // Embeddings (batched, retrying)
+        this.embeddings = new EmbeddingService({ model: 'text-embedding-3-large' });
     }
 
     /**
@@ -58,10 +67,11 @@ class SingleFileIndexer {
         const scanFolder = async (parentId) => {
             const response = await this.drive.files.list({
                 q: `'${parentId}' in parents and trashed=false`,
-                fields: 'files(id, name, mimeType, modifiedTime, createdTime, webViewLink)',
+                fields: `files(${DRIVE_METADATA_FIELDS})`,
                 pageSize: 1000,
                 supportsAllDrives: true,
-                includeItemsFromAllDrives: true
+                includeItemsFromAllDrives: true,
+                ...driveLabelParams()
             });
 
             for (const file of response.data.files) {
@@ -131,256 +141,11 @@ class SingleFileIndexer {
     }
 
     /**
-     * Extract text from Google Doc
-     */
-    async extractGoogleDoc(fileId) {
-        const doc = await this.docs.documents.get({ documentId: fileId });
-        return this.extractTextFromDocContent(doc.data.body.content);
-    }
-
-    /**
-     * Extract text from Google Slides
-     */
-    async extractGoogleSlides(fileId) {
-        const presentation = await this.slides.presentations.get({ presentationId: fileId });
-        let text = '';
-
-        for (const slide of presentation.data.slides) {
-            if (slide.pageElements) {
-                for (const element of slide.pageElements) {
-                    if (element.shape && element.shape.text) {
-                        text += this.extractTextFromDocContent(element.shape.text.textElements) + '\n\n';
-                    }
-                }
-            }
-        }
-
-        return text;
-    }
-
-    /**
-     * Extract text from Google Sheets
-     */
-    async extractGoogleSheets(fileId) {
-        const spreadsheet = await this.sheets.spreadsheets.get({ spreadsheetId: fileId });
-        let text = '';
-
-        for (const sheet of spreadsheet.data.sheets) {
-            const sheetName = sheet.properties.title;
-            text += `Sheet: ${sheetName}\n\n`;
-
-            const result = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: fileId,
-                range: sheetName
-            });
-
-            if (result.data.values) {
-                for (const row of result.data.values) {
-                    text += row.join(' | ') + '\n';
-                }
-            }
-
-            text += '\n\n';
-        }
-
-        return text;
-    }
-
-    /**
-     * Extract text from PDF (with OCR fallback)
-     */
-    async extractPDF(fileId) {
-        // Download the PDF binary
-        const response = await this.drive.files.get(
-            {
-                fileId,
-                alt: 'media',
-                supportsAllDrives: true
-            },
-            { responseType: 'arraybuffer' }
-        );
-
-        console.log(`   PDF size: ${response.data.byteLength} bytes`);
-
-        // First try pdf-parse (fast path)
-        const buffer = Buffer.from(response.data);
-        const data = await pdfParse(buffer);
-
-        console.log(`   PDF metadata: ${data.numpages} pages, ${data.text.length} chars extracted`);
-
-        // Check if we got meaningful text (more than just whitespace)
-        const trimmedText = data.text.trim();
-        if (trimmedText.length > 50) {
-            console.log(`   ✓ Text extracted successfully with pdf-parse`);
-            return data.text;
-        }
-
-        // Fallback to OCR
-        console.log(`   ⚠️  pdf-parse extracted no text, using OCR...`);
-
-        // Save PDF to temp file
-        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-ocr-'));
-        const pdfPath = path.join(tempDir, 'document.pdf');
-        await fs.writeFile(pdfPath, buffer);
-
-        try {
-            // Convert PDF to images
-            console.log(`   📸 Converting PDF to images...`);
-            const pngPages = await pdfToPng(pdfPath, {
-                outputFolder: tempDir,
-                viewportScale: 2.0 // Higher resolution for better OCR
-            });
-
-            console.log(`   🔍 Running OCR on ${pngPages.length} page(s)...`);
-
-            // Initialize Tesseract worker
-            const worker = await createWorker('eng');
-
-            // OCR each page
-            let fullText = '';
-            for (let i = 0; i < pngPages.length; i++) {
-                console.log(`      Processing page ${i + 1}/${pngPages.length}...`);
-                const { data: { text } } = await worker.recognize(pngPages[i].content);
-                fullText += text + '\n\n';
-            }
-
-            await worker.terminate();
-
-            // Cleanup temp files
-            await fs.rm(tempDir, { recursive: true, force: true });
-
-            console.log(`   ✓ OCR completed: ${fullText.trim().length} chars extracted`);
-            return fullText;
-
-        } catch (error) {
-            // Cleanup on error
-            await fs.rm(tempDir, { recursive: true, force: true });
-            throw error;
-        }
-    }
-
-    /**
-     * Helper: Extract text from Google Docs/Slides content
-     */
-    extractTextFromDocContent(content) {
-        if (!content) return '';
-
-        let text = '';
-        for (const element of content) {
-            if (element.paragraph) {
-                for (const textElement of element.paragraph.elements || []) {
-                    if (textElement.textRun) {
-                        text += textElement.textRun.content;
-                    }
-                }
-            } else if (element.textRun) {
-                text += element.textRun.content;
-            }
-        }
-
-        return text;
-    }
-
-    /**
-     * Chunk text into smaller pieces
-     */
-    chunkText(text, chunkSize = 1000, overlap = 200) {
-        const chunks = [];
-        const lines = text.split('\n');
-        let currentChunk = '';
-        let currentLines = [];
-
-        for (const line of lines) {
-            const lineLength = line.length + 1;
-
-            if (currentChunk.length + lineLength > chunkSize && currentChunk.length > 0) {
-                chunks.push({
-                    text: currentChunk.trim(),
-                    lineFrom: currentLines[0] || 1,
-                    lineTo: currentLines[currentLines.length - 1] || 1
-                });
-
-                // Keep overlap
-                const overlapLines = [];
-                let overlapText = '';
-                for (let i = currentLines.length - 1; i >= 0; i--) {
-                    const idx = lines.indexOf(lines[currentLines[i]]);
-                    if (idx >= 0 && overlapText.length + lines[idx].length < overlap) {
-                        overlapLines.unshift(currentLines[i]);
-                        overlapText = lines[idx] + '\n' + overlapText;
-                    } else {
-                        break;
-                    }
-                }
-
-                currentChunk = overlapText;
-                currentLines = overlapLines;
-            }
-
-            currentChunk += line + '\n';
-            currentLines.push(lines.indexOf(line) + 1);
-        }
-
-        if (currentChunk.trim()) {
-            chunks.push({
-                text: currentChunk.trim(),
-                lineFrom: currentLines[0] || 1,
-                lineTo: currentLines[currentLines.length - 1] || 1
-            });
-        }
-
-        return chunks;
-    }
-
-    /**
-     * Create vectors with embeddings
-     */
-    async createVectors(file, chunks) {
-        const vectors = [];
-
-        for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-
-            // Create embedding
-            const embeddingResponse = await this.openai.embeddings.create({
-                model: 'text-embedding-3-large',
-                input: chunk.text
-            });
-
-            const embedding = embeddingResponse.data[0].embedding;
-
-            // Create vector
-            vectors.push({
-                id: `${file.id}_chunk_${i}_${uuidv4()}`,
-                values: embedding,
-                metadata: {
-                    'File.name': file.name,
-                    'File.id': file.id,
-                    'File.webviewlink': file.webViewLink || file.webviewLink,
-                    'File.createdDate': file.createdTime?.split('T')[0] || '',
-                    'File.modifiedDate': file.modifiedTime?.split('T')[0] || '',
-                    'text': chunk.text,
-                    'blobType': file.mimeType,
-                    'loc.lines.from': chunk.lineFrom,
-                    'loc.lines.to': chunk.lineTo
-                }
-            });
-        }
-
-        return vectors;
-    }
-
-    /**
-     * Upload vectors to Pinecone
+     * Upload vectors to Pinecone (validated against the metadata schema first)
      */
     async uploadToPinecone(vectors) {
-        const batchSize = 200;
-
-        for (let i = 0; i < vectors.length; i += batchSize) {
-            const batch = vectors.slice(i, i + batchSize);
-            await this.index.upsert(batch);
-            console.log(`   Uploaded batch ${Math.floor(i / batchSize) + 1} (${batch.length} vectors)`);
-        }
+        await upsertVectors(this.index, vectors);
+        console.log(`   Uploaded ${vectors.length} vectors`);
     }
 
     /**
@@ -392,6 +157,8 @@ class SingleFileIndexer {
         console.log('═══════════════════════════════════════════════════════════\n');
 
         try {
+            this.index = (await this.namespaces.openActive()).index;
+
             // Find file
             const file = await this.findFile(fileName);
 
@@ -404,21 +171,11 @@ class SingleFileIndexer {
 
             // Extract text
             console.log('📥 Extracting content...\n');
-            let text = '';
-
-            if (file.mimeType === 'application/vnd.google-apps.document') {
-                text = await this.extractGoogleDoc(file.id);
-            } else if (file.mimeType === 'application/vnd.google-apps.presentation') {
-                text = await this.extractGoogleSlides(file.id);
-            } else if (file.mimeType === 'application/vnd.google-apps.spreadsheet') {
-                text = await this.extractGoogleSheets(file.id);
-            } else if (file.mimeType === 'application/pdf') {
-                text = await this.extractPDF(file.id);
-            } else {
-                throw new Error(`Unsupported file type: ${file.mimeType}`);
-            }
+            const extraction = await this.extractors.extract(file);
+            const { text, sections, method } = extraction;
 
             console.log(`📊 Extraction result:`);
+            console.log(`   Method: ${method} (${sections.length} sections)`);
             console.log(`   Raw length: ${text.length} characters`);
             console.log(`   Trimmed length: ${text.trim().length} characters`);
             console.log(`   Raw text preview: "${text.substring(0, 200)}"`);
@@ -435,12 +192,12 @@ class SingleFileIndexer {
 
             // Chunk text
             console.log('✂️  Chunking text...\n');
-            const chunks = this.chunkText(text);
+            const chunks = this.chunker.chunk(extraction);
             console.log(`✓ Created ${chunks.length} chunks\n`);
 
             // Create vectors
             console.log('🧮 Creating embeddings...\n');
-            const vectors = await this.createVectors(file, chunks);
+            const vectors = await createChunkVectors(file, chunks, { embeddings: this.embeddings, chunkContext: this.chunkContext });
             console.log(`✓ Created ${vectors.length} embeddings\n`);
 
             // Upload to Pinecone
@@ -458,6 +215,7 @@ class SingleFileIndexer {
             console.log(`Text length: ${text.length} characters`);
             console.log(`Chunks: ${chunks.length}`);
             console.log(`Vectors: ${vectors.length}`);
+            this.embeddings.logUsage();
             console.log('═══════════════════════════════════════════════════════════\n');
 
         } catch (error) {
@@ -470,10 +228,10 @@ class SingleFileIndexer {
 
 // Main execution
 async function main() {
-    const fileName = process.argv[2];
+    const fileName = process.argv.slice(2).find(arg => !arg.startsWith('--'));
 
     if (!fileName) {
-        console.log('Usage: node scripts/index-single-file.js "File Name"');
+        console.log('Usage: node scripts/index-single-file.js "File Name" [--context-headers]');
         console.log('\nExample:');
         console.log('  node scripts/index-single-file.js "RMM Datasheet"');
         process.exit(1);
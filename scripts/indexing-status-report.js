@@ -64,8 +64,8 @@ async function generateStatusReport() {
     });
 
     if (shortcuts.length > 0) {
-        console.log(`🔗 SHORTCUTS WITH BAD FILE IDs (${shortcuts.length} files):`);
-        console.log('   Issue: These are shortcuts to other files, file IDs are incorrect/inaccessible\n');
+        console.log(`🔗 SHORTCUTS (${shortcuts.length} files):`);
+        console.log('   Issue: Shortcuts were skipped (now indexed as their targets - unreadable targets are listed by npm run sync)\n');
         shortcuts.forEach((f, i) => {
             console.log(`   ${i+1}. ${f.docName}`);
             console.log(`      Priority: ${f.priority}`);
@@ -89,7 +89,7 @@ async function generateStatusReport() {
 
     if (audio.length > 0) {
         console.log(`🎵 AUDIO FILES (${audio.length} files):`);
-        console.log('   Issue: Audio files (.wav) are not supported\n');
+        console.log('   Issue: Recordings are only indexed where a whisper.cpp model is installed (transcribed)\n');
         audio.forEach((f, i) => {
             console.log(`   ${i+1}. ${f.docName}`);
             console.log(`      Priority: ${f.priority}`);
@@ -100,7 +100,7 @@ async function generateStatusReport() {
 
     if (pptx.length > 0) {
         console.log(`📊 PPTX FILES (${pptx.length} files):`);
-        console.log('   Issue: PPTX export via Drive API failed\n');
+        console.log('   Issue: PPTX export via Drive API failed (now extracted directly - re-run index-missing-files)\n');
         pptx.forEach((f, i) => {
             console.log(`   ${i+1}. ${f.docName}`);
             console.log(`      Priority: ${f.priority}`);
@@ -128,10 +128,10 @@ async function generateStatusReport() {
     console.log('\n' + '='.repeat(80));
 
     console.log('\n💡 NEXT STEPS:\n');
-    console.log('   1. For shortcuts: Get the correct target file IDs from Google Drive');
+    console.log('   1. For shortcuts: Re-run the sync, and share the targets it reports as unreadable with the service account');
     console.log('   2. For PDFs: Check if they are image-based (may need OCR)');
-    console.log('   3. For audio: Audio indexing not currently supported');
-    console.log('   4. For PPTX: Try converting to Google Slides or PDF first\n');
+    console.log('   3. For audio: Install ffmpeg, whisper.cpp and a model (SYNC-GUIDE.md, Recordings), then re-index');
+    console.log('   4. For PPTX: Re-run npm run index-missing-files (PPTX extraction is now supported)\n');
 }
 
 generateStatusReport().catch(console.error);
@@ -1,8 +1,11 @@
+import { Pinecone } from '@pinecone-database/pinecone';
 import { GoogleDriveScanner } from '../indexer/google-drive.js';
 import { DocumentChunker } from '../indexer/chunker.js';
-import { PineconeClient } from '../query/pinecone-client.js';
+import { ChunkContextBuilder, contextHeadersEnabled, createChunkVectors } from '../indexer/chunk-context.js';
+import { EmbeddingService } from '../indexer/embedding-service.js';
+import { upsertVectors } from '../indexer/vector-metadata.js';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
 import dotenv from 'dotenv';
-import { v4 as uuidv4 } from 'uuid';
 
 dotenv.config();
 
@@ -23,16 +26,22 @@ async function initialIndex() {
         console.log('📡 Initializing Google Drive scanner...');
         const driveScanner = new GoogleDriveScanner(credentialsPath);
 
+        // Index into the namespace the query layer reads (see index-namespaces.js)
         console.log('🔧 Initializing Pinecone client...');
-        const pineconeClient = new PineconeClient();
+        const namespaces = new IndexNamespaces(new Pinecone({ apiKey: process.env.PINECONE_API_KEY }));
+        const { namespace, index } = await namespaces.openActive();
+        console.log(`🗂️  Pinecone namespace: ${label(namespace)}`);
+
+        const embeddingService = new EmbeddingService();
 
         console.log('📚 Initializing document chunker...');
-        const chunker = new DocumentChunker();
+        const chunker = new DocumentChunker({ extractors: driveScanner.extractors });
+        const chunkContext = contextHeadersEnabled() ? new ChunkContextBuilder() : null;
 
         // 2. Get current index stats
         console.log('\n📊 Current Pinecone index stats:');
-        const stats = await pineconeClient.getStats();
-        console.log(`   Total vectors: ${stats.totalRecordCount || 0}`);
+        const stats = await namespaces.listNamespaces();
+        console.log(`   Vectors in ${label(namespace)}: ${stats[namespace] || 0}`);
 
         // 3. Scan Google Drive
         console.log(`\n📂 Scanning Google Drive folder: ${folderId}`);
@@ -55,58 +64,35 @@ async function initialIndex() {
             console.log(`   Path: ${file.path}`);
 
             try {
-                // Download file content
-                const content = await driveScanner.downloadFile(file.id, file.mimeType);
+                if (!driveScanner.extractors.supports(file.mimeType)) {
+                    console.log(`   ⏭️  Skipping - unsupported file type`);
+                    skippedFiles++;
+                    continue;
+                }
 
-                if (!content || content.trim().length === 0) {
+                // Extract file content
+                const extraction = await driveScanner.extractFile(file);
+
+                if (!extraction.text || extraction.text.trim().length === 0) {
                     console.log(`   ⏭️  Skipping - no extractable text content`);
                     skippedFiles++;
                     continue;
                 }
 
                 // Chunk the document
-                const chunks = chunker.chunkText(content, {
-                    maxChunkSize: 1000,
-                    overlap: 200
-                });
+                const chunks = chunker.chunk(extraction);
 
                 console.log(`   ✂️  Created ${chunks.length} chunks`);
 
+                // The scanner's path includes the file name; the schema wants its folder
+                const driveFile = { ...file, webViewLink: file.webViewLink || file.url, path: file.path.split('/').slice(0, -1).join('/') };
+
                 // Create embeddings and prepare vectors
-                const vectors = [];
-
-                for (let i = 0; i < chunks.length; i++) {
-                    const chunk = chunks[i];
-
-                    // Show progress for large files
-                    if (chunks.length > 10 && (i + 1) % 10 === 0) {
-                        console.log(`   🔄 Processing chunk ${i + 1}/${chunks.length}...`);
-                    }
-
-                    // Create embedding
-                    const embedding = await pineconeClient.createEmbedding(chunk);
-
-                    // Prepare vector with metadata
-                    vectors.push({
-                        id: `${file.id}-chunk-${i}-${uuidv4()}`,
-                        values: embedding,
-                        metadata: {
-                            fileName: file.name,
-                            filePath: file.path,
-                            fileId: file.id,
-                            mimeType: file.mimeType,
-                            modifiedTime: file.modifiedTime,
-                            chunkIndex: i,
-                            totalChunks: chunks.length,
-                            text: chunk,
-                            indexedAt: new Date().toISOString()
-                        }
-                    });
-                }
+                const vectors = await createChunkVectors(driveFile, chunks, { embeddings: embeddingService, chunkContext });
 
-                // Upsert to Pinecone
+                // Upsert to Pinecone (validated against the metadata schema first)
                 console.log(`   ⬆️  Upserting ${vectors.length} vectors to Pinecone...`);
-                await pineconeClient.upsertVectors(vectors);
+                await upsertVectors(index, vectors);
 
                 totalChunks += vectors.length;
                 processedFiles++;
@@ -125,10 +111,11 @@ async function initialIndex() {
         console.log(`✅ Files processed: ${processedFiles}`);
         console.log(`⏭️  Files skipped: ${skippedFiles}`);
         console.log(`📦 Total chunks indexed: ${totalChunks}`);
+        embeddingService.logUsage();
 
         // Get final stats
-        const finalStats = await pineconeClient.getStats();
-        console.log(`🎯 Total vectors in index: ${finalStats.totalRecordCount || 0}`);
+        const finalStats = await namespaces.listNamespaces();
+        console.log(`🎯 Total vectors in ${label(namespace)}: ${finalStats[namespace] || 0}`);
         console.log('\n🎉 Sally is ready to answer questions!\n');
 
     } catch (error) {
@@ -6,6 +6,7 @@
 import { Pinecone } from '@pinecone-database/pinecone';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
 
 dotenv.config();
 
@@ -13,17 +14,14 @@ async function listIndexedFiles() {
     console.log('\n📁 Listing all indexed files in Pinecone\n');
 
     const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-    const index = pinecone.index(process.env.PINECONE_INDEX_NAME);
+    const { namespace, index } = await new IndexNamespaces(pinecone).openActive();
     const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
     // Get index stats first
     const stats = await index.describeIndexStats();
     console.log('Index: ' + process.env.PINECONE_INDEX_NAME);
-    console.log('Total vectors: ' + stats.totalRecordCount);
-    console.log('Namespaces:');
-    for (const [ns, data] of Object.entries(stats.namespaces || {})) {
-        console.log('  ' + (ns || '(default)') + ': ' + data.recordCount + ' vectors');
-    }
+    console.log('Namespace: ' + label(namespace));
+    console.log('Total vectors: ' + (stats.namespaces?.[namespace]?.recordCount || 0));
     console.log('');
 
     // Query with various terms to discover files
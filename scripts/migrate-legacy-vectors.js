@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import { SyncEngine } from '../indexer/sync-engine.js';
+import { SyncPolicy } from '../indexer/sync-policy.js';
+import { LEGACY_CHUNKER_VERSION } from '../indexer/chunker.js';
+import { label } from '../indexer/index-namespaces.js';
+import { upsertVectors, validateMetadata } from '../indexer/vector-metadata.js';
+import { planLegacyMigration, backfillMetadata, metadataDiff } from '../indexer/legacy-migration.js';
+
+dotenv.config();
+
+const AUDIT_LOG_PATH = './logs/legacy-migration.jsonl';
+const MODES = ['auto', 'backfill', 'reindex'];
+
+/**
+ * Migrate Legacy n8n Vectors
+ *
+ * Finds every vector without File.id in the active namespace, matches the
+ * groups (by File.name) to Drive files and migrates them (see
+ * indexer/legacy-migration.js): delete stale copies of indexed files,
+ * backfill their metadata (File.id, webViewLink, ... - rewritten onto the
+ * schema and validated like audit-metadata --fix), or re-index and delete.
+ *
+ * Usage:
+ *   npm run migrate-legacy -- --dry-run       # print the plan and metadata diff only
+ *   npm run migrate-legacy                    # migrate
+ *   --mode auto|backfill|reindex              # auto: backfill if current, else re-index
+ *   --delete-unmatched                        # also delete groups no Drive file matches
+ *
+ * Every legacy group is written to logs/legacy-migration.jsonl (dry runs too).
+ * Ambiguous matches are left alone and queued for npm run sync-matches.
+ */
+class LegacyMigrator {
+    constructor({ dryRun, mode, deleteUnmatched }) {
+        this.dryRun = dryRun;
+        this.mode = mode;
+        this.deleteUnmatched = deleteUnmatched;
+        this.engine = new SyncEngine({ dryRun });
+    }
+
+    async run() {
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log(`           MIGRATE LEGACY VECTORS${this.dryRun ? ' - DRY RUN' : ''}`);
+        console.log('═══════════════════════════════════════════════════════════\n');
+
+        const engine = this.engine;
+        await engine.connect();
+        engine.policy = await SyncPolicy.load();
+        this.manifest = engine.manifest;
+        console.log(`🗂️  Pinecone namespace: ${label(engine.namespace)}`);
+        await engine.loadManifest();
+
+        // The live index, not the seeded manifest, decides what is legacy
+        console.log('\n🗄️  Enumerating legacy vectors (no File.id)...');
+        const { legacyFiles } = await engine.inventory.buildManifest();
+        this.manifest.setLegacyFiles(legacyFiles);
+        const vectorCount = Array.from(legacyFiles.values()).reduce((sum, entry) => sum + entry.vectorIds.length, 0);
+        console.log(`   ✓ ${legacyFiles.size} legacy documents, ${vectorCount} vectors\n`);
+
+        if (legacyFiles.size === 0) {
+            console.log('✅ No legacy vectors - nothing to migrate\n');
+            return 0;
+        }
+
+        console.log('📂 Scanning Google Drive folder...');
+        // Files the sync would skip (or delete) aren't migration targets
+        const driveFiles = await engine.selectFiles(await engine.scanDrive(), { skipped: [], deleted: [] });
+
+        console.log('\n🔗 Matching legacy vectors to Drive files...');
+        const plan = await planLegacyMigration({
+            driveFiles,
+            manifest: this.manifest,
+            matcher: engine.legacyMatcher,
+            mode: this.mode,
+            deleteUnmatched: this.deleteUnmatched
+        });
+
+        for (const item of plan.filter(item => item.action === 'backfill')) {
+            const [sample] = await engine.inventory.fetchRecords(item.vectorIds.slice(0, 1));
+            const metadata = backfillMetadata(sample?.metadata, item.file);
+            item.changes = metadataDiff(sample?.metadata, metadata);
+            item.defects = validateMetadata(metadata);
+        }
+
+        this.printPlan(plan);
+
+        if (this.dryRun) {
+            await this.writeAudit(plan.map(item => ({ item, result: 'planned' })));
+            console.log(`📝 Audit log: ${AUDIT_LOG_PATH}`);
+            console.log('🔍 DRY RUN - No changes were made\n');
+            return 0;
+        }
+
+        const outcomes = [];
+        for (const item of plan) {
+            outcomes.push({ item, ...await this.apply(item) });
+        }
+        await this.manifest.save();
+        await this.writeAudit(outcomes);
+
+        const failed = outcomes.filter(outcome => outcome.result === 'failed');
+        console.log(`\n📝 Audit log: ${AUDIT_LOG_PATH}`);
+        console.log(`✅ Migrated ${outcomes.filter(outcome => outcome.result === 'done').length} legacy documents, ${failed.length} failed\n`);
+        return failed.length > 0 ? 1 : 0;
+    }
+
+    /**
+     * Carry out one planned action: { result, error? }
+     */
+    async apply(item) {
+        const { legacyName, action, file } = item;
+
+        if (action === 'unmatched') return { result: 'kept' };
+
+        if (action === 'review') {
+            item.reviews.forEach(review => this.manifest.queueMatchReview(review.file, review.candidates));
+            return { result: 'queued' };
+        }
+
+        console.log(`\n${ACTION_ICONS[action]} ${action}: "${legacyName}"${file ? ` → ${file.name}` : ''}`);
+
+        try {
+            if (action === 'backfill') {
+                const records = await this.engine.inventory.fetchRecords(item.vectorIds);
+                const vectors = records.map(record => ({
+                    id: record.id,
+                    values: record.values,
+                    metadata: backfillMetadata(record.metadata, file)
+                }));
+
+                // Validated batches, and a full upsert (not update) so renamed and dropped keys disappear
+                await upsertVectors(this.engine.index, vectors);
+
+                // The legacy vectors become the file's indexed chunks
+                this.manifest.recordIndexed(file, {
+                    chunkIds: vectors.map(vector => vector.id),
+                    embeddingModel: this.engine.embeddingModel,
+                    chunkerVersion: LEGACY_CHUNKER_VERSION
+                });
+                this.manifest.removeLegacyFile(legacyName);
+                await this.manifest.save();
+                console.log(`   ✅ Backfilled ${vectors.length} vectors`);
+                return { result: 'done' };
+            }
+
+            if (action === 'reindex') {
+                const indexed = await this.engine.indexFile(file);
+                if (!indexed.success) {
+                    return { result: 'failed', error: indexed.reason };
+                }
+            }
+
+            const count = await this.engine.generations.retireLegacy(legacyName);
+            console.log(`   🗑️  Removed ${count} legacy vectors`);
+            return { result: 'done' };
+        } catch (error) {
+            console.log(`   ❌ Error: ${error.message}`);
+            return { result: 'failed', error: error.message };
+        }
+    }
+
+    printPlan(plan) {
+        const byAction = action => plan.filter(item => item.action === action);
+
+        console.log('\n═══════════════════════════════════════════════════════════');
+        console.log('📊 Migration Plan:');
+        for (const action of ['delete', 'backfill', 'reindex', 'review', 'unmatched']) {
+            console.log(`   ${action.toUpperCase()}: ${byAction(action).length}`);
+        }
+        console.log('═══════════════════════════════════════════════════════════\n');
+
+        for (const action of ['delete', 'backfill', 'reindex']) {
+            const items = byAction(action);
+            if (items.length === 0) continue;
+
+            console.log(`${ACTION_ICONS[action]} ${action.toUpperCase()}:`);
+            for (const item of items) {
+                const match = item.file
+                    ? ` → ${item.file.name} (${item.file.id}, ${item.confirmed ? 'confirmed' : `confidence ${item.confidence.toFixed(2)}`})`
+                    : ' (no Drive file)';
+                console.log(`   - "${item.legacyName}" (${item.vectorIds.length} vectors)${match}`);
+                for (const { field, from, to } of item.changes || []) {
+                    console.log(`        ${field}: ${from === null ? '(none)' : JSON.stringify(from)} → ${to === null ? '(removed)' : JSON.stringify(to)}`);
+                }
+                if (item.defects?.length > 0) {
+                    console.log(`        ⚠️  Would fail validation (${item.defects.map(defect => defect.message).join('; ')}) - use --mode reindex`);
+                }
+            }
+            console.log();
+        }
+
+        const reviews = byAction('review');
+        if (reviews.length > 0) {
+            console.log('🔗 REVIEW (ambiguous - confirm with npm run sync-matches, then migrate again):');
+            for (const item of reviews) {
+                console.log(`   - "${item.legacyName}" ← ${item.reviews.map(review => review.file.name).join(', ')}`);
+            }
+            console.log();
+        }
+
+        const unmatched = byAction('unmatched');
+        if (unmatched.length > 0) {
+            console.log('❔ UNMATCHED (kept - --delete-unmatched removes them):');
+            unmatched.forEach(item => console.log(`   - "${item.legacyName}" (${item.vectorIds.length} vectors)`));
+            console.log();
+        }
+    }
+
+    /**
+     * Append one line per legacy document to the audit log
+     */
+    async writeAudit(outcomes) {
+        const timestamp = new Date().toISOString();
+        const lines = outcomes.map(({ item, result, error }) => JSON.stringify({
+            timestamp,
+            namespace: this.engine.namespace,
+            dryRun: this.dryRun,
+            legacyName: item.legacyName,
+            vectors: item.vectorIds.length,
+            legacyModifiedDate: item.legacyModifiedDate,
+            action: item.action,
+            fileId: item.file?.id || null,
+            fileName: item.file?.name || null,
+            confidence: item.confidence ?? null,
+            confirmed: item.confirmed ?? false,
+            changes: item.changes || [],
+            candidates: item.reviews?.map(review => review.file.name) || [],
+            result,
+            ...(error && { error })
+        }));
+
+        await fs.mkdir('./logs', { recursive: true });
+        await fs.appendFile(AUDIT_LOG_PATH, lines.join('\n') + '\n');
+    }
+}
+
+const ACTION_ICONS = { delete: '🗑️ ', backfill: '🏷️ ', reindex: '🔄' };
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const mode = args.includes('--mode') ? args[args.indexOf('--mode') + 1] : 'auto';
+
+    if (!MODES.includes(mode)) {
+        console.log(`\n❌ --mode must be one of ${MODES.join(', ')} (got "${mode}")\n`);
+        process.exit(1);
+    }
+
+    const migrator = new LegacyMigrator({
+        dryRun: args.includes('--dry-run'),
+        mode,
+        deleteUnmatched: args.includes('--delete-unmatched')
+    });
+
+    const exitCode = await migrator.run();
+    process.exit(exitCode);
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+});
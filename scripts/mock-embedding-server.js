@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { countTokens } from '../indexer/chunker.js';
+
+dotenv.config();
+
+const DIMENSIONS = {
+    'text-embedding-3-large': 3072,
+    'text-embedding-3-small': 1536,
+    'text-embedding-ada-002': 1536
+};
+
+/**
+ * Mock Embedding Server
+ *
+ * OpenAI-compatible POST /v1/embeddings for running the indexers offline:
+ *   npm run mock-embeddings
+ *   EMBEDDING_BASE_URL=http://localhost:8089/v1 npm run index-single "File Name"
+ *
+ * Embeddings are deterministic unit vectors derived from a hash of the input,
+ * so the same text always gets the same vector (no semantic meaning).
+ *
+ * Options (env):
+ * - MOCK_EMBEDDING_PORT           Port (default 8089)
+ * - MOCK_EMBEDDING_FAILURE_RATE   Fraction of requests answered with 429 (default 0)
+ * - MOCK_EMBEDDING_LATENCY_MS     Delay before each response (default 0)
+ */
+class MockEmbeddingServer {
+    constructor(options = {}) {
+        this.port = options.port || 8089;
+        this.failureRate = options.failureRate || 0;
+        this.latencyMs = options.latencyMs || 0;
+        this.stats = { requests: 0, inputs: 0, rateLimited: 0 };
+    }
+
+    start() {
+        const server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.send(res, 500, { error: { message: error.message, type: 'server_error' } });
+            });
+        });
+
+        server.listen(this.port, () => {
+            console.log(`🧪 Mock embedding server on http://localhost:${this.port}/v1`);
+            console.log(`   Failure rate: ${this.failureRate * 100}%, latency: ${this.latencyMs}ms\n`);
+        });
+
+        return server;
+    }
+
+    async handle(req, res) {
+        if (req.method !== 'POST' || !req.url.endsWith('/embeddings')) {
+            return this.send(res, 404, { error: { message: `Not found: ${req.method} ${req.url}` } });
+        }
+
+        const body = JSON.parse(await this.readBody(req));
+        const inputs = Array.isArray(body.input) ? body.input : [body.input];
+        const dimensions = body.dimensions || DIMENSIONS[body.model] || 1536;
+
+        if (this.latencyMs) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+
+        this.stats.requests++;
+
+        if (Math.random() < this.failureRate) {
+            this.stats.rateLimited++;
+            console.log(`⚠️  #${this.stats.requests}: 429 (${inputs.length} inputs)`);
+            return this.send(res, 429, { error: { message: 'Rate limit reached (mock)', type: 'rate_limit_exceeded' } }, { 'retry-after': '1' });
+        }
+
+        this.stats.inputs += inputs.length;
+        const tokens = inputs.reduce((sum, input) => sum + countTokens(String(input)), 0);
+        console.log(`✅ #${this.stats.requests}: ${inputs.length} inputs, ${tokens} tokens`);
+
+        this.send(res, 200, {
+            object: 'list',
+            model: body.model,
+            data: inputs.map((input, index) => ({
+                object: 'embedding',
+                index,
+                embedding: this.encode(this.embed(String(input), dimensions), body.encoding_format)
+            })),
+            usage: { prompt_tokens: tokens, total_tokens: tokens }
+        });
+    }
+
+    /**
+     * Helper: Deterministic unit vector seeded from the text hash
+     */
+    embed(text, dimensions) {
+        const seed = crypto.createHash('sha256').update(text).digest();
+        const values = [];
+
+        for (let i = 0; values.length < dimensions; i++) {
+            const block = crypto.createHash('sha256').update(seed).update(String(i)).digest();
+            for (let j = 0; j < block.length && values.length < dimensions; j += 2) {
+                values.push(block.readUInt16BE(j) / 32767.5 - 1);
+            }
+        }
+
+        const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+        return values.map(v => v / norm);
+    }
+
+    /**
+     * Helper: Float array, or base64 little-endian float32 (the SDK's default format)
+     */
+    encode(values, encodingFormat) {
+        if (encodingFormat !== 'base64') return values;
+        return Buffer.from(new Float32Array(values).buffer).toString('base64');
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => resolve(data));
+            req.on('error', reject);
+        });
+    }
+
+    send(res, status, body, headers = {}) {
+        res.writeHead(status, { 'content-type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    }
+}
+
+async function main() {
+    const server = new MockEmbeddingServer({
+        port: Number(process.env.MOCK_EMBEDDING_PORT) || 8089,
+        failureRate: Number(process.env.MOCK_EMBEDDING_FAILURE_RATE) || 0,
+        latencyMs: Number(process.env.MOCK_EMBEDDING_LATENCY_MS) || 0
+    });
+    server.start();
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+});
@@ -1,5 +1,6 @@
 /**
- * Move a file from default namespace to archive namespace
+ * Move a file from the active namespace (see index-namespaces.js) to the
+ * archive namespace
  * Usage: npm run move-to-archive "File Name Here"
  */
 
@@ -7,6 +8,7 @@ import { Pinecone } from '@pinecone-database/pinecone';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
 
 dotenv.config();
 
@@ -32,7 +34,9 @@ async function moveToArchive() {
     console.log('File to archive: ' + fileName);
 
     const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-    const index = pinecone.index(process.env.PINECONE_INDEX_NAME);
+    const namespaces = new IndexNamespaces(pinecone);
+    const { namespace, index } = await namespaces.openActive();
+    console.log('Namespace: ' + label(namespace));
     const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
     // Find vectors for this file (with values for transfer)
@@ -79,20 +83,20 @@ async function moveToArchive() {
         metadata: v.metadata
     }));
 
-    const archiveNs = index.namespace('archive');
+    const archiveNs = namespaces.index('archive');
     await archiveNs.upsert(vectorsToUpsert);
     console.log('   Copied ' + vectorsToUpsert.length + ' vectors to archive');
 
-    // Step 2: Delete from default namespace
-    console.log('\n2. Deleting from default namespace...');
+    // Step 2: Delete from the active namespace
+    console.log('\n2. Deleting from ' + label(namespace) + '...');
     const ids = vectors.map(v => v.id);
     await index.deleteMany(ids);
-    console.log('   Deleted ' + ids.length + ' vectors from default');
+    console.log('   Deleted ' + ids.length + ' vectors from ' + label(namespace));
 
     // Verify
     console.log('\n3. Verifying...');
     const stats = await index.describeIndexStats();
-    console.log('   Default namespace: ' + (stats.namespaces?.['']?.recordCount || 0) + ' vectors');
+    console.log('   ' + label(namespace) + ': ' + (stats.namespaces?.[namespace]?.recordCount || 0) + ' vectors');
     console.log('   Archive namespace: ' + (stats.namespaces?.['archive']?.recordCount || 0) + ' vectors');
 
     console.log('\n✅ Successfully moved "' + fileName + '" to archive\n');
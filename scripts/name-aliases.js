@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+import { Pinecone } from '@pinecone-database/pinecone';
+import dotenv from 'dotenv';
+import { GoogleDriveScanner } from '../indexer/google-drive.js';
+import { SyncManifest } from '../indexer/sync-manifest.js';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
+import { getAliasDictionary } from '../indexer/name-aliases.js';
+import { isSimilarName, normalizeName, suggestAliases } from '../indexer/name-matching.js';
+
+dotenv.config();
+
+/**
+ * Alias Dictionary Tool
+ *
+ * Lists the document name aliases (config/name-aliases.json) and proposes
+ * new ones from Drive names that match nothing in the index.
+ *
+ * Usage:
+ *   npm run aliases -- list                       # aliases and what they rewrite
+ *   npm run aliases -- test "File Name"           # normalized form of a name
+ *   npm run aliases -- suggest                    # propose aliases
+ *   --min-score 0.5                               # similarity threshold (0-1)
+ *   --limit 25                                    # suggestions shown
+ *
+ * Suggestions compare Drive files that are neither indexed by id nor match an
+ * indexed name with indexed names that match no Drive file (the sync
+ * manifest of the active namespace, including legacy n8n names).
+ * Review them and add the good ones to config/name-aliases.json.
+ */
+class AliasTool {
+    constructor() {
+        this.dictionary = getAliasDictionary();
+    }
+
+    list() {
+        console.log(`📖 ${this.dictionary.source} (${this.dictionary.aliases.length} aliases)\n`);
+
+        for (const alias of this.dictionary.aliases) {
+            console.log(`   ${alias.canonical}`);
+            alias.variants.forEach(variant => console.log(`      ← ${variant}`));
+        }
+        console.log();
+    }
+
+    test(name) {
+        console.log(`   Original:   ${name}`);
+        console.log(`   Normalized: ${normalizeName(name)}\n`);
+    }
+
+    /**
+     * Compare unmatched Drive and index names and print proposed aliases
+     */
+    async suggest({ minScore, limit }) {
+        console.log('📂 Scanning Google Drive folder...');
+        const scanner = new GoogleDriveScanner(process.env.GOOGLE_CREDENTIALS_PATH || './google-credentials.json');
+        const driveFiles = await scanner.listFiles(process.env.GOOGLE_DRIVE_FOLDER_ID);
+        console.log(`   ✓ ${driveFiles.length} files\n`);
+
+        console.log('📒 Loading sync manifest...');
+        const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+        const namespace = await new IndexNamespaces(pinecone).getActive();
+        const manifest = await new SyncManifest({ namespace }).load();
+
+        const driveIds = new Set(driveFiles.map(file => file.id));
+        const indexed = [
+            ...Array.from(manifest.values()).map(entry => ({ name: entry.name, inDrive: driveIds.has(entry.fileId) })),
+            ...Object.keys(manifest.state.legacyFiles || {}).map(name => ({ name, inDrive: false }))
+        ];
+        console.log(`   ✓ ${indexed.length} indexed files\n`);
+
+        const indexNames = indexed.map(file => file.name);
+        const unmatchedDrive = driveFiles
+            .filter(file => !manifest.has(file.id) && !indexNames.some(name => isSimilarName(file.name, name)))
+            .map(file => file.name);
+        const unmatchedIndex = indexed
+            .filter(file => !file.inDrive && !driveFiles.some(driveFile => isSimilarName(driveFile.name, file.name)))
+            .map(file => file.name);
+
+        console.log(`🔍 Unmatched: ${unmatchedDrive.length} Drive names, ${unmatchedIndex.length} index names\n`);
+
+        const suggestions = suggestAliases(unmatchedDrive, unmatchedIndex, { minScore, dictionary: this.dictionary });
+
+        if (suggestions.length === 0) {
+            console.log(`✅ No similar pairs above ${minScore} - nothing to suggest\n`);
+            return;
+        }
+
+        console.log(`💡 Similar names (score ≥ ${minScore}):\n`);
+        for (const suggestion of suggestions.slice(0, limit)) {
+            console.log(`   ${suggestion.score.toFixed(2)}  Drive: ${suggestion.driveName}`);
+            console.log(`         Index: ${suggestion.indexName}`);
+            if (suggestion.alias) {
+                console.log(`         Alias: "${suggestion.alias.variant}" → "${suggestion.alias.canonical}"`);
+            }
+            console.log();
+        }
+
+        // Group proposed variants by canonical phrase, ready to paste
+        const proposed = new Map();
+        for (const { alias } of suggestions.slice(0, limit)) {
+            if (!alias) continue;
+            if (!proposed.has(alias.canonical)) proposed.set(alias.canonical, new Set());
+            proposed.get(alias.canonical).add(alias.variant);
+        }
+
+        if (proposed.size > 0) {
+            const entries = Array.from(proposed, ([canonical, variants]) => ({ canonical, variants: [...variants] }));
+            console.log(`📝 Proposed entries for ${this.dictionary.source} ("aliases" list):\n`);
+            console.log(JSON.stringify(entries, null, 4));
+            console.log();
+        }
+    }
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const valueOf = (flag, fallback) => args.includes(flag) ? Number(args[args.indexOf(flag) + 1]) : fallback;
+    const [command, name] = args.filter((arg, i) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--'));
+
+    const tool = new AliasTool();
+
+    if (command === 'list') {
+        tool.list();
+    } else if (command === 'test' && name) {
+        tool.test(name);
+    } else if (command === 'suggest') {
+        await tool.suggest({ minScore: valueOf('--min-score', 0.5), limit: valueOf('--limit', 25) });
+    } else {
+        console.log('\n❌ Usage: npm run aliases -- list | test "File Name" | suggest [--min-score 0.5] [--limit 25]\n');
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+});
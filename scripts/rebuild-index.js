@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+
+import { Pinecone } from '@pinecone-database/pinecone';
+import { execSync } from 'child_process';
+import dotenv from 'dotenv';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
+import { NamespaceValidator } from '../indexer/namespace-validator.js';
+import { FILES_FAILED_EXIT_CODE } from '../indexer/sync-engine.js';
+
+dotenv.config();
+
+/**
+ * Whole-Index Rebuild with Cutover
+ *
+ * Re-indexes the whole Drive folder into a shadow Pinecone namespace while
+ * Sally keeps answering from the active one, e.g. after a chunker, embedding
+ * model or metadata change:
+ *
+ * 1. build     run the full sync (npm run sync-full) against the empty shadow
+ *              namespace - every indexable file is new there
+ * 2. validate  run the validation suite (indexer/namespace-validator.js)
+ *              against the shadow, compared to the active namespace
+ * 3. cutover   point the active namespace at the shadow; the old namespace
+ *              is kept as the rollback target
+ * 4. catalog   rebuild the document catalog and CSV from the new namespace
+ *
+ * Files the build can't index (e.g. too little text) don't stop it - the
+ * coverage check in validation decides whether the shadow is complete
+ * enough. A failed build or validation leaves the active namespace
+ * untouched. Run again with the same --namespace to resume a build (files
+ * already indexed there are skipped).
+ *
+ * Usage:
+ *   npm run rebuild-index                          # build, validate, cut over
+ *   npm run rebuild-index -- --namespace <name>    # shadow name (default rebuild-YYYYMMDD-HHMM)
+ *   npm run rebuild-index -- --no-cutover          # build and validate only
+ *   npm run rebuild-index -- --validate <name>     # validate an existing namespace
+ *   npm run rebuild-index -- --cutover <name>      # validate an existing namespace, then cut over
+ *   npm run rebuild-index -- --rollback            # switch back to the previous namespace
+ *   npm run rebuild-index -- --status              # active namespace and vector counts
+ *   npm run rebuild-index -- --drop <name>         # delete an old namespace
+ *   --min-coverage 0.95                            # validation threshold (default 0.98)
+ *   --context-headers                              # passed through to the sync
+ */
+class IndexRebuilder {
+    constructor(options = {}) {
+        this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+        this.namespaces = new IndexNamespaces(this.pinecone);
+        this.validator = new NamespaceValidator({
+            namespaces: this.namespaces,
+            ...(options.minCoverage ? { minCoverage: options.minCoverage } : {})
+        });
+        this.syncArgs = options.contextHeaders ? ' --context-headers' : '';
+    }
+
+    /**
+     * Build a shadow namespace, validate it and (optionally) cut over
+     */
+    async rebuild({ namespace, cutover = true }) {
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log('           REBUILD INDEX');
+        console.log('═══════════════════════════════════════════════════════════\n');
+
+        const active = await this.getActive();
+        const shadow = namespace || defaultShadowName();
+
+        if (shadow === active) {
+            throw new Error(`${label(shadow)} is the active namespace - choose another --namespace`);
+        }
+
+        const existing = await this.namespaces.listNamespaces();
+        console.log(`🗂️  Active namespace: ${label(active)} (${existing[active] || 0} vectors)`);
+        console.log(`🌑 Shadow namespace: ${shadow}${existing[shadow] ? ` (resuming, ${existing[shadow]} vectors)` : ''}\n`);
+
+        // Step 1: Build
+        console.log('🏗️  Step 1: Indexing the whole Drive folder into the shadow namespace...\n');
+        try {
+            execSync(`node scripts/sync.js${this.syncArgs}`, {
+                stdio: 'inherit',
+                cwd: process.cwd(),
+                env: { ...process.env, PINECONE_NAMESPACE: shadow }
+            });
+        } catch (error) {
+            if (error.status === FILES_FAILED_EXIT_CODE) {
+                console.log('\n⚠️  Some files could not be indexed (see above) - validation decides whether the shadow is complete enough');
+            } else {
+                console.log(`\n❌ Build failed (${error.message.split('\n')[0]})`);
+                console.log(`   ${label(active)} is still active. Resume with: npm run rebuild-index -- --namespace ${shadow}\n`);
+                return false;
+            }
+        }
+
+        // Step 2: Validate
+        console.log('\n🧪 Step 2: Validating the shadow namespace...\n');
+        const passed = await this.validate(shadow, active);
+
+        if (!passed) {
+            console.log(`❌ Validation failed - ${label(active)} is still active`);
+            console.log(`   Fix the issues and run: npm run rebuild-index -- --cutover ${shadow}`);
+            console.log(`   or discard the shadow:  npm run rebuild-index -- --drop ${shadow}\n`);
+            return false;
+        }
+
+        if (!cutover) {
+            console.log(`✅ ${shadow} is ready. Cut over with: npm run rebuild-index -- --cutover ${shadow}\n`);
+            return true;
+        }
+
+        // Steps 3-4: Cutover and catalog
+        await this.switchTo(shadow);
+        return true;
+    }
+
+    /**
+     * Validate an existing namespace, then switch to it
+     */
+    async cutover(namespace) {
+        const active = await this.getActive();
+
+        if (namespace === active) {
+            console.log(`✅ ${label(namespace)} is already active\n`);
+            return true;
+        }
+
+        console.log(`🧪 Validating ${label(namespace)} against ${label(active)}...\n`);
+        if (!await this.validate(namespace, active)) {
+            console.log(`❌ Validation failed - ${label(active)} is still active\n`);
+            return false;
+        }
+
+        await this.switchTo(namespace);
+        return true;
+    }
+
+    /**
+     * Run the validation suite and print the report
+     */
+    async validate(namespace, baseline = null) {
+        const { passed, checks } = await this.validator.validate(namespace, baseline ?? await this.getActive());
+
+        for (const check of checks) {
+            console.log(`   ${check.passed ? '✅' : '❌'} ${check.name.padEnd(10)} ${check.detail}`);
+        }
+        console.log();
+
+        return passed;
+    }
+
+    /**
+     * Switch back to the namespace that was active before the last cutover
+     */
+    async rollback() {
+        const { active, previous } = await this.namespaces.rollback();
+        console.log(`↩️  Rolled back: ${label(previous)} → ${label(active)}\n`);
+        await this.rebuildCatalog();
+    }
+
+    /**
+     * Show the active namespace, rollback target and vector counts
+     */
+    async status() {
+        const pointer = await this.namespaces.getPointer();
+        const namespaces = await this.namespaces.listNamespaces();
+        const active = pointer ? pointer.active : '';
+
+        console.log(`🗂️  Active namespace: ${label(active)}${pointer ? ` (since ${pointer.switchedAt})` : ' (never switched)'}`);
+        if (pointer?.previous !== null && pointer?.previous !== undefined) {
+            console.log(`↩️  Rollback target:  ${label(pointer.previous)}`);
+        }
+        if (process.env.PINECONE_NAMESPACE !== undefined) {
+            console.log(`⚠️  PINECONE_NAMESPACE=${process.env.PINECONE_NAMESPACE} overrides the active namespace in this environment`);
+        }
+
+        console.log('\n📊 Namespaces:');
+        for (const [namespace, count] of Object.entries(namespaces).sort()) {
+            const marker = namespace === active ? ' ← active' : namespace === pointer?.previous ? ' ← rollback target' : '';
+            console.log(`   ${label(namespace).padEnd(28)} ${String(count).padStart(8)} vectors${marker}`);
+        }
+        console.log();
+    }
+
+    /**
+     * Delete an old namespace (never the active one or the rollback target)
+     */
+    async drop(namespace) {
+        await this.namespaces.dropNamespace(namespace);
+        console.log(`🗑️  Deleted all vectors in namespace ${label(namespace)}`);
+        console.log(`   Local sync state (state/namespaces/${namespace}/) can be removed by hand\n`);
+    }
+
+    /**
+     * Helper: Active namespace from the pointer (PINECONE_NAMESPACE is only for the child sync)
+     */
+    async getActive() {
+        const pointer = await this.namespaces.getPointer();
+        return pointer ? pointer.active : '';
+    }
+
+    /**
+     * Helper: Cut over and rebuild the catalog from the new namespace
+     */
+    async switchTo(namespace) {
+        const { active, previous } = await this.namespaces.switchTo(namespace);
+        console.log(`🔀 Step 3: Cut over ${label(previous)} → ${label(active)}`);
+        console.log(`   ${label(previous)} is kept for rollback (npm run rebuild-index -- --rollback)\n`);
+
+        await this.rebuildCatalog();
+    }
+
+    /**
+     * Helper: Catalog and CSV follow the active namespace
+     */
+    async rebuildCatalog() {
+        console.log('📚 Step 4: Rebuilding document catalog...\n');
+
+        try {
+            const env = { ...process.env };
+            delete env.PINECONE_NAMESPACE;
+
+            execSync('node scripts/build-identity-focused-catalog.js', { stdio: 'inherit', cwd: process.cwd(), env });
+            execSync('node scripts/export-catalog-csv.js', { stdio: 'inherit', cwd: process.cwd(), env });
+            console.log('\n   ✅ Catalog rebuilt\n');
+        } catch (error) {
+            console.log(`   ❌ Catalog rebuild failed: ${error.message} - run npm run build-identity-catalog\n`);
+        }
+    }
+}
+
+/**
+ * Helper: rebuild-YYYYMMDD-HHMM (UTC)
+ */
+function defaultShadowName() {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    return `rebuild-${stamp}`;
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const valueOf = flag => args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined;
+    const namespaceOf = flag => {
+        const namespace = valueOf(flag);
+        if (!namespace || namespace.startsWith('--')) {
+            throw new Error(`${flag} needs a namespace name`);
+        }
+        return namespace;
+    };
+
+    const rebuilder = new IndexRebuilder({
+        minCoverage: valueOf('--min-coverage') ? Number(valueOf('--min-coverage')) : null,
+        contextHeaders: args.includes('--context-headers')
+    });
+
+    let ok = true;
+
+    if (args.includes('--status')) {
+        await rebuilder.status();
+    } else if (args.includes('--rollback')) {
+        await rebuilder.rollback();
+    } else if (args.includes('--drop')) {
+        await rebuilder.drop(namespaceOf('--drop'));
+    } else if (args.includes('--validate')) {
+        ok = await rebuilder.validate(namespaceOf('--validate'));
+    } else if (args.includes('--cutover')) {
+        ok = await rebuilder.cutover(namespaceOf('--cutover'));
+    } else {
+        ok = await rebuilder.rebuild({
+            namespace: valueOf('--namespace'),
+            cutover: !args.includes('--no-cutover')
+        });
+    }
+
+    process.exit(ok ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+});
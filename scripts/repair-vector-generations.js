@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+import { Pinecone } from '@pinecone-database/pinecone';
+import dotenv from 'dotenv';
+import { PineconeInventory } from '../indexer/pinecone-inventory.js';
+import { SyncManifest } from '../indexer/sync-manifest.js';
+import { VectorGenerations } from '../indexer/vector-generations.js';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
+
+dotenv.config();
+
+/**
+ * Repair Vector Generations
+ *
+ * Cleans up after sync runs that crashed mid-way through re-indexing a file
+ * in the active Pinecone namespace (see indexer/vector-generations.js):
+ * - Pending generations that were fully uploaded are committed
+ * - Partially uploaded generations are deleted (the previous one stays active)
+ * - Vectors of tracked files outside their active generation are deleted
+ *
+ * Usage:
+ *   npm run sync-repair              # repair
+ *   npm run sync-repair -- --dry-run # report only
+ */
+class GenerationRepairer {
+    constructor(options = {}) {
+        this.dryRun = options.dryRun || false;
+        this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+        this.namespaces = new IndexNamespaces(this.pinecone);
+    }
+
+    /**
+     * Open the active Pinecone namespace and its sync manifest
+     */
+    async connect() {
+        const { namespace, index } = await this.namespaces.openActive();
+        this.namespace = namespace;
+        this.manifest = new SyncManifest({ namespace });
+        this.generations = new VectorGenerations({
+            index,
+            manifest: this.manifest,
+            inventory: new PineconeInventory(index)
+        });
+    }
+
+    async repair() {
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log(`           REPAIR VECTOR GENERATIONS${this.dryRun ? ' (DRY RUN)' : ''}`);
+        console.log('═══════════════════════════════════════════════════════════\n');
+
+        await this.connect();
+        await this.manifest.load();
+        console.log(`🗂️  Namespace: ${label(this.namespace)}`);
+        console.log(`📒 Manifest: ${this.manifest.manifestPath}`);
+        console.log(`   Files tracked: ${this.manifest.size}`);
+        console.log(`   Pending generations: ${this.manifest.pendingGenerations().length}\n`);
+
+        const { committed, rolledBack, stale } = await this.generations.repair({ dryRun: this.dryRun });
+
+        if (committed.length > 0) {
+            console.log(`✅ ${this.action('Committed', 'Would commit')} complete generations (${committed.length}):`);
+            for (const g of committed) {
+                console.log(`   - ${g.name} (${g.fileId}) - generation ${g.generation}`);
+            }
+            console.log();
+        }
+
+        if (rolledBack.length > 0) {
+            console.log(`↩️  ${this.action('Rolled back', 'Would roll back')} partial generations (${rolledBack.length}):`);
+            for (const g of rolledBack) {
+                console.log(`   - ${g.name} (${g.fileId}) - generation ${g.generation}: ${g.uploaded}/${g.expected} vectors uploaded`);
+            }
+            console.log();
+        }
+
+        if (stale.length > 0) {
+            const total = stale.reduce((sum, f) => sum + f.vectorIds.length, 0);
+            console.log(`🗑️  ${this.action('Deleted', 'Would delete')} ${total} stale vectors from ${stale.length} file(s):`);
+            for (const f of stale) {
+                console.log(`   - ${f.name} (${f.fileId}) - ${f.vectorIds.length} vectors`);
+            }
+            console.log();
+        }
+
+        if (committed.length + rolledBack.length + stale.length === 0) {
+            console.log('✅ Nothing to repair - every file has exactly one active generation\n');
+        }
+    }
+
+    /**
+     * Helper: Past tense, or what a dry run would have done
+     */
+    action(done, wouldDo) {
+        return this.dryRun ? wouldDo : done;
+    }
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const repairer = new GenerationRepairer({ dryRun: args.includes('--dry-run') });
+    await repairer.repair();
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+});
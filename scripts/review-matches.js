@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+import { Pinecone } from '@pinecone-database/pinecone';
+import dotenv from 'dotenv';
+import { PineconeInventory } from '../indexer/pinecone-inventory.js';
+import { SyncManifest } from '../indexer/sync-manifest.js';
+import { VectorGenerations } from '../indexer/vector-generations.js';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
+
+dotenv.config();
+
+/**
+ * Review Legacy Matches
+ *
+ * Sync runs don't guess when a Drive file could be one of several legacy n8n
+ * documents (see indexer/legacy-matcher.js): the file is indexed as new and
+ * the candidates are queued in the sync manifest. Confirm or reject them here.
+ *
+ * Usage:
+ *   npm run sync-matches                        # list queued reviews
+ *   npm run sync-matches -- confirm <fileId> [n] # candidate n (default 1) is this file
+ *   npm run sync-matches -- reject <fileId>     # none of the candidates is this file
+ *
+ * Confirming a file that is already indexed deletes the legacy vectors right
+ * away; otherwise the next sync re-indexes it and deletes them then.
+ */
+class MatchReviewer {
+    constructor() {
+        this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+        this.namespaces = new IndexNamespaces(this.pinecone);
+    }
+
+    /**
+     * Open the active Pinecone namespace and load its sync manifest
+     */
+    async connect() {
+        const { namespace, index } = await this.namespaces.openActive();
+        this.namespace = namespace;
+        this.manifest = await new SyncManifest({ namespace }).load();
+        this.generations = new VectorGenerations({
+            index,
+            manifest: this.manifest,
+            inventory: new PineconeInventory(index)
+        });
+    }
+
+    list() {
+        const reviews = this.manifest.matchReviews();
+        console.log(`🗂️  Namespace: ${label(this.namespace)}\n`);
+
+        if (reviews.length === 0) {
+            console.log('✅ No legacy matches waiting for review\n');
+            return;
+        }
+
+        console.log(`🔗 ${reviews.length} legacy match(es) to review:\n`);
+        for (const review of reviews) {
+            console.log(`   ${review.name} (${review.fileId})`);
+            review.candidates.forEach((candidate, i) =>
+                console.log(`      ${i + 1}. ${candidate.confidence.toFixed(2)}  ${candidate.name}`));
+            console.log();
+        }
+        console.log('   Confirm with: npm run sync-matches -- confirm <fileId> [n]');
+        console.log('   Reject with:  npm run sync-matches -- reject <fileId>\n');
+    }
+
+    async confirm(fileId, rank) {
+        const review = this.getReview(fileId);
+        const candidate = review.candidates[rank - 1];
+
+        if (!candidate) {
+            throw new Error(`No candidate ${rank} for ${review.name} (1-${review.candidates.length})`);
+        }
+
+        this.manifest.confirmMatch(fileId, candidate.name);
+        await this.manifest.save();
+        console.log(`✅ Linked ${review.name} to legacy "${candidate.name}"`);
+
+        if (!this.manifest.has(fileId)) {
+            console.log('   Legacy vectors will be replaced when the next sync indexes the file\n');
+            return;
+        }
+
+        const count = await this.generations.retireLegacy(candidate.name);
+        if (count === null) {
+            console.log('   ⚠️  Legacy vector ids unknown - re-seed the manifest (npm run sync-verify -- --rebuild) to remove them\n');
+        } else {
+            console.log(`   🗑️  Removed ${count} legacy vectors (the file is already indexed)\n`);
+        }
+    }
+
+    async reject(fileId) {
+        const review = this.getReview(fileId);
+
+        this.manifest.rejectMatch(fileId, review.candidates.map(c => c.name));
+        await this.manifest.save();
+        console.log(`✅ ${review.name} is not a legacy document - its candidates won't be suggested again\n`);
+    }
+
+    /**
+     * Helper: Queued review of a file
+     */
+    getReview(fileId) {
+        const review = this.manifest.matchReviews().find(r => r.fileId === fileId);
+        if (!review) {
+            throw new Error(`No queued match review for ${fileId} (npm run sync-matches lists them)`);
+        }
+        return review;
+    }
+}
+
+// Main execution
+async function main() {
+    const [command = 'list', fileId, rank = '1'] = process.argv.slice(2);
+    const reviewer = new MatchReviewer();
+
+    if (!['list', 'confirm', 'reject'].includes(command) || (command !== 'list' && !fileId)) {
+        console.log('\n❌ Usage: npm run sync-matches -- [list | confirm <fileId> [n] | reject <fileId>]\n');
+        process.exit(1);
+    }
+
+    await reviewer.connect();
+
+    if (command === 'list') {
+        reviewer.list();
+    } else if (command === 'confirm') {
+        await reviewer.confirm(fileId, Number(rank));
+    } else {
+        await reviewer.reject(fileId);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+});
@@ -3,13 +3,14 @@
 import { Pinecone } from '@pinecone-database/pinecone';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
 
 dotenv.config();
 
 async function sampleDocuments() {
     const pc = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
     const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    const index = pc.index(process.env.PINECONE_INDEX_NAME);
+    const { index } = await new IndexNamespaces(pc).openActive();
 
     console.log('🔍 Sampling documents from Pinecone...\n');
 
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+import { google } from 'googleapis';
+import dotenv from 'dotenv';
+import { SyncPolicy } from '../indexer/sync-policy.js';
+import { DRIVE_METADATA_FIELDS, driveLabelParams } from '../indexer/drive-metadata.js';
+import { DriveFolderPaths } from '../indexer/drive-paths.js';
+import { ShortcutResolver, isShortcut } from '../indexer/drive-shortcuts.js';
+import { createExtractorRegistry } from '../indexer/extractors/index.js';
+import { checkFile } from '../indexer/file-filters.js';
+
+dotenv.config();
+
+const FILE_FIELDS = `${DRIVE_METADATA_FIELDS}, shortcutDetails(targetId, targetMimeType)`;
+
+/**
+ * Sync Policy Tool
+ *
+ * Checks the sync policy file and explains how it decides a Drive file.
+ *
+ * Usage:
+ *   npm run policy -- check                       # validate and list the rules
+ *   npm run policy -- explain "File Name"         # which rule includes/excludes it
+ *   npm run policy -- explain <drive-file-id>
+ *   --policy <path>                               # another policy file
+ */
+class PolicyTool {
+    constructor(policy) {
+        this.policy = policy;
+    }
+
+    /**
+     * Print the policy summary (loading it already validated it)
+     */
+    check() {
+        console.log(`✅ ${this.policy.source} is valid (version ${this.policy.version})\n`);
+        console.log(`   Default: ${this.policy.defaultAction}`);
+        console.log(`   Allowed ids: ${this.policy.allowIds.size}, denied ids: ${this.policy.denyIds.size}`);
+        console.log(`   Superseded: ${this.policy.superseded.length}`);
+        console.log(`\n📜 Rules (first match decides):`);
+
+        for (const rule of this.policy.rules) {
+            const conditions = Object.keys(rule.matchers).filter(condition => rule[condition]);
+            console.log(`   ${rule.action === 'include' ? '✅' : '⛔'} ${rule.name.padEnd(28)} ${conditions.join(', ')}`);
+        }
+        console.log();
+    }
+
+    /**
+     * Find a Drive file by id or name and print every policy step for it
+     */
+    async explain(query) {
+        const auth = new google.auth.GoogleAuth({
+            keyFile: process.env.GOOGLE_CREDENTIALS_PATH || './google-credentials.json',
+            scopes: ['https://www.googleapis.com/auth/drive.readonly']
+        });
+        this.drive = google.drive({ version: 'v3', auth });
+        this.extractors = createExtractorRegistry({ drive: this.drive });
+        this.folderPaths = new DriveFolderPaths(this.drive, process.env.GOOGLE_DRIVE_FOLDER_ID);
+        this.shortcuts = new ShortcutResolver(this.drive, `${FILE_FIELDS}, trashed`, () => driveLabelParams(this.policy));
+
+        const files = await this.findFiles(query);
+
+        if (files.length === 0) {
+            console.log(`❌ No Drive file matches "${query}"\n`);
+            return false;
+        }
+
+        for (const file of files) {
+            await this.explainFile(file);
+        }
+
+        return true;
+    }
+
+    /**
+     * Helper: Print the policy steps and decision for one file (a shortcut is
+     * decided as its target, like the sync does)
+     */
+    async explainFile(listed) {
+        const folderPath = await this.folderPaths.pathOf(listed);
+        const [file] = await this.shortcuts.resolve([{ ...listed, path: folderPath }]);
+        const { decision, steps } = this.policy.explain(file);
+        const final = checkFile(file, this.policy, this.extractors);
+
+        console.log(`📄 ${listed.name}`);
+        console.log(`   ID: ${listed.id}`);
+        if (isShortcut(listed) && !file.shortcutError) console.log(`   Shortcut to: ${file.name} (${file.id})`);
+        console.log(`   Type: ${file.mimeType}`);
+        console.log(`   Folder: ${folderPath === null ? '(outside the sync folder)' : folderPath || 'Root'}`);
+        if (file.owners?.length) console.log(`   Owners: ${file.owners.map(o => o.emailAddress).join(', ')}`);
+        if (file.labelInfo?.labels?.length) console.log(`   Labels: ${file.labelInfo.labels.map(l => l.id).join(', ')}`);
+
+        console.log('\n   Policy steps (first match decides):');
+        for (const step of steps) {
+            const icon = !step.matched ? '·' : step.action === 'include' ? '✅' : '⛔';
+            const conditions = Object.entries(step.conditions || {})
+                .map(([condition, matched]) => `${condition} ${matched ? '✓' : '✗'}`)
+                .join('  ');
+            const marker = step.matched ? (step.rule === decision.rule ? '  ← decides' : '  (shadowed)') : '';
+            console.log(`   ${icon} ${step.rule.padEnd(34)} ${conditions}${marker}`);
+        }
+
+        if (decision.rule === 'default') {
+            console.log(`   · default: ${this.policy.defaultAction}  ← decides`);
+        }
+
+        if (decision.included && !final.included) {
+            console.log(`\n   Decision: EXCLUDED - ${final.reason}`);
+        } else {
+            console.log(`\n   Decision: ${decision.included ? 'INCLUDED' : 'EXCLUDED'} by "${decision.rule}" - ${decision.reason}`);
+        }
+
+        if (final.included) {
+            console.log('   (Duplicate formats are resolved across the folder - see npm run sync-test)');
+        }
+        console.log();
+    }
+
+    /**
+     * Helper: Drive files with this id, else this exact name, else names containing it
+     */
+    async findFiles(query) {
+        const listParams = { supportsAllDrives: true, ...driveLabelParams(this.policy) };
+
+        if (/^[\w-]{20,}$/.test(query)) {
+            try {
+                const response = await this.drive.files.get({ fileId: query, fields: FILE_FIELDS, ...listParams });
+                return [response.data];
+            } catch (error) {
+                const status = error.code || error.response?.status;
+                if (status !== 404) throw error;
+            }
+        }
+
+        const escaped = query.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
+        for (const operator of ['=', 'contains']) {
+            const response = await this.drive.files.list({
+                q: `name ${operator} '${escaped}' and trashed=false and mimeType != 'application/vnd.google-apps.folder'`,
+                fields: `files(${FILE_FIELDS})`,
+                pageSize: 20,
+                includeItemsFromAllDrives: true,
+                ...listParams
+            });
+
+            if (response.data.files.length > 0) return response.data.files;
+        }
+
+        return [];
+    }
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const policyPath = args.includes('--policy') ? args[args.indexOf('--policy') + 1] : undefined;
+    const [command, query] = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--policy');
+
+    const tool = new PolicyTool(await SyncPolicy.load(policyPath));
+
+    if (command === 'check') {
+        tool.check();
+    } else if (command === 'explain' && query) {
+        process.exit(await tool.explain(query) ? 0 : 1);
+    } else {
+        console.log('\n❌ Usage: npm run policy -- check');
+        console.log('          npm run policy -- explain "File Name"   (or a Drive file id)\n');
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+});
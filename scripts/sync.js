@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { SyncEngine, SYNC_STAGES } from '../indexer/sync-engine.js';
+import { contextHeadersEnabled } from '../indexer/chunk-context.js';
+
+dotenv.config();
+
+/**
+ * Drive → Pinecone Sync
+ *
+ * Command line for the sync engine (indexer/sync-engine.js). All sync npm
+ * scripts run this, so live runs and dry runs classify files identically.
+ *
+ * Usage:
+ *   node scripts/sync.js                       # full scan, apply changes
+ *   --dry-run                                  # classify and print only
+ *   --incremental                              # Drive changes since the last sync
+ *   --catalog                                  # rebuild catalog + CSV after changes
+ *   --report csv|json                          # write the plan to reports/
+ *   --only new,modified,deleted                # apply only these categories
+ *   --since YYYY-MM-DD                         # ignore files not modified after this date
+ *   --context-headers                          # embed with chunk context headers
+ *   --no-fingerprints                          # duplicate detection by name only
+ *
+ * Exits with code 2 when any file fails, so scheduled runs surface failures
+ * (1 on a fatal error).
+ */
+function parseArgs(args) {
+    const valueOf = flag => {
+        if (!args.includes(flag)) return undefined;
+        const value = args[args.indexOf(flag) + 1];
+        if (!value || value.startsWith('--')) {
+            throw new Error(`${flag} needs a value`);
+        }
+        return value;
+    };
+
+    const report = valueOf('--report');
+    if (report && !['csv', 'json'].includes(report)) {
+        throw new Error(`--report must be csv or json (got "${report}")`);
+    }
+
+    const only = valueOf('--only')?.split(',').map(stage => stage.trim());
+    const unknown = (only || []).filter(stage => !SYNC_STAGES.includes(stage));
+    if (unknown.length > 0) {
+        throw new Error(`--only accepts ${SYNC_STAGES.join(', ')} (got "${unknown.join(', ')}")`);
+    }
+
+    const sinceValue = valueOf('--since');
+    const since = sinceValue ? new Date(sinceValue) : null;
+    if (since && isNaN(since)) {
+        throw new Error(`--since must be a date, e.g. 2024-06-01 (got "${sinceValue}")`);
+    }
+
+    return {
+        dryRun: args.includes('--dry-run'),
+        incremental: args.includes('--incremental'),
+        rebuildCatalog: args.includes('--catalog'),
+        contextHeaders: contextHeadersEnabled(args),
+        fingerprints: !args.includes('--no-fingerprints'),
+        report,
+        only,
+        since
+    };
+}
+
+// Main execution
+async function main() {
+    const engine = new SyncEngine(parseArgs(process.argv.slice(2)));
+    const exitCode = await engine.run();
+    process.exit(exitCode);
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+});
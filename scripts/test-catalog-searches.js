@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import fs from 'fs/promises';
+import { getAliasDictionary } from '../indexer/name-aliases.js';
 
 /**
  * Test catalog with real search queries
@@ -50,7 +51,10 @@ async function testCatalogSearches() {
 }
 
 function searchCatalog(catalog, query) {
-    const queryLower = query.toLowerCase();
+    // Compare with aliases rewritten (config/name-aliases.json), so "gen AI" finds "Generative AI"
+    const aliases = getAliasDictionary();
+    const canonical = text => aliases.apply(text || '').toLowerCase();
+    const queryLower = canonical(query);
     const matches = [];
 
     for (const doc of catalog.documents) {
@@ -58,21 +62,21 @@ function searchCatalog(catalog, query) {
         let matchReasons = [];
 
         // Name match
-        if (doc.name.toLowerCase().includes(queryLower)) {
+        if (canonical(doc.name).includes(queryLower)) {
             score += 15;
             matchReasons.push('name-match');
         }
 
         // Detailed description match
-        if (doc.detailedDescription?.toLowerCase().includes(queryLower)) {
+        if (canonical(doc.detailedDescription).includes(queryLower)) {
             score += 12;
             matchReasons.push('description-match');
         }
 
         // Specific keywords match
         for (const keyword of doc.specificKeywords || []) {
-            if (queryLower.includes(keyword.toLowerCase()) ||
-                keyword.toLowerCase().includes(queryLower)) {
+            if (queryLower.includes(canonical(keyword)) ||
+                canonical(keyword).includes(queryLower)) {
                 score += 8;
                 matchReasons.push(`keyword: ${keyword}`);
             }
@@ -80,8 +84,8 @@ function searchCatalog(catalog, query) {
 
         // Searchable terms match
         for (const term of doc.searchableTerms || []) {
-            if (queryLower.includes(term.toLowerCase()) ||
-                term.toLowerCase().includes(queryLower)) {
+            if (queryLower.includes(canonical(term)) ||
+                canonical(term).includes(queryLower)) {
                 score += 10;
                 matchReasons.push(`searchable: ${term}`);
             }
@@ -89,7 +93,7 @@ function searchCatalog(catalog, query) {
 
         // Key features match
         for (const feature of doc.keyFeatures || []) {
-            if (queryLower.includes(feature.toLowerCase())) {
+            if (queryLower.includes(canonical(feature))) {
                 score += 7;
                 matchReasons.push(`feature: ${feature}`);
             }
@@ -97,7 +101,7 @@ function searchCatalog(catalog, query) {
 
         // Metrics match
         for (const metric of doc.metrics || []) {
-            if (queryLower.includes(metric.toLowerCase())) {
+            if (queryLower.includes(canonical(metric))) {
                 score += 9;
                 matchReasons.push(`metric: ${metric}`);
             }
@@ -105,7 +109,7 @@ function searchCatalog(catalog, query) {
 
         // Products match
         for (const product of doc.products || []) {
-            if (queryLower.includes(product.toLowerCase())) {
+            if (queryLower.includes(canonical(product))) {
                 score += 7;
                 matchReasons.push(`product: ${product}`);
             }
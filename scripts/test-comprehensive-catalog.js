@@ -3,11 +3,12 @@
 import { Pinecone } from '@pinecone-database/pinecone';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
 
 dotenv.config();
 
 const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-const index = pinecone.index(process.env.PINECONE_INDEX_NAME);
+const { index } = await new IndexNamespaces(pinecone).openActive();
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
 // Test with 3 specific documents
@@ -2,12 +2,15 @@
 
 import { google } from 'googleapis';
 import { Pinecone } from '@pinecone-database/pinecone';
-import OpenAI from 'openai';
 import fs from 'fs/promises';
-import pdfParse from 'pdf-parse';
-import mammoth from 'mammoth';
-import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
+import { createExtractorRegistry } from '../indexer/extractors/index.js';
+import { DocumentChunker } from '../indexer/chunker.js';
+import { ChunkContextBuilder, contextHeadersEnabled, createChunkVectors } from '../indexer/chunk-context.js';
+import { EmbeddingService } from '../indexer/embedding-service.js';
+import { IndexNamespaces } from '../indexer/index-namespaces.js';
+import { upsertVectors } from '../indexer/vector-metadata.js';
+import { DRIVE_METADATA_FIELDS, driveLabelParams } from '../indexer/drive-metadata.js';
 
 dotenv.config();
 
@@ -33,12 +36,22 @@ class SingleFileIndexer {
         this.slides = google.slides({ version: 'v1', auth: this.auth });
         this.sheets = google.sheets({ version: 'v4', auth: this.auth });
 
+        // Text extraction (same extractors as the sync scripts)
+        this.extractors = createExtractorRegistry({
+            drive: this.drive,
+            docs: this.docs,
+            slides: this.slides,
+            sheets: this.sheets
+        });
+        this.chunker = new DocumentChunker({ extractors: this.extractors });
+        this.chunkContext = contextHeadersEnabled() ? new ChunkContextBuilder() : null;
+
         // Initialize Pinecone
         this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-        this.index = this.pinecone.index(process.env.PINECONE_INDEX_NAME);
+        this.namespaces = new IndexNamespaces(this.pinecone);
 
-        // Initialize OpenAI
-        this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        // Embeddings (batched, retrying)
+        this.embeddings = new EmbeddingService({ model: 'text-embedding-3-large' });
     }
 
     /**
@@ -50,6 +63,8 @@ class SingleFileIndexer {
         console.log(`📄 File: ${file.docName}`);
         console.log(`🆔 File ID: ${file.fileId}`);
         console.log(`📂 Type: ${file.fileType}`);
+
+        this.index = (await this.namespaces.openActive()).index;
         console.log(`⭐ Priority: ${file.priority}\n`);
         console.log('='.repeat(80) + '\n');
 
@@ -62,8 +77,9 @@ class SingleFileIndexer {
             console.log('📋 Step 1: Getting file metadata...');
             const metadata = await this.drive.files.get({
                 fileId: file.fileId,
-                fields: 'id,name,mimeType,createdTime,modifiedTime,webViewLink',
-                supportsAllDrives: true
+                fields: DRIVE_METADATA_FIELDS,
+                supportsAllDrives: true,
+                ...driveLabelParams()
             });
 
             const mimeType = metadata.data.mimeType;
@@ -74,23 +90,8 @@ class SingleFileIndexer {
 
             // Step 2: Extract text
             console.log('📝 Step 2: Extracting text content...');
-            let text = '';
-
-            if (mimeType === 'application/vnd.google-apps.document') {
-                text = await this.extractGoogleDoc(file.fileId);
-            } else if (mimeType === 'application/vnd.google-apps.presentation') {
-                text = await this.extractGoogleSlides(file.fileId);
-            } else if (mimeType === 'application/vnd.google-apps.spreadsheet') {
-                text = await this.extractGoogleSheets(file.fileId);
-            } else if (mimeType === 'application/pdf') {
-                text = await this.extractPDF(file.fileId);
-            } else if (mimeType.includes('wordprocessingml')) {
-                text = await this.extractDocx(file.fileId);
-            } else if (mimeType.includes('presentationml')) {
-                text = await this.extractPptx(file.fileId);
-            } else {
-                throw new Error(`Unsupported file type: ${mimeType}`);
-            }
+            const extraction = await this.extractors.extract(metadata.data);
+            const { text } = extraction;
 
             if (!text || text.trim().length < 50) {
                 throw new Error('Extracted text too short or empty');
@@ -100,13 +101,13 @@ class SingleFileIndexer {
             console.log(`   ✓ Preview: ${text.substring(0, 150)}...\n`);
 
             // Step 3: Chunk text
-            console.log('✂️  Step 3: Chunking text (size=1000, overlap=200)...');
-            const chunks = this.chunkText(text);
+            console.log(`✂️  Step 3: Chunking text (max ${this.chunker.maxTokens} tokens, overlap ${this.chunker.overlapTokens})...`);
+            const chunks = this.chunker.chunk(extraction);
             console.log(`   ✓ Created ${chunks.length} chunks\n`);
 
             // Step 4: Create embeddings
             console.log('🔢 Step 4: Creating embeddings (text-embedding-3-large)...');
-            const vectors = await this.createVectors(chunks, file, metadata.data);
+            const vectors = await createChunkVectors(metadata.data, chunks, { embeddings: this.embeddings, chunkContext: this.chunkContext });
             console.log(`   ✓ Created ${vectors.length} vectors`);
             console.log(`   ✓ Vector dimension: ${vectors[0].values.length}`);
             console.log(`   ✓ Sample metadata:`, JSON.stringify(vectors[0].metadata, null, 2).substring(0, 200) + '...\n');
@@ -127,6 +128,7 @@ class SingleFileIndexer {
             console.log(`   • Vectors uploaded: ${vectors.length}`);
             console.log(`   • Embedding model: text-embedding-3-large`);
             console.log(`   • Vector dimension: 3072\n`);
+            this.embeddings.logUsage();
 
         } catch (error) {
             console.error('\n❌ ERROR:', error.message);
@@ -134,189 +136,8 @@ class SingleFileIndexer {
         }
     }
 
-    async extractGoogleDoc(fileId) {
-        const doc = await this.docs.documents.get({ documentId: fileId });
-        return this.extractTextFromDocContent(doc.data.body.content);
-    }
-
-    async extractGoogleSlides(fileId) {
-        const presentation = await this.slides.presentations.get({ presentationId: fileId });
-        let text = '';
-
-        for (const slide of presentation.data.slides) {
-            if (slide.pageElements) {
-                for (const element of slide.pageElements) {
-                    if (element.shape && element.shape.text) {
-                        text += this.extractTextFromDocContent(element.shape.text.textElements) + '\n\n';
-                    }
-                }
-            }
-        }
-
-        return text;
-    }
-
-    async extractGoogleSheets(fileId) {
-        const spreadsheet = await this.sheets.spreadsheets.get({ spreadsheetId: fileId });
-        let text = '';
-
-        for (const sheet of spreadsheet.data.sheets) {
-            const sheetName = sheet.properties.title;
-            text += `Sheet: ${sheetName}\n\n`;
-
-            const result = await this.sheets.spreadsheets.values.get({
-                spreadsheetId: fileId,
-                range: sheetName
-            });
-
-            if (result.data.values) {
-                for (const row of result.data.values) {
-                    text += row.join(' | ') + '\n';
-                }
-            }
-
-            text += '\n\n';
-        }
-
-        return text;
-    }
-
-    async extractPDF(fileId) {
-        const response = await this.drive.files.get(
-            { fileId, alt: 'media', supportsAllDrives: true },
-            { responseType: 'arraybuffer' }
-        );
-
-        const data = await pdfParse(Buffer.from(response.data));
-        return data.text;
-    }
-
-    async extractDocx(fileId) {
-        const response = await this.drive.files.get(
-            { fileId, alt: 'media', supportsAllDrives: true },
-            { responseType: 'arraybuffer' }
-        );
-
-        const result = await mammoth.extractRawText({ buffer: Buffer.from(response.data) });
-        return result.value;
-    }
-
-    async extractPptx(fileId) {
-        const response = await this.drive.files.export({
-            fileId,
-            mimeType: 'text/plain',
-            supportsAllDrives: true
-        });
-
-        return response.data;
-    }
-
-    extractTextFromDocContent(content) {
-        if (!content) return '';
-
-        let text = '';
-        for (const element of content) {
-            if (element.paragraph) {
-                for (const textElement of element.paragraph.elements || []) {
-                    if (textElement.textRun) {
-                        text += textElement.textRun.content;
-                    }
-                }
-            } else if (element.textRun) {
-                text += element.textRun.content;
-            }
-        }
-
-        return text;
-    }
-
-    chunkText(text, chunkSize = 1000, overlap = 200) {
-        const chunks = [];
-        const lines = text.split('\n');
-        let currentChunk = '';
-        let currentLines = [];
-
-        for (const line of lines) {
-            const lineLength = line.length + 1;
-
-            if (currentChunk.length + lineLength > chunkSize && currentChunk.length > 0) {
-                chunks.push({
-                    text: currentChunk.trim(),
-                    lineFrom: currentLines[0] || 1,
-                    lineTo: currentLines[currentLines.length - 1] || 1
-                });
-
-                const overlapLines = [];
-                let overlapText = '';
-                for (let i = currentLines.length - 1; i >= 0; i--) {
-                    const idx = lines.indexOf(lines[currentLines[i]]);
-                    if (idx >= 0 && overlapText.length + lines[idx].length < overlap) {
-                        overlapLines.unshift(currentLines[i]);
-                        overlapText = lines[idx] + '\n' + overlapText;
-                    } else {
-                        break;
-                    }
-                }
-
-                currentChunk = overlapText;
-                currentLines = overlapLines;
-            }
-
-            currentChunk += line + '\n';
-            currentLines.push(lines.indexOf(line) + 1);
-        }
-
-        if (currentChunk.trim()) {
-            chunks.push({
-                text: currentChunk.trim(),
-                lineFrom: currentLines[0] || 1,
-                lineTo: currentLines[currentLines.length - 1] || 1
-            });
-        }
-
-        return chunks;
-    }
-
-    async createVectors(chunks, file, metadata) {
-        const vectors = [];
-
-        for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-
-            const embeddingResponse = await this.openai.embeddings.create({
-                model: 'text-embedding-3-large',
-                input: chunk.text
-            });
-
-            const embedding = embeddingResponse.data[0].embedding;
-
-            vectors.push({
-                id: `${file.fileId}_chunk_${i}_${uuidv4()}`,
-                values: embedding,
-                metadata: {
-                    'File.name': metadata.name,
-                    'File.id': metadata.id,
-                    'File.webviewlink': metadata.webViewLink,
-                    'File.createdDate': metadata.createdTime?.split('T')[0] || '',
-                    'File.modifiedDate': metadata.modifiedTime?.split('T')[0] || '',
-                    text: chunk.text,
-                    blobType: metadata.mimeType,
-                    'loc.lines.from': chunk.lineFrom,
-                    'loc.lines.to': chunk.lineTo
-                }
-            });
-        }
-
-        return vectors;
-    }
-
     async uploadToPinecone(vectors) {
-        const batchSize = 200;
-
-        for (let i = 0; i < vectors.length; i += batchSize) {
-            const batch = vectors.slice(i, i + batchSize);
-            await this.index.upsert(batch);
-        }
+        await upsertVectors(this.index, vectors);
     }
 }
 
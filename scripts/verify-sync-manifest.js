@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+import { Pinecone } from '@pinecone-database/pinecone';
+import dotenv from 'dotenv';
+import { PineconeInventory } from '../indexer/pinecone-inventory.js';
+import { SyncManifest } from '../indexer/sync-manifest.js';
+import { LEGACY_CHUNKER_VERSION } from '../indexer/chunker.js';
+import { IndexNamespaces, label } from '../indexer/index-namespaces.js';
+
+dotenv.config();
+
+/**
+ * Verify Sync Manifest
+ *
+ * Reconciles the local sync manifest (state/) against the active Pinecone
+ * namespace and reports drift:
+ * - Files in the manifest with no vectors in Pinecone
+ * - Files in Pinecone that the manifest doesn't know about
+ * - Files whose vector ids differ between manifest and index
+ *
+ * Usage:
+ *   npm run sync-verify              # report drift (exit code 1 if any)
+ *   npm run sync-verify -- --rebuild # discard manifest and re-seed it from the index
+ */
+class ManifestVerifier {
+    constructor() {
+        this.pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+        this.namespaces = new IndexNamespaces(this.pinecone);
+    }
+
+    /**
+     * Open the active Pinecone namespace and its sync manifest
+     */
+    async connect() {
+        const { namespace, index } = await this.namespaces.openActive();
+        this.namespace = namespace;
+        this.inventory = new PineconeInventory(index);
+        this.manifest = new SyncManifest({ namespace });
+    }
+
+    async verify() {
+        console.log('═══════════════════════════════════════════════════════════');
+        console.log('           VERIFY SYNC MANIFEST');
+        console.log('═══════════════════════════════════════════════════════════\n');
+
+        await this.connect();
+        await this.manifest.load();
+        console.log(`🗂️  Namespace: ${label(this.namespace)}`);
+        console.log(`📒 Manifest: ${this.manifest.manifestPath}`);
+        console.log(`   Files tracked: ${this.manifest.size}`);
+        console.log(`   Last successful sync: ${this.manifest.lastSuccessfulSync || 'Never'}`);
+        console.log(`   Pending generations: ${this.manifest.pendingGenerations().length}\n`);
+
+        console.log('🗄️  Enumerating Pinecone index...');
+        const { files, totalVectors } = await this.inventory.buildManifest();
+        console.log(`   ✓ ${totalVectors} vectors across ${files.size} files\n`);
+
+        const drift = this.manifest.reconcile(files);
+        const driftCount = drift.missingFromIndex.length + drift.untracked.length + drift.chunkMismatch.length;
+
+        if (drift.missingFromIndex.length > 0) {
+            console.log(`❌ In manifest but missing from index (${drift.missingFromIndex.length}):`);
+            for (const f of drift.missingFromIndex) {
+                console.log(`   - ${f.name} (${f.fileId}) - expected ${f.expectedChunks} vectors`);
+            }
+            console.log();
+        }
+
+        if (drift.untracked.length > 0) {
+            console.log(`⚠️  In index but not in manifest (${drift.untracked.length}):`);
+            for (const f of drift.untracked) {
+                console.log(`   - ${f.name} (${f.fileId}) - ${f.vectorCount} vectors`);
+            }
+            console.log();
+        }
+
+        if (drift.chunkMismatch.length > 0) {
+            console.log(`🔀 Vector ids differ (${drift.chunkMismatch.length}):`);
+            for (const f of drift.chunkMismatch) {
+                console.log(`   - ${f.name} (${f.fileId})`);
+                console.log(`     Missing from index: ${f.missingChunks.length} | Extra in index: ${f.extraChunks.length}`);
+            }
+            console.log();
+        }
+
+        if (driftCount === 0) {
+            console.log('✅ Manifest matches the index - no drift\n');
+        } else {
+            console.log(`⚠️  ${driftCount} file(s) drifted. Run npm run sync-repair to clear half-finished re-indexes,`);
+            console.log('   or run with --rebuild to re-seed the manifest from the index.\n');
+        }
+
+        return driftCount;
+    }
+
+    async rebuild() {
+        await this.connect();
+        console.log(`🔧 Rebuilding sync manifest from Pinecone namespace ${label(this.namespace)}...\n`);
+
+        await this.manifest.load();
+        this.manifest.entries.clear();
+
+        const { imported, totalVectors } = await this.manifest.seedFromInventory(this.inventory, {
+            embeddingModel: 'text-embedding-3-large',
+            chunkerVersion: LEGACY_CHUNKER_VERSION
+        });
+        await this.manifest.save();
+
+        console.log(`✅ Imported ${imported} files (${totalVectors} vectors)`);
+        console.log(`   Saved to: ${this.manifest.manifestPath}\n`);
+    }
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const verifier = new ManifestVerifier();
+
+    if (args.includes('--rebuild')) {
+        await verifier.rebuild();
+        return;
+    }
+
+    const driftCount = await verifier.verify();
+    process.exit(driftCount > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+});